@@ -0,0 +1,98 @@
+import {
+  chessboardThemes,
+  parseColor,
+  getContrastRatio,
+  getThemeAccessibility,
+  WCAG_NON_TEXT_CONTRAST
+} from '../src/chessboardColors';
+
+describe('parseColor', () => {
+  it.each([
+    ['#fff', { r: 255, g: 255, b: 255, a: 1 }],
+    ['#000000', { r: 0, g: 0, b: 0, a: 1 }],
+    ['#ff000080', { r: 255, g: 0, b: 0, a: 128 / 255 }],
+    ['rgba(0, 0, 0, 0.5)', { r: 0, g: 0, b: 0, a: 0.5 }],
+    ['rgb(10,20,30)', { r: 10, g: 20, b: 30, a: 1 }]
+  ])('reads %s', (color, parsed) => {
+    expect(parseColor(color)).toEqual(parsed);
+  });
+
+  it('gives null for names and malformed values', () => {
+    expect(parseColor('red')).toBeNull();
+    expect(parseColor('#12345')).toBeNull();
+    expect(parseColor(undefined)).toBeNull();
+  });
+});
+
+describe('getContrastRatio', () => {
+  it.each([
+    ['#000', '#fff', 21],
+    ['#fff', '#000', 21],
+    ['#777', '#777', 1],
+    ['#767676', '#ffffff', 4.54]
+  ])('%s on %s is %d:1', (foreground, background, ratio) => {
+    expect(getContrastRatio(foreground, background)).toBe(ratio);
+  });
+
+  it('blends a translucent colour with the background first', () => {
+    expect(getContrastRatio('rgba(0, 0, 0, 0)', '#fff')).toBe(1);
+    expect(getContrastRatio('rgba(0, 0, 0, 0.5)', '#fff')).toBe(getContrastRatio('rgb(127.5, 127.5, 127.5)', '#fff'));
+  });
+
+  it('gives null when a colour cannot be read', () => {
+    expect(getContrastRatio('transparent', '#fff')).toBeNull();
+  });
+});
+
+describe('getThemeAccessibility', () => {
+  it('rates every built-in theme', () => {
+    Object.keys(chessboardThemes).forEach(name => {
+      const report = getThemeAccessibility(name);
+      expect(report.squareContrast).toBeGreaterThanOrEqual(1);
+      expect(report.hasHighContrast).toBe(report.squareContrast >= WCAG_NON_TEXT_CONTRAST);
+    });
+  });
+
+  it('takes the weaker square for each marker', () => {
+    const report = getThemeAccessibility({
+      light: '#ffffff',
+      dark: '#000000',
+      highlighted: '#ffffff',
+      moveFrom: '#888888',
+      moveTo: '#888888',
+      dot: '#000000'
+    });
+    expect(report).toMatchObject({
+      name: 'Custom',
+      squareContrast: 21,
+      highlightContrast: 1,
+      dotContrast: 1,
+      hintContrast: null,
+      hasHighContrast: true,
+      hintVisibility: 'low',
+      recommended: false
+    });
+  });
+
+  it('checks hints against the hint backgrounds', () => {
+    const report = getThemeAccessibility({
+      light: '#ffffff',
+      dark: '#777777',
+      highlighted: '#ffeb3b',
+      moveFrom: '#888888',
+      moveTo: '#888888',
+      dot: 'rgba(0, 0, 0, 0.9)',
+      hintBorder: '#000000',
+      hintLightBg: '#ffffff',
+      hintDarkBg: '#ffffff'
+    });
+    expect(report.hintContrast).toBe(21);
+    expect(report.hintVisibility).toBe('high');
+    expect(report.recommended).toBe(true);
+  });
+
+  it('gives null for unknown names and incomplete themes', () => {
+    expect(getThemeAccessibility('nope')).toBeNull();
+    expect(getThemeAccessibility({ light: '#fff' })).toBeNull();
+  });
+});
@@ -0,0 +1,177 @@
+import {
+  parseTimeControl,
+  createClockState,
+  getClockTimes,
+  startClock,
+  pauseClock,
+  resumeClock,
+  pressClock,
+  setClockTurn,
+  checkFlag,
+  syncClock,
+  formatClockTime
+} from '../src/clock';
+
+describe('parseTimeControl', () => {
+  it('reads increments, delays and move counts', () => {
+    expect(parseTimeControl('5+3')).toEqual([{ time: 300000, increment: 3000, delay: 0, moves: null }]);
+    expect(parseTimeControl('5d2')).toEqual([{ time: 300000, increment: 0, delay: 2000, moves: null }]);
+    expect(parseTimeControl('40/90+30, 30+30')).toEqual([
+      { time: 5400000, increment: 30000, delay: 0, moves: 40 },
+      { time: 1800000, increment: 30000, delay: 0, moves: null }
+    ]);
+  });
+
+  it('takes stage objects in milliseconds', () => {
+    expect(parseTimeControl({ time: 60000, increment: 1000 })).toEqual([
+      { time: 60000, increment: 1000, delay: 0, moves: null }
+    ]);
+  });
+
+  it('gives null for nothing usable', () => {
+    expect(parseTimeControl(null)).toBeNull();
+    expect(parseTimeControl('blitz')).toBeNull();
+    expect(createClockState('blitz')).toBeNull();
+  });
+});
+
+describe('increment', () => {
+  it('credits the mover and starts the other clock', () => {
+    let state = createClockState('5+3');
+    state = pressClock(state, 0, 'w');
+    expect(state.status).toBe('running');
+    expect(state.turn).toBe('b');
+    expect(getClockTimes(state, 0)).toEqual({ w: 303000, b: 300000 });
+
+    state = pressClock(state, 10000, 'b');
+    expect(getClockTimes(state, 10000)).toEqual({ w: 303000, b: 293000 });
+    expect(getClockTimes(state, 15000)).toEqual({ w: 298000, b: 293000 });
+    expect(state.moves).toEqual({ w: 1, b: 1 });
+  });
+
+  it('ignores a press from the side not on move', () => {
+    const state = pressClock(createClockState('5+3'), 0, 'w');
+    expect(pressClock(state, 1000, 'w')).toBe(state);
+  });
+});
+
+describe('Bronstein delay', () => {
+  it('gives back what was used, up to the delay', () => {
+    let state = pressClock(createClockState('5d2'), 0, 'w');
+    state = pressClock(state, 1500, 'b');
+    expect(getClockTimes(state, 1500).b).toBe(300000);
+
+    state = pressClock(state, 6500, 'w');
+    expect(getClockTimes(state, 6500).w).toBe(297000);
+  });
+
+  it('counts time used before a pause', () => {
+    let state = pressClock(createClockState('5d2'), 0, 'w');
+    state = pauseClock(state, 1000);
+    state = resumeClock(state, 50000);
+    state = pressClock(state, 50500, 'b');
+    expect(getClockTimes(state, 50500).b).toBe(300000);
+  });
+});
+
+describe('pause and resume', () => {
+  it('stops the running side while paused', () => {
+    let state = startClock(createClockState('1+0'), 0);
+    state = pauseClock(state, 10000);
+    expect(getClockTimes(state, 40000).w).toBe(50000);
+    state = resumeClock(state, 40000);
+    expect(getClockTimes(state, 45000).w).toBe(45000);
+  });
+});
+
+describe('multi-stage controls', () => {
+  it('adds the next stage once the moves are played', () => {
+    let state = createClockState([{ time: 60000, moves: 2 }, { time: 30000, increment: 1000 }]);
+    state = pressClock(state, 0, 'w');
+    state = pressClock(state, 0, 'b');
+    expect(state.stage.w).toBe(0);
+
+    state = pressClock(state, 10000, 'w');
+    expect(state.stage.w).toBe(1);
+    expect(getClockTimes(state, 10000).w).toBe(80000);
+
+    // The new stage's increment applies from then on
+    state = pressClock(state, 10000, 'b');
+    state = pressClock(state, 15000, 'w');
+    expect(getClockTimes(state, 15000).w).toBe(76000);
+  });
+});
+
+describe('flag', () => {
+  it('flags the running side at zero', () => {
+    const state = startClock(createClockState('1+0'), 0);
+    expect(checkFlag(state, 59999)).toBe(state);
+
+    const flagged = checkFlag(state, 60000);
+    expect(flagged.flagged).toBe('w');
+    expect(flagged.status).toBe('stopped');
+    expect(getClockTimes(flagged, 90000).w).toBe(0);
+  });
+
+  it('flags a press that comes too late and ignores presses after it', () => {
+    const state = pressClock(startClock(createClockState('1+5'), 0), 61000, 'w');
+    expect(state.flagged).toBe('w');
+    expect(pressClock(state, 62000, 'w')).toBe(state);
+    expect(startClock(state, 62000)).toBe(state);
+  });
+});
+
+describe('setClockTurn', () => {
+  it('hands the move over without an increment', () => {
+    let state = pressClock(createClockState('5+3'), 0, 'w');
+    state = setClockTurn(state, 4000, 'w');
+    expect(state.turn).toBe('w');
+    expect(state.moves).toEqual({ w: 1, b: 0 });
+    expect(getClockTimes(state, 4000)).toEqual({ w: 303000, b: 296000 });
+    expect(getClockTimes(state, 6000)).toEqual({ w: 301000, b: 296000 });
+
+    // Back in step, so the next move's press counts
+    state = pressClock(state, 6000, 'w');
+    expect(state.turn).toBe('b');
+    expect(getClockTimes(state, 6000).w).toBe(304000);
+  });
+
+  it('leaves a clock already on that side alone', () => {
+    const state = pressClock(createClockState('5+3'), 0, 'w');
+    expect(setClockTurn(state, 1000, 'b')).toBe(state);
+  });
+
+  it('flags instead when the running side has no time left', () => {
+    const state = startClock(createClockState('1+0'), 0);
+    expect(setClockTurn(state, 61000, 'b').flagged).toBe('w');
+  });
+});
+
+describe('syncClock', () => {
+  it('takes the given times and the time since they were measured', () => {
+    const state = syncClock(
+      pressClock(createClockState('5+3'), 0, 'w'),
+      { w: 281000, b: 297500, turn: 'b', elapsed: 120 },
+      1000
+    );
+    expect(getClockTimes(state, 1000)).toEqual({ w: 281000, b: 297380 });
+    expect(getClockTimes(state, 2000)).toEqual({ w: 281000, b: 296380 });
+  });
+
+  it('lifts a flag and can stop the clock', () => {
+    const flagged = checkFlag(startClock(createClockState('1+0'), 0), 60000);
+    const state = syncClock(flagged, { w: 5000, running: false }, 60000);
+    expect(state.flagged).toBeNull();
+    expect(state.status).toBe('paused');
+    expect(getClockTimes(state, 99999).w).toBe(5000);
+  });
+});
+
+describe('formatClockTime', () => {
+  it('shows hours, minutes and tenths under ten seconds', () => {
+    expect(formatClockTime(3909000)).toBe('1:05:09');
+    expect(formatClockTime(299000)).toBe('4:59');
+    expect(formatClockTime(9350)).toBe('9.3');
+    expect(formatClockTime(-5)).toBe('0.0');
+  });
+});
@@ -0,0 +1,77 @@
+import { fenToBoardArray, DEFAULT_POSITION } from '../src/boardUtils';
+import {
+  readEditorSettings,
+  getCastlingOptions,
+  getEnPassantOptions,
+  buildFen,
+  validatePosition
+} from '../src/editor';
+
+const codesOf = (fen) => {
+  const board = fenToBoardArray(fen);
+  return validatePosition(board, readEditorSettings(fen)).warnings.map(warning => warning.code);
+};
+
+describe('readEditorSettings', () => {
+  it('reads everything but the placement', () => {
+    expect(readEditorSettings('8/8/8/8/4p3/8/8/8 w Kq e3 0 1'))
+      .toEqual({ turn: 'w', castling: 'Kq', enPassant: 'e3' });
+    expect(readEditorSettings(null)).toEqual({ turn: 'w', castling: 'KQkq', enPassant: null });
+  });
+});
+
+describe('buildFen', () => {
+  it('writes the start position back', () => {
+    const board = fenToBoardArray(DEFAULT_POSITION);
+    expect(buildFen(board, readEditorSettings(DEFAULT_POSITION))).toBe(DEFAULT_POSITION);
+  });
+
+  it('leaves out castling rights whose king or rook has moved', () => {
+    const board = fenToBoardArray('r3k3/8/8/8/8/8/8/4K2R w - - 0 1');
+    expect(getCastlingOptions(board)).toEqual(['K', 'q']);
+    expect(buildFen(board, { turn: 'w', castling: 'KQkq', enPassant: null }))
+      .toBe('r3k3/8/8/8/8/8/8/4K2R w Kq - 0 1');
+  });
+
+  it('keeps en passant only behind a pawn that just moved two squares', () => {
+    const board = fenToBoardArray('4k3/8/8/8/4P3/8/8/4K3 b - - 0 1');
+    expect(getEnPassantOptions(board, 'b')).toEqual(['e3']);
+    expect(buildFen(board, { turn: 'b', castling: '', enPassant: 'e3' })).toBe('4k3/8/8/8/4P3/8/8/4K3 b - e3 0 1');
+    expect(buildFen(board, { turn: 'b', castling: '', enPassant: 'd3' })).toBe('4k3/8/8/8/4P3/8/8/4K3 b - - 0 1');
+  });
+});
+
+describe('validatePosition', () => {
+  it('accepts the start position', () => {
+    const result = validatePosition(fenToBoardArray(DEFAULT_POSITION), readEditorSettings(DEFAULT_POSITION));
+    expect(result).toEqual({ fen: DEFAULT_POSITION, valid: true, warnings: [] });
+  });
+
+  it('needs exactly one king a side', () => {
+    expect(codesOf('8/8/8/8/8/8/8/4K3 w - - 0 1')).toEqual(['missing_king']);
+    expect(codesOf('4k3/8/8/8/8/8/8/3KK3 w - - 0 1')).toEqual(['too_many_kings']);
+  });
+
+  it('flags impossible pawns and piece counts', () => {
+    expect(codesOf('P3k3/8/8/8/8/8/8/4K3 w - - 0 1')).toEqual(['pawn_on_back_rank']);
+    expect(codesOf('4k3/8/8/8/PPPPPPPP/P7/8/4K3 w - - 0 1')).toEqual(['too_many_pawns']);
+    expect(codesOf('4k3/8/8/8/NNNNNNNN/NNNNNNNN/8/4K3 w - - 0 1')).toEqual(['too_many_pieces']);
+  });
+
+  it('flags the side not to move standing in check', () => {
+    const board = fenToBoardArray('4k3/8/8/8/8/8/8/4KR2 w - - 0 1');
+    expect(validatePosition(board, { turn: 'w', castling: '', enPassant: null }).valid).toBe(true);
+
+    const { warnings } = validatePosition(fenToBoardArray('4k3/8/8/8/8/8/8/4R1K1 w - - 0 1'), {
+      turn: 'w',
+      castling: '',
+      enPassant: null
+    });
+    expect(warnings).toEqual([{
+      code: 'opponent_in_check',
+      color: 'b',
+      square: 'e8',
+      message: "Black is in check but it is White's move"
+    }]);
+  });
+});
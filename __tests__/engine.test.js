@@ -0,0 +1,142 @@
+import { EngineController } from '../src/engine/EngineController';
+import { createLocalEngine } from '../src/engine/localEngine';
+import { createFunctionTransport } from '../src/engine/transports';
+import { parseInfo, parseBestMove, toWhiteScore, formatGo } from '../src/engine/uci';
+
+const START = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+// 1. f3 e5 2. g4, Black mates with Qh4
+const FOOLS_MATE = 'rnbqkbnr/pppp1ppp/8/4p3/6P1/5P2/PPPPP2P/RNBQKBNR b KQkq - 0 2';
+// Black to move, a queen up
+const BLACK_AHEAD = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNB1KBNR b KQkq - 0 1';
+
+describe('uci', () => {
+  it('reads info and bestmove lines', () => {
+    expect(parseInfo('info depth 12 seldepth 16 multipv 2 score cp -31 upperbound nodes 4821 pv e2e4 e7e5')).toEqual({
+      depth: 12,
+      seldepth: 16,
+      multipv: 2,
+      score: { cp: -31 },
+      bound: 'upperbound',
+      nodes: 4821,
+      pv: ['e2e4', 'e7e5']
+    });
+    expect(parseInfo('bestmove e2e4')).toBeNull();
+    expect(parseBestMove('bestmove e2e4 ponder e7e5')).toEqual({ bestMove: 'e2e4', ponder: 'e7e5' });
+    expect(parseBestMove('bestmove (none)')).toEqual({ bestMove: null, ponder: null });
+  });
+
+  it('turns Black\'s scores round', () => {
+    expect(toWhiteScore({ cp: 50 }, 'b')).toEqual({ cp: -50 });
+    expect(toWhiteScore({ mate: -3 }, 'b')).toEqual({ mate: 3 });
+    expect(toWhiteScore({ cp: 50 }, 'w')).toEqual({ cp: 50 });
+  });
+
+  it('writes go commands', () => {
+    expect(formatGo({ depth: 18 })).toBe('go depth 18');
+    expect(formatGo()).toBe('go infinite');
+  });
+});
+
+describe('EngineController with the local engine', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new EngineController(createLocalEngine({ maxDepth: 2 }));
+  });
+
+  afterEach(() => {
+    engine.destroy();
+  });
+
+  it('reads the engine\'s name and options on init', async () => {
+    await engine.init();
+    expect(engine.name).toBe('Local');
+    expect(engine.options.MultiPV).toMatchObject({ type: 'spin', default: '1', max: 10 });
+  });
+
+  it('reports multiPv lines best first', async () => {
+    const seen = [];
+    const result = await engine.analyse(START, {
+      depth: 2,
+      multiPv: 3,
+      onInfo: (info, lines) => seen.push(lines.length)
+    });
+
+    expect(result.lines.map(line => line.multipv)).toEqual([1, 2, 3]);
+    expect(result.lines.every(line => line.depth === 2 && line.pv.length === 2)).toBe(true);
+    expect(result.bestMove).toBe(result.lines[0].pv[0]);
+    expect(Math.max(...seen)).toBe(3);
+    expect(engine.isSearching()).toBe(false);
+  });
+
+  it('gives scores from White\'s point of view', async () => {
+    const ahead = await engine.analyse(BLACK_AHEAD, { depth: 1 });
+    expect(ahead.lines[0].score.cp).toBeLessThan(-500);
+
+    const mate = await engine.analyse(FOOLS_MATE, { depth: 2 });
+    expect(mate.bestMove).toBe('d8h4');
+    expect(mate.lines[0].score).toEqual({ mate: -1 });
+  });
+
+  it('stops an infinite search with what it found', async () => {
+    const analysis = engine.analyse(START, {});
+    await new Promise(resolve => engine.on('info', resolve));
+    expect(engine.isSearching()).toBe(true);
+
+    const stopped = await engine.stop();
+    expect(stopped.bestMove).toMatch(/^[a-h][1-8][a-h][1-8]$/);
+    await expect(analysis).resolves.toBe(stopped);
+    await expect(engine.stop()).resolves.toBeNull();
+  });
+
+  it('cancels a search that a newer one replaced before it started', async () => {
+    const first = engine.analyse(START, { depth: 1 });
+    const second = engine.analyse(FOOLS_MATE, { depth: 2 });
+
+    await expect(first).resolves.toEqual({ bestMove: null, ponder: null, lines: [], cancelled: true });
+    await expect(second).resolves.toMatchObject({ bestMove: 'd8h4' });
+  });
+});
+
+describe('EngineController transport', () => {
+  it('sends the handshake, the options and the search', async () => {
+    const sent = [];
+    const transport = createFunctionTransport((command, emit) => {
+      sent.push(command);
+      if (command === 'uci') emit('id name Stub\nuciok');
+      if (command === 'isready') emit('readyok');
+      if (command.startsWith('go')) emit('info depth 1 score cp 12 pv e7e5\nbestmove e7e5');
+    });
+    const engine = new EngineController(transport, { options: { Hash: 16 } });
+
+    const result = await engine.analyse('4k3/4p3/8/8/8/8/8/4K3 b - - 0 1', { movetime: 100 });
+    expect(result).toEqual({
+      bestMove: 'e7e5',
+      ponder: null,
+      lines: [{ multipv: 1, depth: 1, score: { cp: -12 }, pv: ['e7e5'] }]
+    });
+    expect(sent).toEqual([
+      'uci',
+      'setoption name Hash value 16',
+      'isready',
+      'setoption name MultiPV value 1',
+      'isready',
+      'position fen 4k3/4p3/8/8/8/8/8/4K3 b - - 0 1',
+      'go movetime 100'
+    ]);
+    engine.destroy();
+  });
+
+  it('cancels searches still waiting for the engine when destroyed', async () => {
+    const sent = [];
+    const engine = new EngineController(createFunctionTransport(command => sent.push(command)));
+    const analysis = engine.analyse(START, { depth: 1 });
+    const newGame = engine.newGame();
+
+    engine.destroy();
+    await expect(analysis).resolves.toEqual({ bestMove: null, ponder: null, lines: [], cancelled: true });
+    await expect(newGame).resolves.toBeNull();
+    await expect(engine.analyse(START, { depth: 1 })).resolves.toMatchObject({ cancelled: true });
+    expect(sent).toEqual(['uci', 'quit']);
+  });
+});
@@ -0,0 +1,63 @@
+import { Chess } from 'chess.js';
+import { parseUciMove, readPv, rankEngineLines, getEngineLineArrows } from '../src/engineLines';
+
+const START = new Chess().board();
+
+describe('parseUciMove', () => {
+  it('reads moves and promotions', () => {
+    expect(parseUciMove('e2e4')).toEqual({ from: 'e2', to: 'e4', promotion: undefined });
+    expect(parseUciMove('a7a8q')).toEqual({ from: 'a7', to: 'a8', promotion: 'q' });
+    expect(parseUciMove('O-O')).toBeNull();
+    expect(parseUciMove(null)).toBeNull();
+  });
+});
+
+describe('rankEngineLines', () => {
+  it('orders by multipv and drops lines without a PV', () => {
+    const lines = [
+      { multipv: 2, pv: 'd2d4' },
+      { multipv: 3, pv: [] },
+      { multipv: 1, pv: ['e2e4', 'e7e5'] }
+    ];
+    expect(rankEngineLines(lines).map(readPv)).toEqual([['e2e4', 'e7e5'], ['d2d4']]);
+  });
+
+  it('keeps the given order when lines are not numbered', () => {
+    expect(rankEngineLines([{ pv: 'g1f3' }, { pv: 'c2c4' }]).map(line => line.pv)).toEqual(['g1f3', 'c2c4']);
+  });
+});
+
+describe('getEngineLineArrows', () => {
+  const LINES = [
+    { multipv: 1, score: { cp: 35 }, pv: 'e2e4 e7e5 g1f3 b8c6' },
+    { multipv: 2, score: { cp: 28 }, pv: 'd2d4 d7d5' },
+    { multipv: 3, score: { mate: -4 }, pv: 'g2g4 e7e5' },
+    { multipv: 4, score: { cp: 10 }, pv: 'c2c4' }
+  ];
+
+  it('draws the top lines with the best one on top, widest and most solid', () => {
+    const arrows = getEngineLineArrows(LINES, START);
+    expect(arrows.map(arrow => [arrow.key, arrow.from, arrow.to, arrow.label])).toEqual([
+      ['line-2', 'g2', 'g4', '-M4'],
+      ['line-1', 'd2', 'd4', '+0.3'],
+      ['line-0', 'e2', 'e4', '+0.4']
+    ]);
+    const [third, second, best] = arrows;
+    expect(best.widthScale).toBeGreaterThan(second.widthScale);
+    expect(second.opacity).toBeGreaterThan(third.opacity);
+  });
+
+  it('numbers the best line\'s next plies and knows the pieces that make them', () => {
+    const arrows = getEngineLineArrows(LINES, START, { maxLines: 1, continuationPlies: 2 });
+    expect(arrows.map(arrow => [arrow.key, arrow.from, arrow.to, arrow.piece, arrow.label])).toEqual([
+      ['ply-2', 'e7', 'e5', 'p', '2'],
+      ['ply-3', 'g1', 'f3', 'n', '3'],
+      ['line-0', 'e2', 'e4', 'p', '+0.4']
+    ]);
+  });
+
+  it('leaves out lines whose first move cannot be played', () => {
+    const arrows = getEngineLineArrows(LINES, START, { isPlayable: move => move.from !== 'e2' });
+    expect(arrows.map(arrow => arrow.key)).toEqual(['line-2', 'line-1']);
+  });
+});
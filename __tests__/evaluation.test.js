@@ -0,0 +1,58 @@
+import { normalizeEvaluation, getWhiteShare, formatEvaluation, getFavoredColor } from '../src/evaluation';
+
+describe('normalizeEvaluation', () => {
+  it('reads centipawns, mates and bare numbers', () => {
+    expect(normalizeEvaluation(35)).toEqual({ cp: 35, mate: null });
+    expect(normalizeEvaluation({ cp: -120 })).toEqual({ cp: -120, mate: null });
+    expect(normalizeEvaluation({ mate: -2, cp: 500 })).toEqual({ cp: null, mate: -2 });
+  });
+
+  it('gives null for anything else', () => {
+    expect(normalizeEvaluation(null)).toBeNull();
+    expect(normalizeEvaluation(NaN)).toBeNull();
+    expect(normalizeEvaluation({ mate: 0 })).toBeNull();
+    expect(normalizeEvaluation('+0.5')).toBeNull();
+  });
+});
+
+describe('getWhiteShare', () => {
+  it('keeps the bar level without a score or at equality', () => {
+    expect(getWhiteShare(null)).toBe(0.5);
+    expect(getWhiteShare({ cp: 0 })).toBe(0.5);
+  });
+
+  it('fills the bar for the side that is ahead, the same amount either way', () => {
+    const white = getWhiteShare({ cp: 300 });
+    expect(white).toBeGreaterThan(0.7);
+    expect(white).toBeLessThan(0.8);
+    expect(getWhiteShare({ cp: -300 })).toBeCloseTo(1 - white);
+  });
+
+  it('fills it completely for a mate', () => {
+    expect(getWhiteShare({ mate: 3 })).toBe(1);
+    expect(getWhiteShare({ mate: -1 })).toBe(0);
+    expect(getWhiteShare({ cp: 100000 })).toBeCloseTo(1);
+  });
+});
+
+describe('formatEvaluation', () => {
+  it.each([
+    [{ cp: 42 }, '+0.4'],
+    [{ cp: -150 }, '-1.5'],
+    [{ cp: 4 }, '0.0'],
+    [{ mate: 3 }, 'M3'],
+    [{ mate: -2 }, '-M2'],
+    [null, '']
+  ])('writes %j as "%s"', (evaluation, text) => {
+    expect(formatEvaluation(evaluation)).toBe(text);
+  });
+});
+
+describe('getFavoredColor', () => {
+  it('names the side the score favours, White when level', () => {
+    expect(getFavoredColor({ cp: -20 })).toBe('b');
+    expect(getFavoredColor({ mate: 4 })).toBe('w');
+    expect(getFavoredColor({ cp: 0 })).toBe('w');
+    expect(getFavoredColor(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,46 @@
+import { getMaterial, countPieces, PIECE_VALUES } from '../src/material';
+import { fenToBoardArray } from '../src/boardUtils';
+
+const none = { p: 0, n: 0, b: 0, r: 0, q: 0, k: 0 };
+
+describe('countPieces', () => {
+  it('counts a FEN or a board array', () => {
+    const fen = '4k3/pp6/8/8/8/8/8/RN2K3 w - - 0 1';
+    const counts = { w: { ...none, r: 1, n: 1, k: 1 }, b: { ...none, p: 2, k: 1 } };
+    expect(countPieces(fen)).toEqual(counts);
+    expect(countPieces(fenToBoardArray(fen))).toEqual(counts);
+  });
+});
+
+describe('getMaterial', () => {
+  it('has nothing captured at the start', () => {
+    expect(getMaterial('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1')).toEqual({
+      captured: { w: none, b: none },
+      material: { w: 39, b: 39 },
+      advantage: 0
+    });
+  });
+
+  it('lists what each side took and who is ahead', () => {
+    // White has taken a knight and a pawn, Black a pawn
+    const { captured, advantage } = getMaterial('r1bqkbnr/ppp1pppp/8/8/8/8/PPP1PPPP/RNBQKBNR w KQkq - 0 4');
+    expect(captured.w).toEqual({ ...none, p: 1, n: 1 });
+    expect(captured.b).toEqual({ ...none, p: 1 });
+    expect(advantage).toBe(PIECE_VALUES.n);
+  });
+
+  it('counts a promoted piece as its pawn, not as a hidden capture', () => {
+    // White's a-pawn took the a8 rook and became a second queen
+    const { captured, material, advantage } = getMaterial('Qnbqkbnr/pppppppp/8/8/8/8/1PPPPPPP/RNBQKBNR b KQk - 0 1');
+    expect(captured.b).toEqual(none);
+    expect(captured.w).toEqual({ ...none, r: 1 });
+    expect(material.w).toBe(39 - 1 + 9);
+    expect(advantage).toBe(47 - 34);
+  });
+
+  it('compares with the position the game started from', () => {
+    const start = '4k3/pppp4/8/8/8/8/PPPP4/4K3 w - - 0 1';
+    expect(getMaterial(start, start).captured).toEqual({ w: none, b: none });
+    expect(getMaterial('4k3/ppp5/8/8/8/8/PPPP4/4K3 b - - 0 1', start).captured.w).toEqual({ ...none, p: 1 });
+  });
+});
@@ -0,0 +1,73 @@
+import { Chess } from 'chess.js';
+import { computePieceAnimations } from '../src/moveAnimations';
+
+// Board arrays before and after playing `move` from `fen`
+const play = (fen, move) => {
+  const game = new Chess(fen);
+  const before = game.board();
+  game.move(move);
+  return [before, game.board()];
+};
+
+const keysOf = (result) => result.moves.map(move => move.key);
+
+describe('computePieceAnimations', () => {
+  it('slides the moved piece', () => {
+    const result = computePieceAnimations(...play('4k3/8/8/8/8/8/4P3/4K3 w - - 0 1', 'e4'));
+    expect(result.moves).toEqual([{
+      key: 'e2-e4',
+      piece: expect.objectContaining({ type: 'p', color: 'w' }),
+      fromRow: 6,
+      fromCol: 4,
+      toRow: 4,
+      toCol: 4,
+      square: 'e4',
+      promotion: null
+    }]);
+    expect(result.fades).toEqual([]);
+  });
+
+  it('fades a captured piece where it stood', () => {
+    const result = computePieceAnimations(...play('4k3/8/8/3p4/4P3/8/8/4K3 w - - 0 1', 'exd5'));
+    expect(keysOf(result)).toEqual(['e4-d5']);
+    expect(result.fades.map(fade => fade.key)).toEqual(['fade-d5']);
+  });
+
+  it('moves king and rook when castling', () => {
+    const result = computePieceAnimations(...play('4k3/8/8/8/8/8/8/4K2R w K - 0 1', 'O-O'));
+    expect(keysOf(result).sort()).toEqual(['e1-g1', 'h1-f1']);
+    expect(result.fades).toEqual([]);
+  });
+
+  it('fades the pawn taken en passant from its own square', () => {
+    const result = computePieceAnimations(...play('4k3/8/8/3pP3/8/8/8/4K3 w - d6 0 2', 'exd6'));
+    expect(keysOf(result)).toEqual(['e5-d6']);
+    expect(result.fades.map(fade => fade.key)).toEqual(['fade-d5']);
+  });
+
+  it('pairs a promoted piece with its pawn', () => {
+    const result = computePieceAnimations(...play('4k3/P7/8/8/8/8/8/4K3 w - - 0 1', 'a8=N'));
+    expect(result.moves).toHaveLength(1);
+    expect(result.moves[0]).toMatchObject({
+      key: 'a7-a8',
+      piece: { type: 'p', color: 'w' },
+      promotion: { type: 'n', color: 'w' }
+    });
+  });
+
+  it('pairs a capturing promotion with its pawn and fades the captured piece', () => {
+    const result = computePieceAnimations(...play('r3k3/1P6/8/8/8/8/8/4K3 w - - 0 1', 'bxa8=Q'));
+    expect(result.moves).toHaveLength(1);
+    expect(result.moves[0]).toMatchObject({ key: 'b7-a8', promotion: { type: 'q', color: 'w' } });
+    expect(result.fades.map(fade => fade.key)).toEqual(['fade-a8']);
+  });
+
+  it('gives null when nothing changed or a new position was set', () => {
+    const start = new Chess().board();
+    expect(computePieceAnimations(start, start)).toBeNull();
+    expect(computePieceAnimations(start, null)).toBeNull();
+
+    const empty = Array.from({ length: 8 }, () => Array(8).fill(null));
+    expect(computePieceAnimations(empty, start)).toBeNull();
+  });
+});
@@ -0,0 +1,83 @@
+import { Chess } from 'chess.js';
+import { resolveMoveInput, readSpokenMove, describeInputError, moveCursor } from '../src/moveInput';
+
+const legalMoves = (fen) => new Chess(fen).moves({ verbose: true });
+
+// 1. e4 e5 2. Nf3 Nc6
+const OPENING = legalMoves('r1bqkbnr/pppp1ppp/2n5/4p3/4P3/5N2/PPPP1PPP/RNBQKB1R w KQkq - 2 3');
+
+describe('resolveMoveInput', () => {
+  it('reads SAN, lower-case piece letters and UCI', () => {
+    expect(resolveMoveInput('Bb5', OPENING).move.san).toBe('Bb5');
+    expect(resolveMoveInput('nc3', OPENING).move.san).toBe('Nc3');
+    expect(resolveMoveInput('f3g5', OPENING).move.san).toBe('Ng5');
+    expect(resolveMoveInput('Nxe5+', OPENING).move.san).toBe('Nxe5');
+  });
+
+  it('reads b as the b-file unless only a bishop move fits', () => {
+    expect(resolveMoveInput('b3', OPENING).move.san).toBe('b3');
+    expect(resolveMoveInput('bc4', OPENING).move.san).toBe('Bc4');
+  });
+
+  it('reads spoken moves', () => {
+    expect(resolveMoveInput('knight c3', OPENING).move.san).toBe('Nc3');
+    expect(resolveMoveInput('knight takes e5', OPENING).move.san).toBe('Nxe5');
+  });
+
+  it('reports illegal and unreadable text', () => {
+    expect(resolveMoveInput('Nf3', OPENING)).toEqual({ move: null, reason: 'illegal', candidates: [] });
+    expect(resolveMoveInput('castle kingside', OPENING).reason).toBe('illegal');
+    expect(resolveMoveInput('hello', OPENING).reason).toBe('invalid');
+  });
+
+  it('lists the candidates of an ambiguous move', () => {
+    const result = resolveMoveInput('Nd2', legalMoves('4k3/8/8/8/8/8/8/1N2KN2 w - - 0 1'));
+    expect(result.reason).toBe('ambiguous');
+    expect(result.candidates.map(move => move.san)).toEqual(['Nbd2', 'Nfd2']);
+    expect(describeInputError('Nd2', result)).toBe('Nd2 could be Nbd2 or Nfd2');
+  });
+
+  it('asks for the piece of a promotion', () => {
+    const promotions = legalMoves('4k3/P7/8/8/8/8/8/4K3 w - - 0 1');
+    expect(resolveMoveInput('a8', promotions).reason).toBe('ambiguous');
+    expect(resolveMoveInput('a8=N', promotions).move.promotion).toBe('n');
+    expect(resolveMoveInput('a7a8r', promotions).move.promotion).toBe('r');
+  });
+
+  it('reads crazyhouse drops', () => {
+    const drops = [{ from: 'N@', to: 'f3', san: 'N@f3' }];
+    expect(resolveMoveInput('N@f3', drops).move).toBe(drops[0]);
+  });
+});
+
+describe('readSpokenMove', () => {
+  it.each([
+    ['knight takes e5', 'Nxe5'],
+    ['knight at f3', 'Nf3'],
+    ['e8 equals queen', 'e8=Q'],
+    ['castle queenside', 'O-O-O'],
+    ['alpha one bravo two', 'a1b2']
+  ])('reads "%s" as %s', (text, move) => {
+    expect(readSpokenMove(text)).toBe(move);
+  });
+
+  it('gives null for other words', () => {
+    expect(readSpokenMove('hello there')).toBeNull();
+  });
+});
+
+describe('describeInputError', () => {
+  it('words each reason for the player', () => {
+    expect(describeInputError('Ke2', { reason: 'illegal' })).toBe('Ke2 is not legal here');
+    expect(describeInputError(' xyz ', { reason: 'invalid' })).toBe('"xyz" is not a move');
+  });
+});
+
+describe('moveCursor', () => {
+  it('steps as the player sees the board and stops at the edge', () => {
+    expect(moveCursor('e2', 'ArrowUp')).toBe('e3');
+    expect(moveCursor('e2', 'ArrowUp', 'black')).toBe('e1');
+    expect(moveCursor('a1', 'ArrowLeft')).toBe('a1');
+    expect(moveCursor('e2', 'Enter')).toBe('e2');
+  });
+});
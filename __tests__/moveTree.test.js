@@ -0,0 +1,53 @@
+import { createMoveTree, addMoveNode, getNodePath, getLineThrough } from '../src/moveTree';
+
+const START = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+const move = (from, to, san) => ({ from, to, san });
+
+// 1. e4 e5 2. Nf3
+const playMainLine = (tree) => {
+  const e4 = addMoveNode(tree, 'root', move('e2', 'e4', 'e4'), 'fen-e4');
+  const e5 = addMoveNode(tree, e4.id, move('e7', 'e5', 'e5'), 'fen-e5');
+  const nf3 = addMoveNode(tree, e5.id, move('g1', 'f3', 'Nf3'), 'fen-nf3');
+  return { e4, e5, nf3 };
+};
+
+describe('addMoveNode', () => {
+  it('counts plies from the root', () => {
+    const tree = createMoveTree(START);
+    const { nf3 } = playMainLine(tree);
+    expect(nf3.ply).toBe(3);
+    expect(getNodePath(tree, nf3.id).map(node => node.move.san)).toEqual(['e4', 'e5', 'Nf3']);
+  });
+
+  it('reuses the node when the same move is played again', () => {
+    const tree = createMoveTree(START);
+    const { e4, e5 } = playMainLine(tree);
+    expect(addMoveNode(tree, e4.id, move('e7', 'e5', 'e5'), 'fen-e5')).toBe(e5);
+    expect(Object.keys(tree.nodes)).toHaveLength(4);
+  });
+
+  it('drops what followed in truncate mode', () => {
+    const tree = createMoveTree(START);
+    const { e4, e5, nf3 } = playMainLine(tree);
+    const c5 = addMoveNode(tree, e4.id, move('c7', 'c5', 'c5'), 'fen-c5', 'truncate');
+
+    expect(e4.children).toEqual([c5]);
+    expect(tree.nodes[e5.id]).toBeUndefined();
+    expect(tree.nodes[nf3.id]).toBeUndefined();
+  });
+
+  it('keeps the old line as the main line in branch mode', () => {
+    const tree = createMoveTree(START);
+    const { e4, e5, nf3 } = playMainLine(tree);
+    const c5 = addMoveNode(tree, e4.id, move('c7', 'c5', 'c5'), 'fen-c5', 'branch');
+
+    expect(e4.children).toEqual([e5, c5]);
+    expect(getLineThrough(tree, e4.id).map(node => node.move.san)).toEqual(['e4', 'e5', 'Nf3']);
+    expect(getLineThrough(tree, c5.id).map(node => node.move.san)).toEqual(['e4', 'c5']);
+    expect(tree.nodes[nf3.id]).toBe(nf3);
+  });
+
+  it('ignores an unknown parent', () => {
+    expect(addMoveNode(createMoveTree(START), 'n99', move('e2', 'e4', 'e4'), 'fen')).toBeNull();
+  });
+});
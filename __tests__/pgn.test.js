@@ -0,0 +1,86 @@
+import { parsePgn, writePgn, getNagGlyphs, getMoveGlyph } from '../src/pgn';
+
+const GAME = [
+  '[Event "Test"]',
+  '[White "A"]',
+  '',
+  '1. e4 e5 2. Nf3!? {Main} (2. Bc4 Nf6 (2... Bc5 3. Qh5) 3. d3) 2... Nc6 $1 3. Bb5 a6?? *'
+].join('\n');
+
+const sanOf = (node) => node.children.map(child => child.move.san);
+
+describe('parsePgn', () => {
+  it('reads variations, comments and NAGs into the move tree', () => {
+    const { headers, tree } = parsePgn(GAME);
+    expect(headers).toEqual({ Event: 'Test', White: 'A', Result: '*' });
+
+    const e5 = tree.nodes.root.children[0].children[0];
+    expect(sanOf(e5)).toEqual(['Nf3', 'Bc4']);
+
+    const [nf3, bc4] = e5.children;
+    expect(nf3.comment).toBe('Main');
+    expect(nf3.nags).toEqual([5]);
+    expect(sanOf(bc4)).toEqual(['Nf6', 'Bc5']);
+    expect(nf3.children[0].nags).toEqual([1]);
+  });
+
+  it('drops clock and engine commands from comments', () => {
+    const { tree } = parsePgn('1. e4 {[%clk 0:03:00] Fine} *');
+    expect(tree.nodes.root.children[0].comment).toBe('Fine');
+  });
+
+  it('starts from the FEN tag', () => {
+    const fen = '4k3/8/8/8/8/8/4P3/4K3 w - - 0 1';
+    const { tree } = parsePgn(`[SetUp "1"]\n[FEN "${fen}"]\n\n1. e4 *`);
+    expect(tree.startFen).toBe(fen);
+    expect(tree.nodes.root.children[0].move.san).toBe('e4');
+  });
+
+  it('throws on an illegal move', () => {
+    expect(() => parsePgn('1. e5 *')).toThrow();
+  });
+});
+
+describe('writePgn', () => {
+  it('writes the tree back with the seven tag roster', () => {
+    const { headers, tree } = parsePgn(GAME);
+    expect(writePgn(tree, headers)).toBe([
+      '[Event "Test"]',
+      '[Site "?"]',
+      '[Date "????.??.??"]',
+      '[Round "?"]',
+      '[White "A"]',
+      '[Black "?"]',
+      '[Result "*"]',
+      '',
+      '1. e4 e5 2. Nf3 $5 {Main} (2. Bc4 Nf6 (2... Bc5 3. Qh5) 3. d3) 2... Nc6 $1 3. Bb5 a6 $4 *'
+    ].join('\n'));
+  });
+
+  it('reads back what it writes', () => {
+    const first = parsePgn(GAME);
+    const text = writePgn(first.tree, first.headers);
+    const second = parsePgn(text);
+    expect(writePgn(second.tree, second.headers)).toBe(text);
+    expect(second.tree.nodes).toEqual(first.tree.nodes);
+  });
+
+  it('keeps the Chess960 start position and Variant tag', () => {
+    const pgn = '[Variant "Chess960"]\n[FEN "rk5r/8/8/8/8/8/8/RK5R w KQkq - 0 1"]\n\n1. O-O *';
+    const { headers, tree } = parsePgn(pgn);
+    expect(tree.nodes.root.children[0].move.to).toBe('h1');
+
+    const text = writePgn(tree, headers);
+    expect(text).toContain('[Variant "Chess960"]');
+    expect(text).toContain('[FEN "rk5r/8/8/8/8/8/8/RK5R w KQkq - 0 1"]');
+    expect(text).toMatch(/1\. O-O \*$/);
+  });
+});
+
+describe('glyphs', () => {
+  it('maps NAGs to glyphs, move assessments first', () => {
+    expect(getNagGlyphs([1, 14])).toEqual(['!', '⩲']);
+    expect(getMoveGlyph([14, 2])).toBe('?');
+    expect(getMoveGlyph([14])).toBeNull();
+  });
+});
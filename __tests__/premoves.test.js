@@ -0,0 +1,143 @@
+import { Chess } from 'chess.js';
+import {
+  getPieceAt,
+  getPremoveDestinations,
+  getPremoveTargets,
+  isPremovePromotion,
+  applyPremovesToBoard,
+  takeNextPremove
+} from '../src/premoves';
+import { createGame, RULES } from '../src/rules';
+
+const boardOf = (fen) => new Chess(fen).board();
+
+describe('getPremoveDestinations', () => {
+  it('ignores blockers, since the reply can move them', () => {
+    const board = boardOf('rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1');
+    expect(getPremoveDestinations(board, 'e2').sort()).toEqual(['d3', 'e3', 'e4', 'f3']);
+    expect(getPremoveDestinations(board, 'a1').sort()).toEqual([
+      'a2', 'a3', 'a4', 'a5', 'a6', 'a7', 'a8', 'b1', 'c1', 'd1', 'e1', 'f1', 'g1', 'h1'
+    ]);
+    expect(getPremoveDestinations(board, 'g1').sort()).toEqual(['e2', 'f3', 'h3']);
+  });
+
+  it('offers castling while king and rooks stand at home', () => {
+    const board = boardOf('r3k2r/8/8/8/8/8/8/R3K3 b kq - 0 1');
+    expect(getPremoveDestinations(board, 'e1')).not.toContain('g1');
+    expect(getPremoveDestinations(board, 'e1')).toContain('c1');
+    expect(getPremoveDestinations(board, 'e8')).toEqual(expect.arrayContaining(['g8', 'c8']));
+  });
+
+  it('gives nothing for an empty square', () => {
+    expect(getPremoveDestinations(boardOf('4k3/8/8/8/8/8/8/4K3 w - - 0 1'), 'd4')).toEqual([]);
+  });
+});
+
+describe('getPremoveTargets', () => {
+  it('marks the destinations an enemy piece stands on', () => {
+    const board = boardOf('4k3/8/8/3p4/4P3/8/8/4K3 b - - 0 1');
+    expect(getPremoveTargets(board, 'e4')).toEqual({ validMoves: ['e5', 'd5', 'f5'], captureMoves: ['d5'] });
+  });
+});
+
+describe('isPremovePromotion', () => {
+  it('is a pawn reaching the last rank', () => {
+    const board = boardOf('4k3/P7/8/8/8/8/8/4K3 b - - 0 1');
+    expect(isPremovePromotion(board, 'a7', 'a8')).toBe(true);
+    expect(isPremovePromotion(board, 'e1', 'e2')).toBe(false);
+  });
+});
+
+describe('applyPremovesToBoard', () => {
+  it('plays the queue in order so later premoves start where earlier ones ended', () => {
+    const board = boardOf('4k3/8/8/8/8/8/4P3/4K3 b - - 0 1');
+    const queued = applyPremovesToBoard(board, [{ from: 'e2', to: 'e4' }, { from: 'e4', to: 'e5' }]);
+    expect(getPieceAt(queued, 'e5')).toMatchObject({ type: 'p', color: 'w' });
+    expect(getPieceAt(queued, 'e2')).toBeNull();
+    expect(getPieceAt(board, 'e2')).toMatchObject({ type: 'p' });
+  });
+
+  it('carries the rook along when castling and promotes', () => {
+    const board = boardOf('4k3/1P6/8/8/8/8/8/R3K3 b Q - 0 1');
+    const queued = applyPremovesToBoard(board, [
+      { from: 'e1', to: 'c1' },
+      { from: 'b7', to: 'b8', promotion: 'n' }
+    ]);
+    expect(getPieceAt(queued, 'c1')).toMatchObject({ type: 'k' });
+    expect(getPieceAt(queued, 'd1')).toMatchObject({ type: 'r' });
+    expect(getPieceAt(queued, 'a1')).toBeNull();
+    expect(getPieceAt(queued, 'b8')).toMatchObject({ type: 'n', color: 'w' });
+  });
+
+  it('skips a premove whose piece is gone', () => {
+    const board = boardOf('4k3/8/8/8/8/8/8/4K3 b - - 0 1');
+    expect(applyPremovesToBoard(board, [{ from: 'd2', to: 'd4' }])).toEqual(board);
+  });
+});
+
+describe('castling premoves', () => {
+  // Chess960 with the king on b1 and rooks on a1 and h1
+  const FEN_960 = 'rk5r/8/8/8/8/8/8/RK5R b KQkq - 0 1';
+
+  it('reads the castlings the rules allow', () => {
+    const standard = createGame('r3k2r/8/8/8/8/8/8/R3K2R b Kq - 0 1');
+    expect(RULES.standard.getCastling(standard, 'w')).toEqual([{ king: 'e1', rook: 'h1', to: 'g1' }]);
+    expect(RULES.standard.getCastling(standard, 'b')).toEqual([{ king: 'e8', rook: 'a8', to: 'c8' }]);
+
+    expect(RULES.chess960.getCastling(createGame(FEN_960, 'chess960'), 'w')).toEqual([
+      { king: 'b1', rook: 'h1', to: 'h1' },
+      { king: 'b1', rook: 'a1', to: 'a1' }
+    ]);
+    expect(RULES.antichess.getCastling(createGame(FEN_960, 'antichess'), 'w')).toEqual([]);
+  });
+
+  it('puts a Chess960 king onto its rook and castles it on the board', () => {
+    const game = createGame(FEN_960, 'chess960');
+    const castling = RULES.chess960.getCastling(game, 'w');
+    const board = game.board();
+    expect(getPremoveDestinations(board, 'b1', castling)).toEqual(expect.arrayContaining(['h1', 'a1']));
+
+    const queued = applyPremovesToBoard(board, [{ from: 'b1', to: 'h1' }], castling);
+    expect(getPieceAt(queued, 'g1')).toMatchObject({ type: 'k', color: 'w' });
+    expect(getPieceAt(queued, 'f1')).toMatchObject({ type: 'r', color: 'w' });
+    expect(getPieceAt(queued, 'b1')).toBeNull();
+    expect(getPieceAt(queued, 'h1')).toBeNull();
+  });
+
+  it('leaves a king stepping onto a rook it cannot castle with as an ordinary move', () => {
+    const board = boardOf('4k3/8/8/8/8/8/8/4KR2 b - - 0 1');
+    const queued = applyPremovesToBoard(board, [{ from: 'e1', to: 'f1' }], []);
+    expect(getPieceAt(queued, 'f1')).toMatchObject({ type: 'k' });
+    expect(getPieceAt(queued, 'e1')).toBeNull();
+  });
+});
+
+describe('takeNextPremove', () => {
+  it('plays the first premove once it is legal and keeps the rest queued', () => {
+    const game = createGame('4k3/8/8/8/8/8/4P3/4K3 w - - 0 1');
+    const queue = [{ from: 'e2', to: 'e4' }, { from: 'e4', to: 'e5' }];
+    expect(takeNextPremove(game, queue)).toEqual({ premove: queue[0], remaining: [queue[1]] });
+  });
+
+  it('drops the whole queue when the reply made the first premove illegal', () => {
+    // Black's reply put a pawn on e3
+    const game = createGame('4k3/8/8/8/8/4p3/4P3/4K3 w - - 0 1');
+    const queue = [{ from: 'e2', to: 'e4' }, { from: 'e4', to: 'e5' }];
+    expect(takeNextPremove(game, queue)).toEqual({ premove: null, remaining: [] });
+  });
+
+  it('needs the queued promotion piece', () => {
+    const game = createGame('4k3/P7/8/8/8/8/8/4K3 w - - 0 1');
+    expect(takeNextPremove(game, [{ from: 'a7', to: 'a8', promotion: 'q' }]).premove).not.toBeNull();
+    expect(takeNextPremove(game, [{ from: 'a7', to: 'a8' }]).premove).toBeNull();
+  });
+
+  it('plays a Chess960 castling premove', () => {
+    const game = createGame('rk5r/8/8/8/8/8/8/RK5R w KQkq - 0 1', 'chess960');
+    expect(takeNextPremove(game, [{ from: 'b1', to: 'h1' }]).premove).toEqual({ from: 'b1', to: 'h1' });
+  });
+
+  it('has nothing to play for an empty queue', () => {
+    expect(takeNextPremove(createGame(), [])).toEqual({ premove: null, remaining: [] });
+  });
+});
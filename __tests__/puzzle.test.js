@@ -0,0 +1,93 @@
+import { normalizeSolution, resolveSolutionMove, isSolutionMove, findIllegalSolutionMove } from '../src/puzzle';
+import { createGame } from '../src/rules';
+
+// Black to move: 1... Qh4#
+const FOOLS_MATE = 'rnbqkbnr/pppp1ppp/8/4p3/6P1/5P2/PPPPP2P/RNBQKBNR b KQkq - 0 2';
+// White to move: 4. Qxf7#
+const SCHOLARS = 'r1bqkbnr/pppp1ppp/2n5/4p2Q/2B1P3/8/PPPP1PPP/RNB1K1NR w KQkq - 2 3';
+// Two knights defence, where 4. Ng5 d5 5. exd5 Nxd5?! 6. Nxf7 is the fried liver
+const TWO_KNIGHTS = 'r1bqkb1r/pppp1ppp/2n2n2/4p3/2B1P3/5N2/PPPP1PPP/RNBQK2R w KQkq - 4 4';
+const FRIED_LIVER = ['f3g5', 'd7d5', 'e4d5', 'f6d5', 'g5f7'];
+// Two mates: Ra8# and Rc8#
+const TWO_MATES = '6k1/5ppp/8/8/8/8/8/R1R3K1 w - - 0 1';
+
+describe('normalizeSolution', () => {
+  it('drops move numbers and results', () => {
+    expect(normalizeSolution('1. e4 e5 2.Nf3 1-0')).toEqual(['e4', 'e5', 'Nf3']);
+    expect(normalizeSolution(['3...Qh4#', ' * '])).toEqual(['Qh4#']);
+    expect(normalizeSolution(null)).toEqual([]);
+  });
+});
+
+describe('resolveSolutionMove', () => {
+  it('reads UCI and SAN, with or without annotation', () => {
+    expect(resolveSolutionMove(FOOLS_MATE, 'd8h4')).toMatchObject({ from: 'd8', to: 'h4', san: 'Qh4#' });
+    expect(resolveSolutionMove(SCHOLARS, 'Qxf7#!')).toMatchObject({ from: 'h5', to: 'f7' });
+    expect(resolveSolutionMove(SCHOLARS, 'Qf7')).toMatchObject({ san: 'Qxf7#' });
+  });
+
+  it('leaves the position alone and gives null when the move is illegal', () => {
+    expect(resolveSolutionMove(FOOLS_MATE, 'e2e4')).toBeNull();
+    expect(resolveSolutionMove(FOOLS_MATE, 'Qh5')).toBeNull();
+    expect(resolveSolutionMove(FOOLS_MATE, '')).toBeNull();
+  });
+});
+
+describe('isSolutionMove', () => {
+  it('matches the square pair and promotion', () => {
+    const expected = resolveSolutionMove('4k3/P7/8/8/8/8/8/4K3 w - - 0 1', 'a7a8q');
+    expect(isSolutionMove({ from: 'a7', to: 'a8', promotion: 'q', san: 'a8=Q+' }, expected)).toBe(true);
+    expect(isSolutionMove({ from: 'a7', to: 'a8', promotion: 'n', san: 'a8=N' }, expected)).toBe(false);
+    expect(isSolutionMove(null, expected)).toBe(false);
+  });
+
+  it('accepts any mate when the solution mates', () => {
+    const expected = resolveSolutionMove(TWO_MATES, 'Ra8#');
+    const other = resolveSolutionMove(TWO_MATES, 'c1c8');
+    expect(other.san).toBe('Rc8#');
+    expect(isSolutionMove(other, expected)).toBe(true);
+
+    const notMate = resolveSolutionMove(TWO_MATES, 'Rc7');
+    expect(isSolutionMove(notMate, expected)).toBe(false);
+  });
+
+  it('wants the exact move when the solution does not mate', () => {
+    const expected = resolveSolutionMove(TWO_MATES, 'Kf1');
+    expect(isSolutionMove(resolveSolutionMove(TWO_MATES, 'Kh1'), expected)).toBe(false);
+  });
+});
+
+describe('solution lines', () => {
+  it('checks each ply from the position the line has reached', () => {
+    const game = createGame(TWO_KNIGHTS);
+    FRIED_LIVER.forEach(notation => {
+      const expected = resolveSolutionMove(game.fen(), notation);
+      expect(isSolutionMove(game.move({ from: expected.from, to: expected.to }), expected)).toBe(true);
+    });
+    expect(game.fen()).toBe('r1bqkb1r/ppp2Npp/2n5/3np3/2B5/8/PPPP1PPP/RNBQK2R b KQkq - 0 6');
+  });
+
+  it('expects the same move again once a wrong one is taken back', () => {
+    const game = createGame(TWO_KNIGHTS);
+    const fenBefore = game.fen();
+    const expected = resolveSolutionMove(fenBefore, FRIED_LIVER[0]);
+
+    const wrong = game.move('Nc3');
+    expect(isSolutionMove(wrong, expected)).toBe(false);
+
+    const reverted = createGame(fenBefore);
+    expect(resolveSolutionMove(reverted.fen(), FRIED_LIVER[0])).toEqual(expected);
+  });
+
+  it('finds the first move of a line that cannot be played', () => {
+    expect(findIllegalSolutionMove(TWO_KNIGHTS, FRIED_LIVER)).toBeNull();
+    expect(findIllegalSolutionMove(TWO_KNIGHTS, ['f3g5', 'd7d5', 'e4e5', 'f6d5'])).toEqual({ ply: 3, move: 'e4e5' });
+    expect(findIllegalSolutionMove(FOOLS_MATE, ['Qh5'])).toEqual({ ply: 1, move: 'Qh5' });
+  });
+
+  it('plays the line by the variant\'s rules', () => {
+    const fen = 'rk5r/8/8/8/8/8/8/RK5R w KQkq - 0 1';
+    expect(findIllegalSolutionMove(fen, ['b1h1'], 'chess960')).toBeNull();
+    expect(findIllegalSolutionMove(fen, ['b1h1'])).toEqual({ ply: 1, move: 'b1h1' });
+  });
+});
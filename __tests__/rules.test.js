@@ -0,0 +1,174 @@
+import { createGame, canPlayPosition, normalizeFen, getPgnVariant, isDropSquare, toDropSquare } from '../src/rules';
+
+const START = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+const KIWIPETE = 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1';
+
+// Leaf positions `depth` moves on, each move played on a fresh game so only the FEN carries state
+const perft = (fen, variant, depth) => {
+  const moves = createGame(fen, variant).moves({ verbose: true });
+  if (depth === 1) return moves.length;
+  return moves.reduce((total, move) => {
+    const game = createGame(fen, variant);
+    game.move({ from: move.from, to: move.to, promotion: move.promotion });
+    return total + perft(game.fen(), variant, depth - 1);
+  }, 0);
+};
+
+describe('perft', () => {
+  it.each([
+    ['standard', START, 3, 8902],
+    ['standard', KIWIPETE, 2, 2039],
+    ['chess960', KIWIPETE, 2, 2039],
+    ['chess960', 'bqnb1rkr/pp3ppp/3ppn2/2p5/5P2/P2P4/NPP1P1PP/BQ1BNRKR w HFhf - 2 9', 3, 12189],
+    ['chess960', '2nnrbkr/p1qppppp/8/1ppb4/6PP/3PP3/PPP2P2/BQNNRBKR w HEhe - 1 9', 2, 807],
+    ['kingOfTheHill', START, 3, 8902],
+    ['kingOfTheHill', KIWIPETE, 2, 2039],
+    ['threeCheck', START, 3, 8902],
+    ['threeCheck', KIWIPETE, 2, 2039],
+    ['atomic', START, 3, 8902],
+    ['antichess', START, 3, 8067],
+    ['crazyhouse', START, 3, 8902],
+    ['crazyhouse', KIWIPETE, 2, 2039]
+  ])('%s %s to depth %i', (variant, fen, depth, nodes) => {
+    expect(perft(fen, variant, depth)).toBe(nodes);
+  });
+});
+
+describe('chess960', () => {
+  const FEN = 'rk5r/8/8/8/8/8/8/RK5R w HAha - 0 1';
+
+  it('reads Shredder-FEN and writes X-FEN', () => {
+    expect(normalizeFen(FEN, 'chess960')).toBe('rk5r/8/8/8/8/8/8/RK5R w KQkq - 0 1');
+  });
+
+  it('castles by moving the king onto its rook', () => {
+    const game = createGame(FEN, 'chess960');
+    const move = game.move({ from: 'b1', to: 'h1' });
+    expect(move.san).toBe('O-O');
+    expect(game.fen()).toBe('rk5r/8/8/8/8/8/8/R4RK1 b kq - 1 1');
+  });
+
+  it('castles long from SAN', () => {
+    const game = createGame(FEN, 'chess960');
+    game.move('O-O-O');
+    expect(game.fen()).toBe('rk5r/8/8/8/8/8/8/2KR3R b kq - 1 1');
+  });
+
+  it('is chosen by the PGN Variant tag', () => {
+    expect(getPgnVariant({ Variant: 'Chess960' })).toBe('chess960');
+    expect(getPgnVariant({ Variant: 'Fischerandom' })).toBe('chess960');
+    expect(getPgnVariant({ Variant: 'King of the Hill' })).toBe('kingOfTheHill');
+    expect(getPgnVariant({})).toBe('standard');
+  });
+});
+
+describe('king of the hill', () => {
+  it('is won by reaching the centre', () => {
+    const game = createGame('4k3/8/8/8/8/4K3/8/8 w - - 0 1', 'kingOfTheHill');
+    game.move('Ke4');
+    expect(game.getOutcome()).toEqual({ reason: 'king_of_the_hill', winner: 'w' });
+    expect(game.moves()).toEqual([]);
+  });
+});
+
+describe('three-check', () => {
+  it('counts checks in the FEN and ends on the third', () => {
+    const game = createGame('4k3/8/8/8/8/8/8/R3K3 w - - 1+3 0 1', 'threeCheck');
+    expect(game.getChecks()).toEqual({ w: 2, b: 0 });
+    game.move('Ra8');
+    expect(game.fen()).toBe('R3k3/8/8/8/8/8/8/4K3 b - - 0+3 1 1');
+    expect(game.getOutcome()).toEqual({ reason: 'three_check', winner: 'w' });
+  });
+});
+
+describe('atomic', () => {
+  it('explodes the capture square and the pieces around it, but not pawns', () => {
+    const game = createGame('r3k3/1pnb4/2n5/8/3N4/8/8/4K3 w - - 0 1', 'atomic');
+    const move = game.move({ from: 'd4', to: 'c6' });
+    expect(move.exploded).toEqual(['c6', 'c7', 'd7']);
+    expect(game.fen()).toBe('r3k3/1p6/8/8/8/8/8/4K3 b - - 0 1');
+  });
+
+  it('never lets a king capture', () => {
+    const game = createGame('4k3/8/8/8/8/8/3q4/4K3 w - - 0 1', 'atomic');
+    expect(game.moves({ square: 'e1', verbose: true }).map(move => move.to)).not.toContain('d2');
+  });
+
+  it('is won by blowing up the enemy king', () => {
+    const game = createGame('4k3/4r3/8/8/8/8/8/4RK2 w - - 0 1', 'atomic');
+    game.move('Rxe7');
+    expect(game.getOutcome()).toEqual({ reason: 'explosion', winner: 'w' });
+  });
+});
+
+describe('switching rules', () => {
+  it('refuses a position without a king on each side, unless the king is an ordinary piece', () => {
+    const game = createGame('4k3/4r3/8/8/8/8/8/4RK2 w - - 0 1', 'atomic');
+    game.move('Rxe7');
+    expect(canPlayPosition(game.fen(), 'standard')).toBe(false);
+    expect(canPlayPosition(game.fen(), 'kingOfTheHill')).toBe(false);
+    expect(canPlayPosition(game.fen(), 'antichess')).toBe(true);
+    expect(canPlayPosition(START, 'standard')).toBe(true);
+    expect(canPlayPosition('4k3/8/8/8/8/8/8/8[K] w - - 0 1', 'crazyhouse')).toBe(false);
+  });
+
+  it('throws for an unknown variant', () => {
+    expect(() => createGame(START, 'chess9600')).toThrow('Unknown variant: chess9600');
+    expect(() => canPlayPosition(START, 'atomik')).toThrow('Unknown variant: atomik');
+  });
+});
+
+describe('antichess', () => {
+  it('makes captures compulsory and is won by losing every piece', () => {
+    const game = createGame('8/8/8/8/8/8/3p4/4K3 w - - 0 1', 'antichess');
+    expect(game.moves()).toEqual(['Kxd2']);
+    game.move('Kxd2');
+    expect(game.getOutcome()).toEqual({ reason: 'out_of_pieces', winner: 'b' });
+  });
+
+  it('lets pawns promote to a king', () => {
+    const game = createGame('8/P7/8/8/8/8/8/7k w - - 0 1', 'antichess');
+    expect(game.moves()).toContain('a8=K');
+  });
+});
+
+describe('crazyhouse drops', () => {
+  it('reads drops written like UCI', () => {
+    expect(isDropSquare('N@')).toBe(true);
+    expect(isDropSquare('e2')).toBe(false);
+    expect(toDropSquare('n')).toBe('N@');
+  });
+
+  it('drops a piece on any empty square', () => {
+    const game = createGame('4k3/8/8/8/8/8/8/4K3[N] w - - 0 1', 'crazyhouse');
+    const drops = game.moves({ verbose: true }).filter(move => move.from === 'N@');
+    expect(drops).toHaveLength(62);
+  });
+
+  it('never drops pawns on the first or last rank', () => {
+    const game = createGame('4k3/8/8/8/8/8/8/4K3[P] w - - 0 1', 'crazyhouse');
+    const drops = game.moves({ verbose: true }).filter(move => move.from === 'P@');
+    expect(drops).toHaveLength(48);
+    expect(drops.some(move => /[18]$/.test(move.to))).toBe(false);
+  });
+
+  it('takes the dropped piece out of the pocket', () => {
+    const game = createGame('4k3/8/8/8/8/8/8/4K3[N] w - - 0 1', 'crazyhouse');
+    const move = game.move({ from: 'N@', to: 'f3' });
+    expect(move.san).toBe('N@f3');
+    expect(game.fen()).toBe('4k3/8/8/8/8/5N2/8/4K3[] b - - 1 1');
+  });
+
+  it('pockets captures for the captor', () => {
+    const game = createGame('rnbqkbnr/ppp1pppp/8/3p4/4P3/8/PPPP1PPP/RNBQKBNR[] w KQkq - 0 2', 'crazyhouse');
+    game.move('exd5');
+    expect(game.getPockets().w.p).toBe(1);
+    expect(game.fen()).toBe('rnbqkbnr/ppp1pppp/8/3P4/8/8/PPPP1PPP/RNBQKBNR[P] b KQkq - 0 2');
+  });
+
+  it('returns a captured promoted piece as a pawn', () => {
+    const game = createGame('4k3/8/8/8/8/8/q7/Q~3K3[] b - - 0 1', 'crazyhouse');
+    game.move({ from: 'a2', to: 'a1' });
+    expect(game.getPockets().b).toEqual({ p: 1, n: 0, b: 0, r: 0, q: 0 });
+  });
+});
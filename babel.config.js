@@ -0,0 +1,4 @@
+// Only Jest reads this; apps build the package with their own React Native preset
+module.exports = {
+  presets: [['@babel/preset-env', { targets: { node: 'current' } }]]
+};
@@ -18,6 +18,18 @@ export interface BoardTheme {
   hintGlow?: string;
   hintLightBg?: string;
   hintDarkBg?: string;
+  dragOver?: string;
+  premove?: string;
+  captureRing?: string;
+  moveTint?: string;
+  check?: string;
+  checkmate?: string;
+  stalemate?: string;
+  explosion?: string;
+  evalWhite?: string;
+  evalBlack?: string;
+  engineArrow?: string;
+  focus?: string;
 }
 
 export interface TextColors {
@@ -88,6 +100,287 @@ export type PieceType = {
 
 export type BoardArray = (PieceType | null)[][];
 
+export type AnnotationColor = 'green' | 'red' | 'blue' | 'yellow' | (string & {});
+
+export type Annotation =
+  | { type: 'arrow'; from: string; to: string; color: AnnotationColor }
+  | { type: 'circle'; square: string; color: AnnotationColor };
+
+export interface Premove {
+  from: string;
+  to: string;
+  promotion?: string;
+}
+
+// A solution line that cannot be played from the board's position; ply counts from 1
+export interface PuzzleError {
+  reason: 'illegal_move';
+  ply: number;
+  move: string;
+}
+
+export interface HistoryMove {
+  from: string;
+  to: string;
+  promotion?: string;
+  san: string;
+  uci: string;
+  color: 'w' | 'b';
+  piece: string;
+  captured?: string;
+}
+
+export interface HistoryEntry extends HistoryMove {
+  ply: number;
+  fen: string;
+}
+
+export interface MoveTreeNode {
+  id: string;
+  parentId: string | null;
+  children: MoveTreeNode[];
+  move: HistoryMove | null;
+  fen: string;
+  ply: number;
+  comment: string | null;
+  nags: number[];
+}
+
+export interface MoveTree {
+  startFen: string;
+  nodes: Record<string, MoveTreeNode>;
+  nextId: number;
+}
+
+export interface NodeChange {
+  nodeId: string;
+  parentId: string | null;
+  fen: string;
+  ply: number;
+  move: HistoryMove | null;
+  comment: string | null;
+  nags: number[];
+  glyphs: string[];
+  variations: { nodeId: string; san: string }[];
+}
+
+export type PieceCode =
+  | 'wk' | 'wq' | 'wr' | 'wb' | 'wn' | 'wp'
+  | 'bk' | 'bq' | 'br' | 'bb' | 'bn' | 'bp';
+
+// Image source, SVG component or render function receiving { width, height, pieceType }
+export type PieceSetEntry =
+  | number
+  | { uri: string }
+  | React.ComponentType<{ width: number | string; height: number | string; pieceType: PieceCode }>;
+
+export type PieceSet = 'classic' | 'unicode' | 'geometric' | Partial<Record<PieceCode, PieceSetEntry>>;
+
+export type AutoQueen = 'always' | 'premove' | 'never';
+
+export type Variant = 'standard' | 'chess960' | 'kingOfTheHill' | 'threeCheck' | 'antichess' | 'atomic' | 'crazyhouse';
+
+// Centipawns or mate in N, from White's point of view (negative favours Black)
+export type Evaluation = number | { cp: number; mate?: null } | { mate: number; cp?: null };
+
+export type EvalBarMode = 'normal' | 'compact' | 'hidden';
+
+// One multi-PV line: UCI moves as an array or a space-separated string
+export interface EngineLine {
+  pv: string[] | string;
+  score?: Evaluation;
+  cp?: number;
+  mate?: number;
+  depth?: number;
+  multipv?: number;
+}
+
+// ============================================================================
+// UCI ENGINES
+// ============================================================================
+
+// How the controller reaches an engine: a worker, a native module or an in-process function
+export interface EngineTransport {
+  send(command: string): void;
+  subscribe(listener: (line: string) => void): () => void;
+  terminate?(): void;
+}
+
+// A parsed "info" line; score is from White's point of view once it leaves the controller
+export interface EngineInfo {
+  depth?: number;
+  seldepth?: number;
+  multipv?: number;
+  score?: { cp: number } | { mate: number };
+  bound?: 'lowerbound' | 'upperbound';
+  nodes?: number;
+  nps?: number;
+  time?: number;
+  hashfull?: number;
+  tbhits?: number;
+  currmove?: string;
+  currmovenumber?: number;
+  pv?: string[];
+  string?: string;
+}
+
+export interface EngineOption {
+  name: string;
+  type: string;
+  default?: string;
+  min?: number;
+  max?: number;
+}
+
+export interface AnalysisLine {
+  multipv: number;
+  depth: number;
+  score: { cp: number } | { mate: number };
+  pv: string[];
+}
+
+export interface AnalysisOptions {
+  depth?: number;
+  movetime?: number;
+  nodes?: number;
+  multiPv?: number;
+  onInfo?: (info: EngineInfo, lines: AnalysisLine[]) => void;
+}
+
+export interface AnalysisResult {
+  bestMove: string | null;
+  ponder: string | null;
+  lines: AnalysisLine[];
+  cancelled?: boolean;
+}
+
+export interface EngineAnalysis {
+  lines: AnalysisLine[];
+  bestMove: string | null;
+  ponder: string | null;
+  depth: number | null;
+  evaluation: AnalysisLine['score'] | null;
+  isAnalysing: boolean;
+  error: Error | null;
+  boardProps: {
+    bestMove: string | null;
+    engineLines: AnalysisLine[];
+    evaluation: AnalysisLine['score'] | null;
+  };
+}
+
+export type BoardMode = 'play' | 'editor';
+
+export type PositionWarningCode =
+  | 'missing_king'
+  | 'too_many_kings'
+  | 'too_many_pawns'
+  | 'too_many_pieces'
+  | 'pawn_on_back_rank'
+  | 'opponent_in_check';
+
+export interface PositionWarning {
+  code: PositionWarningCode;
+  color: 'w' | 'b';
+  square?: string;
+  message: string;
+}
+
+export interface PositionValidity {
+  fen: string;
+  valid: boolean;
+  warnings: PositionWarning[];
+}
+
+// Side to move, castling rights (e.g. 'KQkq' or '') and en passant square
+export interface EditorSettings {
+  turn: 'w' | 'b';
+  castling: string;
+  enPassant: string | null;
+}
+
+// Pieces in hand per type; kings never go to the pocket
+export type PocketCounts = Partial<Record<'p' | 'n' | 'b' | 'r' | 'q', number>>;
+
+export interface Pockets {
+  w: PocketCounts;
+  b: PocketCounts;
+}
+
+export interface RulesMove {
+  color: 'w' | 'b';
+  from: string;
+  to: string;
+  piece: string;
+  captured?: string;
+  promotion?: string;
+  flags: string;
+  san: string;
+  lan?: string;
+  before?: string;
+  after?: string;
+  // Squares cleared by an atomic capture
+  exploded?: string[];
+}
+
+export interface GameOutcome {
+  reason: GameOverReason;
+  winner: 'w' | 'b' | null;
+}
+
+// What a rules adapter's game must answer; chess.js instances already do
+export interface RulesGame {
+  fen(): string;
+  board(): ({ square: string; type: string; color: 'w' | 'b' } | null)[][];
+  get(square: string): { type: string; color: 'w' | 'b' } | undefined;
+  turn(): 'w' | 'b';
+  moves(options?: { square?: string; verbose?: false }): string[];
+  moves(options: { square?: string; verbose: true }): RulesMove[];
+  move(move: string | { from: string; to: string; promotion?: string }): RulesMove;
+  inCheck(): boolean;
+  getOutcome?(): GameOutcome | null;
+  getPockets?(): Pockets;
+}
+
+export interface RulesAdapter {
+  name: string;
+  pgnName?: string | null;
+  createGame: (fen?: string) => RulesGame;
+  getOutcome?: (game: RulesGame) => GameOutcome | null;
+  // Castlings `color` still has the rights to; `to` is where the king is put to castle
+  getCastling?: (game: RulesGame, color: 'w' | 'b') => { king: string; rook: string; to: string }[];
+}
+
+export type MoveIndicatorStyle = 'dots' | 'rings' | 'tint' | 'none';
+
+export type CaptureIndicator = 'ring' | 'corners';
+
+export type GameResult = '1-0' | '0-1' | '1/2-1/2';
+
+export type GameOverReason =
+  | 'checkmate'
+  | 'stalemate'
+  | 'insufficient_material'
+  | 'threefold_repetition'
+  | 'fifty_move_rule'
+  | 'king_of_the_hill'
+  | 'three_check'
+  | 'out_of_pieces'
+  | 'out_of_moves'
+  | 'explosion'
+  | 'agreement'
+  | 'resignation';
+
+export type PassAndPlayMode = 'flip' | 'tabletop';
+
+export interface PositionChange {
+  fen: string;
+  ply: number;
+  move: HistoryMove | null;
+  canUndo: boolean;
+  canRedo: boolean;
+}
+
 // ============================================================================
 // UPDATED COMPONENT PROPS - With standalone support and new features
 // ============================================================================
@@ -95,7 +388,9 @@ export type BoardArray = (PieceType | null)[][];
 export interface ChessboardProps {
   fen?: string;
   perspective?: 'white' | 'black';
-  onMove: (from: string, to: string, promotion?: string) => void;
+  // Drops come in with from set to "N@" style squares, so from + to reads "N@f3"; with
+  // skipValidation the dropping colour follows, since the position cannot tell
+  onMove: (from: string, to: string, promotion?: string, dropColor?: 'w' | 'b') => void;
   isLoading?: boolean;
   lastMoveFrom?: string;
   lastMoveTo?: string;
@@ -123,6 +418,99 @@ export interface ChessboardProps {
   blindfoldMode?: boolean;
   hiddenSquares?: HiddenSquares;
   onBlindSelect?: (square: string) => void;
+  onPeek?: (squares: string[] | 'all', duration: number) => void;
+  
+  // 🎯 Piece movement animation
+  animateMoves?: boolean;
+  animationDuration?: number;
+  animationEasing?: (value: number) => number;
+  
+  // 🎯 Premoves
+  allowPremoves?: boolean;
+  playerColor?: 'white' | 'black';
+  onPremoveCancel?: (premoves: Premove[]) => void;
+  
+  // 🎯 User-drawn annotations
+  allowDrawing?: boolean;
+  annotationColor?: AnnotationColor;
+  annotations?: Annotation[];
+  onAnnotationsChange?: (annotations: Annotation[]) => void;
+  
+  // 🎯 Move history
+  historyMode?: 'truncate' | 'branch';
+  onPositionChange?: (position: PositionChange) => void;
+  
+  // 🎯 PGN replay
+  pgn?: string;
+  onNodeChange?: (node: NodeChange) => void;
+  
+  // 🎯 Puzzle mode (expectedMove works as a one-move solution)
+  puzzleSolution?: string | string[];
+  puzzleReplyDelay?: number;
+  revertWrongMoves?: boolean;
+  onPuzzleMoveCorrect?: (move: HistoryMove, progress: { ply: number; total: number }) => void;
+  onPuzzleMoveWrong?: (move: HistoryMove, expected: HistoryMove | null) => void;
+  onPuzzleSolved?: () => void;
+  onPuzzleError?: (error: PuzzleError) => void;
+  
+  // 🎯 Game end
+  onGameOver?: (result: GameResult, reason: GameOverReason) => void;
+  
+  // 🎯 Move target markers
+  moveIndicatorStyle?: MoveIndicatorStyle;
+  captureIndicator?: CaptureIndicator;
+  
+  // 🎯 Piece artwork
+  pieceSet?: PieceSet;
+  
+  // 🎯 Promotion
+  autoQueen?: AutoQueen;
+  onPromotionCancel?: (from: string, to: string) => void;
+  
+  // 🎯 Rules
+  variant?: Variant | RulesAdapter;
+  onVariantChange?: (variant: Variant) => void;
+  
+  // 🎯 Pockets (crazyhouse drops, setup screens)
+  showPockets?: boolean;
+  pockets?: Pockets | null;
+  
+  // 🎯 Position editor
+  mode?: BoardMode;
+  onPositionValidity?: (validity: PositionValidity) => void;
+  
+  // 🎯 Evaluation bar
+  evaluation?: Evaluation | null;
+  evalBarMode?: EvalBarMode;
+  
+  // 🎯 Engine lines
+  engineLines?: EngineLine[] | null;
+  maxEngineLines?: number;
+  engineLinePlies?: number;
+  
+  // 🎯 Accessibility
+  announceMoves?: boolean;
+  accessibilityNavigation?: 'squares' | 'cursor';
+  
+  // 🎯 Keyboard and typed moves
+  keyboardInput?: boolean;
+  showMoveInput?: boolean;
+  onInvalidInput?: (input: string, error: MoveInputError) => void;
+  
+  // 🎯 Clock
+  clock?: TimeControl | ClockOptions | null;
+  onFlag?: (color: 'w' | 'b') => void;
+  onLowTime?: (color: 'w' | 'b', time: number) => void;
+  onClockSwitch?: (times: ClockTimes, turn: 'w' | 'b') => void;
+  
+  // 🎯 Pass and play
+  passAndPlay?: boolean | PassAndPlayMode;
+  animateFlip?: boolean;
+  onDrawOffer?: (offeredBy: 'w' | 'b') => boolean | Promise<boolean>;
+  onResign?: (color: 'w' | 'b') => boolean | Promise<boolean>;
+  
+  // 🎯 Material
+  showMaterial?: boolean;
   
   // 🎯 Standalone props
   boardTheme?: BoardTheme | null;
@@ -134,7 +522,34 @@ export interface ChessboardRef {
   highlight: (square: string) => void;
   clearHighlight: () => void;
   setFen: (fen: string) => void;
-  setBoardArray?: (array: BoardArray) => void;  // NEW v0.2.0
+  getFen: () => string;
+  clearBoard: () => void;  // mode="editor" only
+  resetBoard: () => void;  // mode="editor" only
+  setBoardArray: (array: BoardArray) => void;  // NEW v0.2.0 - skipValidation only
+  clearPremoves: () => void;
+  clearAnnotations: () => void;
+  getAnnotations: () => Annotation[];
+  undo: () => boolean;
+  redo: () => boolean;
+  goToPly: (ply: number) => boolean;
+  getHistory: () => HistoryEntry[];
+  getPgn: () => string;
+  loadPgn: (pgn: string) => boolean;
+  playMove: (text: string) => boolean;
+  peek: (squares?: string | string[] | 'all', duration?: number) => boolean;
+  endPeek: () => void;
+  getClock: () => ClockSnapshot | null;
+  startClock: (turn?: 'w' | 'b') => void;
+  pauseClock: () => void;
+  resumeClock: () => void;
+  syncClock: (times: ClockSync) => void;
+  resetClock: () => void;
+  offerDraw: (color?: 'w' | 'b') => Promise<boolean>;
+  resign: (color?: 'w' | 'b') => Promise<boolean>;
+  getPgnHeaders: () => Record<string, string>;
+  next: (variation?: number) => boolean;
+  previous: () => boolean;
+  goToNode: (nodeId: string) => boolean;
 }
 
 export interface SquareProps {
@@ -159,11 +574,197 @@ export interface SquareProps {
   customHighlightColor?: string | null;
   showToken?: boolean;
   onBlindSelect?: ((square: string) => void) | null;
+  hidePiece?: boolean;
+  isDragOver?: boolean;
+  isPremove?: boolean;
+  glyph?: string | null;
+  kingState?: 'check' | 'checkmate' | 'stalemate' | null;
+  isCapture?: boolean;
+  moveIndicatorStyle?: MoveIndicatorStyle;
+  captureIndicator?: CaptureIndicator;
+  pieceSet?: PieceSet;
+  explosionId?: number;
+  isFocused?: boolean;
+  isPieceRotated?: boolean;
   
   // 🎯 Standalone props
   boardTheme?: BoardTheme | null;
 }
 
+export interface PieceProps {
+  pieceType: PieceCode;
+  pieceSet?: PieceSet;
+  rotated?: boolean;
+  style?: ViewStyle | null;
+}
+
+export interface PocketProps {
+  color?: 'w' | 'b';
+  // Without counts every piece is always available, as spare pieces are
+  pieces?: PocketCounts | null;
+  types?: string[];
+  pieceSet?: PieceSet;
+  squareSize?: number;
+  selectedPiece?: 'p' | 'n' | 'b' | 'r' | 'q' | null;
+  disabled?: boolean;
+  highlightColor?: string;
+  badgeColor?: string;
+  style?: ViewStyle | null;
+  onPiecePress?: (color: 'w' | 'b', type: string) => void;
+  onPieceGestureEvent?: (nativeEvent: any, color: 'w' | 'b', type: string) => void;
+  onPieceStateChange?: (nativeEvent: any, color: 'w' | 'b', type: string, slot: any) => void;
+}
+
+export type MoveInputErrorReason = 'invalid' | 'illegal' | 'ambiguous' | 'wrong_turn';
+
+export interface MoveInputError {
+  reason: MoveInputErrorReason;
+  message: string;
+  candidates: string[];
+}
+
+export interface MoveInputProps {
+  onSubmit?: (text: string) => boolean;
+  onChangeText?: (text: string) => void;
+  error?: string | null;
+  placeholder?: string;
+  disabled?: boolean;
+  colors?: Partial<ThemeColors> | null;
+  textColors?: Partial<TextColors> | null;
+  style?: ViewStyle | null;
+}
+
+// Times in milliseconds; `moves` ends a stage after that many moves by each side
+export interface TimeControlStage {
+  time: number;
+  increment?: number;
+  delay?: number;
+  moves?: number | null;
+}
+
+// "5+3", "5d2" (Bronstein delay) or "40/90+30, 30+30"; minutes and seconds
+export type TimeControl = string | TimeControlStage | TimeControlStage[];
+
+export interface ClockOptions {
+  timeControl: TimeControl | null;
+  lowTime?: number;
+  now?: () => number;
+  tickInterval?: number;
+}
+
+export interface ClockTimes {
+  w: number;
+  b: number;
+}
+
+export type ClockStatus = 'idle' | 'running' | 'paused' | 'stopped';
+
+export interface ClockState {
+  stages: Required<TimeControlStage>[];
+  remaining: ClockTimes;
+  moves: ClockTimes;
+  stage: ClockTimes;
+  turn: 'w' | 'b';
+  status: ClockStatus;
+  since: number | null;
+  spent: number;
+  flagged: 'w' | 'b' | null;
+}
+
+export interface ClockSnapshot {
+  times: ClockTimes;
+  turn: 'w' | 'b';
+  status: ClockStatus;
+  flagged: 'w' | 'b' | null;
+  moves: ClockTimes;
+  stage: ClockTimes;
+}
+
+export interface ClockSync {
+  w?: number;
+  b?: number;
+  turn?: 'w' | 'b';
+  running?: boolean;
+  elapsed?: number;
+}
+
+export interface ChessClockControls {
+  times: ClockTimes | null;
+  turn: 'w' | 'b' | null;
+  status: ClockStatus | null;
+  flagged: 'w' | 'b' | null;
+  moves: ClockTimes | null;
+  stage: ClockTimes | null;
+  lowTime: number;
+  start: (turn?: 'w' | 'b') => void;
+  pause: () => void;
+  resume: () => void;
+  press: (color?: 'w' | 'b') => void;
+  sync: (times: ClockSync) => void;
+  setTurn: (turn: 'w' | 'b') => void;
+  reset: () => void;
+  getState: () => ClockState | null;
+}
+
+export interface ChessClockProps {
+  times?: ClockTimes | null;
+  turn?: 'w' | 'b' | null;
+  status?: ClockStatus | null;
+  flagged?: 'w' | 'b' | null;
+  state?: ClockState | null;
+  now?: () => number;
+  tickInterval?: number;
+  lowTime?: number;
+  side?: 'w' | 'b' | null;
+  perspective?: 'white' | 'black';
+  names?: Partial<Record<'w' | 'b', string>> | null;
+  onPress?: (color: 'w' | 'b') => void;
+  colors?: Partial<ThemeColors> & { clockActive?: string; clockActiveText?: string; clockLowTime?: string } | null;
+  textColors?: Partial<TextColors> | null;
+  style?: ViewStyle | null;
+}
+
+export type PieceCounts = Record<'p' | 'n' | 'b' | 'r' | 'q' | 'k', number>;
+
+export interface MaterialBalance {
+  captured: { w: PieceCounts; b: PieceCounts };
+  material: { w: number; b: number };
+  advantage: number;
+}
+
+export interface CapturedPiecesProps {
+  fen?: string | null;
+  board?: BoardArray | null;
+  startFen?: string;
+  color?: 'w' | 'b';
+  pieceSet?: PieceSet;
+  pieceSize?: number;
+  showAdvantage?: boolean;
+  textColors?: Partial<TextColors> | null;
+  style?: ViewStyle | null;
+}
+
+export interface EvalBarProps {
+  evaluation?: Evaluation | null;
+  perspective?: 'white' | 'black';
+  mode?: EvalBarMode;
+  boardTheme?: Partial<BoardTheme> | null;
+  animate?: boolean;
+  duration?: number;
+  style?: ViewStyle | null;
+}
+
+export interface EditorToolbarProps {
+  settings: EditorSettings;
+  castlingOptions?: string[];
+  enPassantOptions?: string[];
+  onChange?: (settings: EditorSettings) => void;
+  onClear?: () => void;
+  onStart?: () => void;
+  colors?: Partial<ThemeColors> | null;
+  textColors?: Partial<TextColors> | null;
+}
+
 export interface ArrowProps {
   from: string;
   to: string;
@@ -173,11 +774,30 @@ export interface ArrowProps {
   piece?: string | null;
   opacity?: number;
   color?: string;
+  widthScale?: number;
+  label?: string | null;
+  labelColor?: string;
+  labelBackground?: string | null;
+}
+
+export interface AnnotationCircleProps {
+  square: string;
+  boardSize: number;
+  perspective?: 'white' | 'black';
+  color?: string;
+  opacity?: number;
 }
 
 export interface PromotionOverlayProps {
   onSelect: (piece: string) => void;
   color: 'w' | 'b';
+  pieceSet?: PieceSet;
+  
+  // 🎯 Anchored picker - used when square and boardSize are given
+  square?: string | null;
+  perspective?: 'white' | 'black';
+  boardSize?: number;
+  onCancel?: (() => void) | null;
   
   // 🎯 Standalone props
   colors?: Partial<ThemeColors> | null;
@@ -214,8 +834,13 @@ export interface ThemeActions {
   isLoading: boolean;
 }
 
+// Contrast ratios (1 to 21) per WCAG; markers are measured against both square colours
 export interface ThemeAccessibility {
   name: string;
+  squareContrast: number | null;
+  highlightContrast: number | null;
+  dotContrast: number | null;
+  hintContrast: number | null;
   hasHighContrast: boolean;
   hintVisibility: 'high' | 'medium' | 'low';
   recommended: boolean;
@@ -229,12 +854,47 @@ export class Chessboard extends Component<ChessboardProps> {
   highlight(square: string): void;
   clearHighlight(): void;
   setFen(fen: string): void;
-  setBoardArray?(array: BoardArray): void;  // NEW v0.2.0
+  getFen(): string;
+  clearBoard(): void;
+  resetBoard(): void;
+  setBoardArray(array: BoardArray): void;  // NEW v0.2.0 - skipValidation only
+  clearPremoves(): void;
+  clearAnnotations(): void;
+  getAnnotations(): Annotation[];
+  undo(): boolean;
+  redo(): boolean;
+  goToPly(ply: number): boolean;
+  getHistory(): HistoryEntry[];
+  getPgn(): string;
+  loadPgn(pgn: string): boolean;
+  playMove(text: string): boolean;
+  peek(squares?: string | string[] | 'all', duration?: number): boolean;
+  endPeek(): void;
+  getClock(): ClockSnapshot | null;
+  startClock(turn?: 'w' | 'b'): void;
+  pauseClock(): void;
+  resumeClock(): void;
+  syncClock(times: ClockSync): void;
+  resetClock(): void;
+  offerDraw(color?: 'w' | 'b'): Promise<boolean>;
+  resign(color?: 'w' | 'b'): Promise<boolean>;
+  getPgnHeaders(): Record<string, string>;
+  next(variation?: number): boolean;
+  previous(): boolean;
+  goToNode(nodeId: string): boolean;
 }
 
 export declare const Square: React.ComponentType<SquareProps>;
 export declare const Arrow: React.ComponentType<ArrowProps>;
+export declare const AnnotationCircle: React.ComponentType<AnnotationCircleProps>;
 export declare const PromotionOverlay: React.ComponentType<PromotionOverlayProps>;
+export declare const Piece: React.ComponentType<PieceProps>;
+export declare const Pocket: React.ComponentType<PocketProps>;
+export declare const EditorToolbar: React.ComponentType<EditorToolbarProps>;
+export declare const EvalBar: React.ComponentType<EvalBarProps>;
+export declare const MoveInput: React.ComponentType<MoveInputProps>;
+export declare const ChessClock: React.ComponentType<ChessClockProps>;
+export declare const CapturedPieces: React.ComponentType<CapturedPiecesProps>;
 export declare const BoardLoadingSquare: React.ComponentType<BoardLoadingSquareProps>;
 
 // ============================================================================
@@ -294,7 +954,30 @@ export declare function getChessboardTheme(themeName?: string): BoardTheme;
 export declare function getAvailableThemes(): string[];
 export declare function isValidTheme(theme: any): theme is BoardTheme;
 export declare function createCustomTheme(customTheme?: Partial<BoardTheme>, baseName?: string): BoardTheme;
-export declare function getThemeAccessibility(themeName: string): ThemeAccessibility | null;
+export declare function getThemeAccessibility(theme: string | BoardTheme): ThemeAccessibility | null;
+export declare function getContrastRatio(foreground: string, background: string): number | null;
+export declare function speakSan(san: string): string;
+
+export declare function resolveMoveInput<T extends { from: string; to: string; piece: string; flags?: string; promotion?: string; captured?: string; san?: string }>(
+  text: string,
+  legalMoves: T[]
+): { move: T | null; reason: Exclude<MoveInputErrorReason, 'wrong_turn'> | null; candidates: T[] };
+export declare function describeInputError(
+  text: string,
+  result: { reason: MoveInputErrorReason | null; candidates?: Array<{ from: string; to: string; promotion?: string; san?: string }> }
+): string;
+export declare function readSpokenMove(text: string): string | null;
+export declare function describeSquare(state: {
+  square: string;
+  piece?: { type: string; color: 'w' | 'b' } | null;
+  hidden?: boolean;
+  selected?: boolean;
+  legalTarget?: boolean;
+  capture?: boolean;
+  lastMove?: 'from' | 'to' | null;
+  kingState?: 'check' | 'checkmate' | 'stalemate' | null;
+  premove?: boolean;
+}): string;
 
 // Performance utilities
 export declare function clearArrowCache(): void;
@@ -308,6 +991,142 @@ export declare function createAllSquaresSet(): Set<string>;
 export declare function createEmptyBoardArray(): BoardArray;
 export declare function fenToBoardArray(fen: string): BoardArray;
 
+export declare function validatePosition(board: BoardArray, settings: EditorSettings): PositionValidity;
+export declare function buildFen(board: BoardArray, settings: EditorSettings): string;
+
+export declare function formatEvaluation(evaluation: Evaluation | null | undefined): string;
+export declare function getWhiteShare(evaluation: Evaluation | null | undefined): number;
+
+export declare class EngineController {
+  constructor(transport: EngineTransport, config?: { options?: Record<string, string | number | boolean> });
+  transport: EngineTransport;
+  name: string | null;
+  options: Record<string, EngineOption>;
+  on(event: 'line', listener: (line: string) => void): () => void;
+  on(event: 'info', listener: (info: EngineInfo) => void): () => void;
+  on(event: 'bestmove', listener: (result: AnalysisResult) => void): () => void;
+  send(command: string): void;
+  init(): Promise<string | null>;
+  isReady(): Promise<string | null>;
+  setOption(name: string, value?: string | number | boolean): void;
+  newGame(): Promise<string | null>;
+  analyse(fen: string, options?: AnalysisOptions): Promise<AnalysisResult>;
+  stop(): Promise<AnalysisResult | null>;
+  isSearching(): boolean;
+  destroy(): void;
+}
+
+export declare function createWorkerTransport(worker: {
+  postMessage(message: string): void;
+  onmessage?: ((event: { data: string }) => void) | null;
+  addEventListener?(type: 'message', listener: (event: { data: string }) => void): void;
+  removeEventListener?(type: 'message', listener: (event: { data: string }) => void): void;
+  terminate?(): void;
+}): EngineTransport;
+export declare function createFunctionTransport(
+  handler: (command: string, emit: (output: string) => void) => void
+): EngineTransport;
+export declare function createLocalEngine(options?: { maxDepth?: number; name?: string }): EngineTransport;
+export declare function useEngineAnalysis(
+  engine: EngineController | null | undefined,
+  fen: string | null | undefined,
+  options?: { depth?: number; movetime?: number; multiPv?: number; enabled?: boolean }
+): EngineAnalysis;
+export declare function parseInfo(line: string): EngineInfo | null;
+
+export declare function parseTimeControl(control: TimeControl | null | undefined): Required<TimeControlStage>[] | null;
+export declare function createClockState(control: TimeControl, turn?: 'w' | 'b'): ClockState | null;
+export declare function getClockTimes(state: ClockState, now: number): ClockTimes;
+export declare function startClock(state: ClockState, now: number, turn?: 'w' | 'b'): ClockState;
+export declare function pauseClock(state: ClockState, now: number): ClockState;
+export declare function resumeClock(state: ClockState, now: number): ClockState;
+export declare function pressClock(state: ClockState, now: number, color?: 'w' | 'b'): ClockState;
+export declare function setClockTurn(state: ClockState, now: number, turn: 'w' | 'b'): ClockState;
+export declare function checkFlag(state: ClockState, now: number): ClockState;
+export declare function syncClock(state: ClockState, times: ClockSync, now: number): ClockState;
+export declare function formatClockTime(ms: number): string;
+export declare function useChessClock(
+  timeControl: TimeControl | null | undefined,
+  options?: {
+    now?: () => number;
+    lowTime?: number;
+    tickInterval?: number;
+    onFlag?: (color: 'w' | 'b') => void;
+    onLowTime?: (color: 'w' | 'b', time: number) => void;
+    onSwitch?: (times: ClockTimes, turn: 'w' | 'b') => void;
+  }
+): ChessClockControls;
+export declare const PIECE_VALUES: PieceCounts;
+export declare function countPieces(position: string | BoardArray): { w: PieceCounts; b: PieceCounts };
+export declare function getMaterial(position: string | BoardArray, startPosition?: string | BoardArray): MaterialBalance;
+export declare function parseBestMove(line: string): { bestMove: string | null; ponder: string | null } | null;
+
+export declare const ANNOTATION_COLORS: Record<'green' | 'red' | 'blue' | 'yellow', string>;
+
+export declare function parsePgn(pgn: string, variant?: Variant | RulesAdapter): { headers: Record<string, string>; tree: MoveTree };
+export declare function writePgn(tree: MoveTree, headers?: Record<string, string>): string;
+
+export declare const RULES: Record<Variant, RulesAdapter>;
+export declare function createGame(fen?: string, variant?: Variant | RulesAdapter): RulesGame;
+
+// Standard rules on the built-in move generator; variants override the hooks
+export declare class VariantGame implements RulesGame {
+  constructor(fen?: string);
+  load(fen: string): void;
+  fen(): string;
+  board(): ({ square: string; type: string; color: 'w' | 'b' } | null)[][];
+  get(square: string): { type: string; color: 'w' | 'b' } | undefined;
+  turn(): 'w' | 'b';
+  moves(options?: { square?: string; verbose?: false }): string[];
+  moves(options: { square?: string; verbose: true }): RulesMove[];
+  move(move: string | { from: string; to: string; promotion?: string }): RulesMove;
+  inCheck(): boolean;
+  isCheckmate(): boolean;
+  isStalemate(): boolean;
+  isInsufficientMaterial(): boolean;
+  isThreefoldRepetition(): boolean;
+  isDraw(): boolean;
+  isGameOver(): boolean;
+  getOutcome(): GameOutcome | null;
+}
+
+export declare class KingOfTheHill extends VariantGame {}
+export declare class ThreeCheck extends VariantGame {
+  getChecks(): { w: number; b: number };
+}
+export declare class Antichess extends VariantGame {}
+export declare class Atomic extends VariantGame {}
+export declare class Crazyhouse extends VariantGame {
+  getPockets(): Pockets;
+}
+
+// Chess960 game with the chess.js methods the board uses; castling moves go king-to-rook
+export declare class Chess960 implements RulesGame {
+  constructor(fen?: string);
+  load(fen: string): void;
+  fen(): string;
+  board(): ({ square: string; type: string; color: 'w' | 'b' } | null)[][];
+  get(square: string): { type: string; color: 'w' | 'b' } | undefined;
+  turn(): 'w' | 'b';
+  moves(options?: { square?: string; verbose?: false }): string[];
+  moves(options: { square?: string; verbose: true }): RulesMove[];
+  move(move: string | { from: string; to: string; promotion?: string }, options?: { strict?: boolean }): RulesMove;
+  getCastlingRights(color: 'w' | 'b'): string[];
+  inCheck(): boolean;
+  isAttacked(square: string, attackedBy: 'w' | 'b'): boolean;
+  isCheckmate(): boolean;
+  isStalemate(): boolean;
+  isInsufficientMaterial(): boolean;
+  isThreefoldRepetition(): boolean;
+  isDraw(): boolean;
+  isGameOver(): boolean;
+}
+
+export declare const PIECE_SETS: Record<'classic' | 'unicode' | 'geometric', Record<PieceCode, PieceSetEntry>>;
+
+export declare const NAG_GLYPHS: Record<number, string>;
+export declare function getNagGlyphs(nags: number[]): string[];
+
 // ============================================================================
 // THEME COLLECTIONS - Enhanced
 // ============================================================================
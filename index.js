@@ -4,7 +4,15 @@
 export { default as Chessboard } from './src/components/Chessboard';
 export { default as Square } from './src/components/Square';
 export { default as Arrow } from './src/components/Arrow';
+export { default as AnnotationCircle } from './src/components/AnnotationCircle';
 export { default as PromotionOverlay } from './src/components/PromotionOverlay';
+export { default as Piece, PIECE_SETS } from './src/components/Piece';
+export { default as Pocket } from './src/components/Pocket';
+export { default as EditorToolbar } from './src/components/EditorToolbar';
+export { default as EvalBar } from './src/components/EvalBar';
+export { default as MoveInput } from './src/components/MoveInput';
+export { default as ChessClock } from './src/components/ChessClock';
+export { default as CapturedPieces } from './src/components/CapturedPieces';
 export { default as BoardLoadingSquare } from './src/components/BoardLoadingSquare';
 
 // ============================================================================
@@ -19,9 +27,16 @@ export {
   isValidTheme,
   createCustomTheme,
   themeCategories,
-  getThemeAccessibility
+  getThemeAccessibility,
+  getContrastRatio
 } from './src/chessboardColors';
 
+// Screen reader wording for squares and moves
+export { describeSquare, speakSan } from './src/accessibility';
+
+// Typed moves
+export { resolveMoveInput, describeInputError, readSpokenMove } from './src/moveInput';
+
 // ============================================================================
 // UTILITY FUNCTIONS - Lightweight
 // ============================================================================
@@ -41,67 +56,71 @@ export const clearSquareCache = () => {
 // NEW HELPER UTILITIES FOR v0.2.0
 // ============================================================================
 
-// Create a Set with all 64 squares
-export const createAllSquaresSet = () => {
-  const squares = new Set();
-  const files = 'abcdefgh';
-  const ranks = '12345678';
-  
-  for (let file of files) {
-    for (let rank of ranks) {
-      squares.add(`${file}${rank}`);
-    }
-  }
-  
-  return squares;
-};
+export {
+  createAllSquaresSet,
+  createEmptyBoardArray,
+  fenToBoardArray
+} from './src/boardUtils';
 
-// Create an empty 8x8 board array
-export const createEmptyBoardArray = () => {
-  return Array.from({ length: 8 }, () => 
-    Array.from({ length: 8 }, () => null)
-  );
-};
+// Chess clock: time controls, the pure clock state and the hook that runs it
+export {
+  parseTimeControl,
+  createClockState,
+  getClockTimes,
+  startClock,
+  pauseClock,
+  resumeClock,
+  pressClock,
+  setClockTurn,
+  checkFlag,
+  syncClock,
+  formatClockTime
+} from './src/clock';
+export { useChessClock } from './src/useChessClock';
 
-// Convert FEN to board array (simple version without chess.js)
-export const fenToBoardArray = (fen) => {
-  const board = [];
-  const fenParts = fen.split(' ');
-  const pieces = fenParts[0];
-  const rows = pieces.split('/');
-  
-  const pieceMap = {
-    'p': { type: 'p', color: 'b' },
-    'P': { type: 'p', color: 'w' },
-    'n': { type: 'n', color: 'b' },
-    'N': { type: 'n', color: 'w' },
-    'b': { type: 'b', color: 'b' },
-    'B': { type: 'b', color: 'w' },
-    'r': { type: 'r', color: 'b' },
-    'R': { type: 'r', color: 'w' },
-    'q': { type: 'q', color: 'b' },
-    'Q': { type: 'q', color: 'w' },
-    'k': { type: 'k', color: 'b' },
-    'K': { type: 'k', color: 'w' },
-  };
-  
-  rows.forEach((row) => {
-    const boardRow = [];
-    for (let char of row) {
-      if (isNaN(char)) {
-        boardRow.push(pieceMap[char] || null);
-      } else {
-        const emptySquares = parseInt(char);
-        for (let i = 0; i < emptySquares; i++) {
-          boardRow.push(null);
-        }
-      }
-    }
-    board.push(boardRow);
-  });
-  
-  return board;
-};
+// Captured pieces and material balance
+export { getMaterial, countPieces, PIECE_VALUES } from './src/material';
+
+// Engine scores as shown by the eval bar
+export { formatEvaluation, getWhiteShare } from './src/evaluation';
+
+// UCI engines: controller, transports, a local stand-in engine and the analysis hook
+export {
+  EngineController,
+  createWorkerTransport,
+  createFunctionTransport,
+  createLocalEngine,
+  useEngineAnalysis,
+  parseInfo,
+  parseBestMove
+} from './src/engine';
+
+// Position editor checks
+export { validatePosition, buildFen } from './src/editor';
+
+// Brush colours for user-drawn arrows and circles
+export { ANNOTATION_COLORS } from './src/annotations';
+
+// PGN reading and writing
+export {
+  parsePgn,
+  writePgn,
+  NAG_GLYPHS,
+  getNagGlyphs
+} from './src/pgn';
+
+// Variant rules
+export {
+  RULES,
+  createGame,
+  VariantGame,
+  Chess960,
+  KingOfTheHill,
+  ThreeCheck,
+  Antichess,
+  Atomic,
+  Crazyhouse
+} from './src/rules';
 
 // ============================================================================
 // PRE-BUILT THEMES - Easy to use with props
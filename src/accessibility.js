@@ -0,0 +1,89 @@
+// accessibility.js - What screen readers say about squares and moves
+
+export const PIECE_NAMES = {
+  p: 'pawn',
+  n: 'knight',
+  b: 'bishop',
+  r: 'rook',
+  q: 'queen',
+  k: 'king'
+};
+
+export const COLOR_NAMES = { w: 'white', b: 'black' };
+
+const KING_STATE_NAMES = {
+  check: 'in check',
+  checkmate: 'checkmated',
+  stalemate: 'stalemated'
+};
+
+export const describePiece = (piece) => (
+  piece ? `${COLOR_NAMES[piece.color]} ${PIECE_NAMES[piece.type.toLowerCase()]}` : 'empty'
+);
+
+// "e4, white knight, selected" / "d5, empty, legal target"; hidden pieces stay hidden
+export const describeSquare = ({
+  square,
+  piece = null,
+  hidden = false,
+  selected = false,
+  legalTarget = false,
+  capture = false,
+  lastMove = null,
+  kingState = null,
+  premove = false
+}) => {
+  const parts = [square, hidden ? 'hidden piece' : describePiece(piece)];
+  if (selected) parts.push('selected');
+  if (legalTarget) parts.push(capture ? 'legal target, capture' : 'legal target');
+  if (kingState) parts.push(KING_STATE_NAMES[kingState]);
+  if (lastMove) parts.push(`last move ${lastMove}`);
+  if (premove) parts.push('premove');
+  return parts.join(', ');
+};
+
+// ============================================================================
+// SPOKEN SAN
+// ============================================================================
+const SAN_PIECES = { K: 'king', Q: 'queen', R: 'rook', B: 'bishop', N: 'knight', P: 'pawn' };
+const SAN_PATTERN = /^([KQRBNP])?([a-h])?([1-8])?(x|@)?([a-h][1-8])(?:=?([QRBN]))?$/;
+
+// "Nxe5+" -> "knight takes e5, check"; "exd8=Q#" -> "e takes d8 promotes to queen, checkmate"
+export const speakSan = (san) => {
+  if (!san) return '';
+  const core = san.replace(/[+#!?]+$/, '').replace(/0/g, 'O');
+  const suffix = san.includes('#') ? 'checkmate' : san.includes('+') ? 'check' : null;
+
+  let spoken;
+  if (core === 'O-O-O') {
+    spoken = 'castles queenside';
+  } else if (core === 'O-O') {
+    spoken = 'castles kingside';
+  } else {
+    const match = SAN_PATTERN.exec(core);
+    if (!match) return san;
+    const [, piece, fromFile, fromRank, action, to, promotion] = match;
+    const words = [];
+    if (piece) words.push(SAN_PIECES[piece]);
+    if (fromFile || fromRank) words.push(`${fromFile || ''}${fromRank || ''}`);
+    if (action === 'x') words.push('takes');
+    if (action === '@') words.push('drops on');
+    words.push(to);
+    if (promotion) words.push(`promotes to ${SAN_PIECES[promotion]}`);
+    spoken = words.join(' ');
+  }
+  return suffix ? `${spoken}, ${suffix}` : spoken;
+};
+
+// Squares in the order a screen reader meets them: left to right, top to bottom as seen
+export const getSquareOrder = (perspective = 'white') => {
+  const order = [];
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      order.push(perspective === 'white'
+        ? `${String.fromCharCode(97 + col)}${8 - row}`
+        : `${String.fromCharCode(104 - col)}${row + 1}`);
+    }
+  }
+  return order;
+};
@@ -0,0 +1,38 @@
+// annotations.js - User-drawn arrows and circles
+
+// Named brushes; any other string is used as a colour directly
+export const ANNOTATION_COLORS = {
+  green: 'rgba(21, 120, 27, 0.8)',
+  red: 'rgba(136, 32, 32, 0.8)',
+  blue: 'rgba(0, 48, 136, 0.8)',
+  yellow: 'rgba(230, 143, 0, 0.8)'
+};
+
+export const resolveAnnotationColor = (color) => {
+  return ANNOTATION_COLORS[color] || color || ANNOTATION_COLORS.green;
+};
+
+const isSameTarget = (a, b) => {
+  if (a.type !== b.type) return false;
+  if (a.type === 'circle') return a.square === b.square;
+  return a.from === b.from && a.to === b.to;
+};
+
+// Drawing an existing annotation again removes it; a new colour replaces the old one
+export const toggleAnnotation = (annotations, annotation) => {
+  const list = annotations || [];
+  const existing = list.find(item => isSameTarget(item, annotation));
+
+  if (!existing) {
+    return [...list, annotation];
+  }
+
+  const rest = list.filter(item => item !== existing);
+  return existing.color === annotation.color ? rest : [...rest, annotation];
+};
+
+export const isKnightJump = (from, to) => {
+  const df = Math.abs(from.charCodeAt(0) - to.charCodeAt(0));
+  const dr = Math.abs(parseInt(from[1]) - parseInt(to[1]));
+  return (df === 1 && dr === 2) || (df === 2 && dr === 1);
+};
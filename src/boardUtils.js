@@ -0,0 +1,88 @@
+// boardUtils.js - Board array helpers that work without chess.js
+
+export const DEFAULT_POSITION = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+// Create a Set with all 64 squares
+export const createAllSquaresSet = () => {
+  const squares = new Set();
+  const files = 'abcdefgh';
+  const ranks = '12345678';
+  
+  for (let file of files) {
+    for (let rank of ranks) {
+      squares.add(`${file}${rank}`);
+    }
+  }
+  
+  return squares;
+};
+
+// Create an empty 8x8 board array
+export const createEmptyBoardArray = () => {
+  return Array.from({ length: 8 }, () => 
+    Array.from({ length: 8 }, () => null)
+  );
+};
+
+// Convert FEN to board array (simple version without chess.js)
+export const fenToBoardArray = (fen) => {
+  const board = [];
+  const fenParts = fen.split(' ');
+  // Crazyhouse pockets ("[Qp]" or a ninth rank) and promoted markers are not part of the board
+  const pieces = fenParts[0].replace(/\[.*$/, '').replace(/~/g, '');
+  const rows = pieces.split('/').slice(0, 8);
+  
+  const pieceMap = {
+    'p': { type: 'p', color: 'b' },
+    'P': { type: 'p', color: 'w' },
+    'n': { type: 'n', color: 'b' },
+    'N': { type: 'n', color: 'w' },
+    'b': { type: 'b', color: 'b' },
+    'B': { type: 'b', color: 'w' },
+    'r': { type: 'r', color: 'b' },
+    'R': { type: 'r', color: 'w' },
+    'q': { type: 'q', color: 'b' },
+    'Q': { type: 'q', color: 'w' },
+    'k': { type: 'k', color: 'b' },
+    'K': { type: 'k', color: 'w' },
+  };
+  
+  rows.forEach((row) => {
+    const boardRow = [];
+    for (let char of row) {
+      if (isNaN(char)) {
+        boardRow.push(pieceMap[char] || null);
+      } else {
+        const emptySquares = parseInt(char);
+        for (let i = 0; i < emptySquares; i++) {
+          boardRow.push(null);
+        }
+      }
+    }
+    board.push(boardRow);
+  });
+  
+  return board;
+};
+
+// Copy a board array with one piece moved; captures simply overwrite the target
+export const moveOnBoardArray = (board, from, to, promotion) => {
+  const result = board.map(row => row.slice());
+  const fromRow = 8 - parseInt(from[1]);
+  const fromCol = from.charCodeAt(0) - 97;
+  const toRow = 8 - parseInt(to[1]);
+  const toCol = to.charCodeAt(0) - 97;
+  const piece = result[fromRow][fromCol];
+
+  result[fromRow][fromCol] = null;
+  result[toRow][toCol] = piece && promotion ? { ...piece, type: promotion } : piece;
+
+  return result;
+};
+
+// Copy a board array with a piece put on a square, as a crazyhouse drop does
+export const placeOnBoardArray = (board, square, piece) => {
+  const result = board.map(row => row.slice());
+  result[8 - parseInt(square[1])][square.charCodeAt(0) - 97] = piece;
+  return result;
+};
@@ -153,16 +153,96 @@ export const chessboardThemes = {
     special: ['dark']
   };
   
-  // Color contrast ratios for accessibility
-  export const getThemeAccessibility = (themeName) => {
-    const theme = chessboardThemes[themeName];
-    if (!theme) return null;
-    
+  // ============================================================================
+  // WCAG CONTRAST
+  // ============================================================================
+  // Graphical objects need 3:1 against what surrounds them (WCAG 2.1, 1.4.11)
+  export const WCAG_NON_TEXT_CONTRAST = 3;
+
+  // #rgb, #rrggbb, #rrggbbaa, rgb() and rgba() -> { r, g, b, a }
+  export const parseColor = (color) => {
+    if (typeof color !== 'string') return null;
+    const value = color.trim();
+    const hex = /^#([0-9a-f]{3,8})$/i.exec(value);
+    if (hex) {
+      let digits = hex[1];
+      if (digits.length === 3 || digits.length === 4) {
+        digits = digits.split('').map(digit => digit + digit).join('');
+      }
+      if (digits.length !== 6 && digits.length !== 8) return null;
+      return {
+        r: parseInt(digits.slice(0, 2), 16),
+        g: parseInt(digits.slice(2, 4), 16),
+        b: parseInt(digits.slice(4, 6), 16),
+        a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1
+      };
+    }
+    const rgb = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/i.exec(value);
+    if (rgb) {
+      return {
+        r: parseFloat(rgb[1]),
+        g: parseFloat(rgb[2]),
+        b: parseFloat(rgb[3]),
+        a: rgb[4] !== undefined ? parseFloat(rgb[4]) : 1
+      };
+    }
+    return null;
+  };
+
+  const toLinear = (channel) => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  };
+
+  const getLuminance = ({ r, g, b }) => 0.2126 * toLinear(r) + 0.7152 * toLinear(g) + 0.0722 * toLinear(b);
+
+  // Contrast ratio (1 to 21) of a colour drawn over a background; translucent colours are
+  // blended with the background first, the way they appear on the board
+  export const getContrastRatio = (foreground, background) => {
+    const fg = parseColor(foreground);
+    const bg = parseColor(background);
+    if (!fg || !bg) return null;
+    const blended = {
+      r: fg.r * fg.a + bg.r * (1 - fg.a),
+      g: fg.g * fg.a + bg.g * (1 - fg.a),
+      b: fg.b * fg.a + bg.b * (1 - fg.a)
+    };
+    const lighter = Math.max(getLuminance(blended), getLuminance(bg));
+    const darker = Math.min(getLuminance(blended), getLuminance(bg));
+    return Math.round(((lighter + 0.05) / (darker + 0.05)) * 100) / 100;
+  };
+
+  // Contrast of the theme's markers against both square colours (the weaker one counts).
+  // Accepts a theme name or a theme object, so custom themes can be checked too.
+  export const getThemeAccessibility = (themeOrName) => {
+    const theme = typeof themeOrName === 'string' ? chessboardThemes[themeOrName] : themeOrName;
+    if (!isValidTheme(theme)) return null;
+
+    const against = (color, backgrounds) => {
+      const ratios = backgrounds.map(background => getContrastRatio(color, background));
+      return ratios.includes(null) ? null : Math.min(...ratios);
+    };
+    const squares = [theme.light, theme.dark];
+    // Hint squares are repainted with the hint backgrounds when the theme has them
+    const hintSquares = theme.hintLightBg && theme.hintDarkBg ? [theme.hintLightBg, theme.hintDarkBg] : squares;
+
+    const squareContrast = getContrastRatio(theme.light, theme.dark);
+    const highlightContrast = against(theme.highlighted, squares);
+    const dotContrast = against(theme.dot, squares);
+    const hintContrast = theme.hintBorder ? against(theme.hintBorder, hintSquares) : null;
+
     return {
-      name: theme.name,
-      hasHighContrast: theme.name === 'classic' || theme.name === 'dark',
-      hintVisibility: theme.name === 'green' ? 'high' : 'medium',
-      recommended: theme.name === 'green' || theme.name === 'classic'
+      name: theme.name || 'Custom',
+      squareContrast,
+      highlightContrast,
+      dotContrast,
+      hintContrast,
+      hasHighContrast: squareContrast !== null && squareContrast >= WCAG_NON_TEXT_CONTRAST,
+      hintVisibility: hintContrast === null || hintContrast < 2
+        ? 'low'
+        : hintContrast >= WCAG_NON_TEXT_CONTRAST ? 'high' : 'medium',
+      // Move targets are the marks players cannot do without
+      recommended: dotContrast !== null && dotContrast >= WCAG_NON_TEXT_CONTRAST
     };
   };
   
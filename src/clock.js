@@ -0,0 +1,213 @@
+// clock.js - Chess clock state: Fischer increment, Bronstein delay and multi-stage time controls
+// Every function takes the current time as an argument, so the clock runs on any time source.
+
+const MINUTE = 60000;
+const SECOND = 1000;
+
+const opponent = (color) => (color === 'w' ? 'b' : 'w');
+
+// ============================================================================
+// TIME CONTROLS
+// ============================================================================
+// "5+3" is five minutes with a three second increment, "5d2" five minutes with a two second
+// Bronstein delay; stages are joined by commas and "40/" says how many moves a stage lasts:
+// "40/90+30, 30+30"
+const STAGE_PATTERN = /^(?:(\d+)\/)?(\d+(?:\.\d+)?)(?:([+d])(\d+(?:\.\d+)?))?$/;
+
+const parseStage = (text) => {
+  const match = STAGE_PATTERN.exec(text.replace(/\s+/g, ''));
+  if (!match) return null;
+  const [, moves, minutes, kind, seconds] = match;
+  const extra = seconds ? Math.round(parseFloat(seconds) * SECOND) : 0;
+  return {
+    time: Math.round(parseFloat(minutes) * MINUTE),
+    increment: kind === '+' ? extra : 0,
+    delay: kind === 'd' ? extra : 0,
+    moves: moves ? parseInt(moves, 10) : null
+  };
+};
+
+const normalizeStage = (stage) => ({
+  time: Math.max(0, stage.time || 0),
+  increment: Math.max(0, stage.increment || 0),
+  delay: Math.max(0, stage.delay || 0),
+  moves: stage.moves > 0 ? stage.moves : null
+});
+
+// A string, one stage { time, increment, delay } in milliseconds, or an array of stages with
+// `moves` on every stage but the last; null when nothing usable is given
+export const parseTimeControl = (control) => {
+  if (!control) return null;
+  if (typeof control === 'string') {
+    const stages = control.split(',').map(parseStage);
+    return stages.length && stages.every(Boolean) ? stages : null;
+  }
+  const stages = (Array.isArray(control) ? control : [control])
+    .filter(stage => stage && typeof stage === 'object')
+    .map(normalizeStage);
+  return stages.length ? stages : null;
+};
+
+// ============================================================================
+// CLOCK STATE
+// ============================================================================
+// remaining is what each side had when its clock last stopped; the running side also loses
+// the time since `since`. `spent` is what the side to move used on this move before a pause,
+// which a Bronstein delay gives back.
+export const createClockState = (control, turn = 'w') => {
+  const stages = parseTimeControl(control);
+  if (!stages) return null;
+  return {
+    stages,
+    remaining: { w: stages[0].time, b: stages[0].time },
+    moves: { w: 0, b: 0 },
+    stage: { w: 0, b: 0 },
+    turn,
+    status: 'idle',
+    since: null,
+    spent: 0,
+    flagged: null
+  };
+};
+
+const elapsedSince = (state, now) => (
+  state.status === 'running' ? Math.max(0, now - state.since) : 0
+);
+
+export const getClockTimes = (state, now) => {
+  if (!state) return null;
+  const used = elapsedSince(state, now);
+  return {
+    w: Math.max(0, state.remaining.w - (state.turn === 'w' ? used : 0)),
+    b: Math.max(0, state.remaining.b - (state.turn === 'b' ? used : 0))
+  };
+};
+
+export const startClock = (state, now, turn = state.turn) => {
+  if (!state || state.flagged || state.status === 'running') return state;
+  return { ...state, turn, status: 'running', since: now, spent: 0 };
+};
+
+export const pauseClock = (state, now) => {
+  if (!state || state.status !== 'running') return state;
+  const used = elapsedSince(state, now);
+  return {
+    ...state,
+    remaining: { ...state.remaining, [state.turn]: Math.max(0, state.remaining[state.turn] - used) },
+    status: 'paused',
+    since: null,
+    spent: state.spent + used
+  };
+};
+
+export const resumeClock = (state, now) => {
+  if (!state || state.flagged || state.status !== 'paused') return state;
+  return { ...state, status: 'running', since: now };
+};
+
+// The side to move finished its move: its increment or delay is credited, the next stage's
+// time added when it has played the stage's moves, and the other clock starts. An idle clock
+// starts here, so the first move of the game needs no separate start. A press from the side
+// not on move does nothing, as on a real clock, unless the clock has not started yet.
+export const pressClock = (current, now, color = current?.turn) => {
+  if (!current || current.flagged) return current;
+  if (color !== current.turn && current.status !== 'idle') return current;
+  const state = color === current.turn ? current : { ...current, turn: color };
+  const used = elapsedSince(state, now);
+  const spent = state.spent + used;
+  const stage = state.stages[state.stage[color]];
+
+  let remaining = state.remaining[color] - used;
+  if (remaining <= 0 && state.status === 'running') {
+    return { ...state, remaining: { ...state.remaining, [color]: 0 }, status: 'stopped', flagged: color };
+  }
+  remaining += stage.increment + Math.min(stage.delay, spent);
+
+  const moves = state.moves[color] + 1;
+  let stageIndex = state.stage[color];
+  const stageEnd = state.stages
+    .slice(0, stageIndex + 1)
+    .reduce((total, { moves: stageMoves }) => total + (stageMoves || Infinity), 0);
+  if (moves >= stageEnd && stageIndex < state.stages.length - 1) {
+    stageIndex += 1;
+    remaining += state.stages[stageIndex].time;
+  }
+
+  return {
+    ...state,
+    remaining: { ...state.remaining, [color]: remaining },
+    moves: { ...state.moves, [color]: moves },
+    stage: { ...state.stage, [color]: stageIndex },
+    turn: opponent(color),
+    status: state.status === 'paused' ? 'paused' : 'running',
+    since: state.status === 'paused' ? null : now,
+    spent: 0
+  };
+};
+
+// Hands the move to `turn` without a press, e.g. after an undo or a new position: the time the
+// side to move has used so far is kept, no increment is given and the move count stays
+export const setClockTurn = (state, now, turn) => {
+  if (!state || state.flagged || state.turn === turn) return state;
+  const checked = checkFlag(state, now);
+  if (checked !== state) return checked;
+  const used = elapsedSince(state, now);
+  return {
+    ...state,
+    remaining: { ...state.remaining, [state.turn]: Math.max(0, state.remaining[state.turn] - used) },
+    turn,
+    since: state.status === 'running' ? now : null,
+    spent: 0
+  };
+};
+
+// Marks the running side as flagged once its time is gone; the state is returned unchanged
+// otherwise, so callers can compare references
+export const checkFlag = (state, now) => {
+  if (!state || state.status !== 'running') return state;
+  const times = getClockTimes(state, now);
+  if (times[state.turn] > 0) return state;
+  return {
+    ...state,
+    remaining: { ...state.remaining, [state.turn]: 0 },
+    status: 'stopped',
+    since: null,
+    flagged: state.turn
+  };
+};
+
+// Takes the times a server reports as the truth. `elapsed` is how long ago the server measured
+// them, and is taken off the side to move when its clock is running.
+export const syncClock = (state, { w, b, turn = state?.turn, running, elapsed = 0 }, now) => {
+  if (!state) return state;
+  const isRunning = running ?? state.status === 'running';
+  const remaining = {
+    w: typeof w === 'number' ? w : state.remaining.w,
+    b: typeof b === 'number' ? b : state.remaining.b
+  };
+  if (isRunning) remaining[turn] = Math.max(0, remaining[turn] - elapsed);
+  const status = isRunning ? 'running' : state.status === 'idle' ? 'idle' : 'paused';
+  return {
+    ...state,
+    remaining,
+    turn,
+    status,
+    since: isRunning ? now : null,
+    spent: 0,
+    flagged: null
+  };
+};
+
+// ============================================================================
+// DISPLAY
+// ============================================================================
+// "1:05:09", "4:59", and tenths under ten seconds: "9.3"
+export const formatClockTime = (ms) => {
+  const time = Math.max(0, ms || 0);
+  if (time < 10 * SECOND) return (Math.floor(time / 100) / 10).toFixed(1);
+  const totalSeconds = Math.ceil(time / SECOND);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+};
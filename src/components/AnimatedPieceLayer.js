@@ -0,0 +1,190 @@
+import React, { memo, useEffect, useRef } from 'react';
+import { View, StyleSheet, Animated, Easing } from 'react-native';
+import Piece from './Piece';
+
+const DEFAULT_EASING = Easing.inOut(Easing.cubic);
+
+// Board rows/cols are absolute (row 0 = rank 8); flip them for black's perspective
+const toDisplayPosition = (row, col, perspective, squareSize) => {
+  const displayRow = perspective === 'white' ? row : 7 - row;
+  const displayCol = perspective === 'white' ? col : 7 - col;
+  return { x: displayCol * squareSize, y: displayRow * squareSize };
+};
+
+// *** SLIDING PIECE (with optional promotion morph) ***
+const MovingPiece = memo(({ move, progress, perspective, squareSize, pieceSet, rotatedColor }) => {
+  const from = toDisplayPosition(move.fromRow, move.fromCol, perspective, squareSize);
+  const to = toDisplayPosition(move.toRow, move.toCol, perspective, squareSize);
+
+  const translateX = progress.interpolate({
+    inputRange: [0, 1],
+    outputRange: [from.x, to.x],
+  });
+  const translateY = progress.interpolate({
+    inputRange: [0, 1],
+    outputRange: [from.y, to.y],
+  });
+
+  const pieceType = `${move.piece.color}${move.piece.type.toLowerCase()}`;
+
+  return (
+    <Animated.View
+      style={[
+        styles.piece,
+        { width: squareSize, height: squareSize, transform: [{ translateX }, { translateY }] }
+      ]}
+    >
+      {move.promotion ? (
+        <>
+          <Animated.View
+            style={[
+              styles.morphLayer,
+              { opacity: progress.interpolate({ inputRange: [0, 0.6, 1], outputRange: [1, 1, 0] }) }
+            ]}
+          >
+            <Piece pieceType={pieceType} pieceSet={pieceSet} rotated={move.piece.color === rotatedColor} />
+          </Animated.View>
+          <Animated.View
+            style={[
+              styles.morphLayer,
+              { opacity: progress.interpolate({ inputRange: [0, 0.6, 1], outputRange: [0, 0, 1] }) }
+            ]}
+          >
+            <Piece
+              pieceType={`${move.promotion.color}${move.promotion.type.toLowerCase()}`}
+              pieceSet={pieceSet}
+              rotated={move.promotion.color === rotatedColor}
+            />
+          </Animated.View>
+        </>
+      ) : (
+        <Piece pieceType={pieceType} pieceSet={pieceSet} rotated={move.piece.color === rotatedColor} />
+      )}
+    </Animated.View>
+  );
+});
+
+MovingPiece.displayName = 'MovingPiece';
+
+// *** CAPTURED PIECE FADING OUT ***
+const FadingPiece = memo(({ fade, progress, perspective, squareSize, pieceSet, rotatedColor }) => {
+  const position = toDisplayPosition(fade.row, fade.col, perspective, squareSize);
+  const opacity = progress.interpolate({
+    inputRange: [0, 1],
+    outputRange: [1, 0],
+  });
+
+  return (
+    <Animated.View
+      style={[
+        styles.piece,
+        {
+          width: squareSize,
+          height: squareSize,
+          opacity,
+          transform: [{ translateX: position.x }, { translateY: position.y }]
+        }
+      ]}
+    >
+      <Piece
+        pieceType={`${fade.piece.color}${fade.piece.type.toLowerCase()}`}
+        pieceSet={pieceSet}
+        rotated={fade.piece.color === rotatedColor}
+      />
+    </Animated.View>
+  );
+});
+
+FadingPiece.displayName = 'FadingPiece';
+
+// *** MAIN LAYER - drives every piece from one progress value ***
+const AnimatedPieceLayer = memo(({
+  animations,
+  perspective = 'white',
+  squareSize,
+  duration = 200,
+  easing = DEFAULT_EASING,
+  pieceSet = 'classic',
+  rotatedColor = null,
+  onComplete
+}) => {
+  const progress = useRef(new Animated.Value(0)).current;
+
+  useEffect(() => {
+    if (!animations) return undefined;
+
+    progress.setValue(0);
+    const animation = Animated.timing(progress, {
+      toValue: 1,
+      duration,
+      easing,
+      useNativeDriver: true,
+    });
+
+    animation.start(({ finished }) => {
+      if (finished) {
+        onComplete?.(animations.id);
+      }
+    });
+
+    return () => animation.stop();
+  }, [animations]);
+
+  if (!animations || !squareSize) return null;
+
+  return (
+    <View style={styles.layer} pointerEvents="none">
+      {animations.fades.map(fade => (
+        <FadingPiece
+          key={fade.key}
+          fade={fade}
+          progress={progress}
+          perspective={perspective}
+          squareSize={squareSize}
+          pieceSet={pieceSet}
+          rotatedColor={rotatedColor}
+        />
+      ))}
+      {animations.moves.map(move => (
+        <MovingPiece
+          key={move.key}
+          move={move}
+          progress={progress}
+          perspective={perspective}
+          squareSize={squareSize}
+          pieceSet={pieceSet}
+          rotatedColor={rotatedColor}
+        />
+      ))}
+    </View>
+  );
+});
+
+AnimatedPieceLayer.displayName = 'AnimatedPieceLayer';
+
+const styles = StyleSheet.create({
+  layer: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    zIndex: 20,
+  },
+  piece: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  morphLayer: {
+    position: 'absolute',
+    width: '100%',
+    height: '100%',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+});
+
+export default AnimatedPieceLayer;
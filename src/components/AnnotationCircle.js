@@ -0,0 +1,71 @@
+import React, { memo } from 'react';
+import { View, StyleSheet } from 'react-native';
+import Svg, { Circle } from 'react-native-svg';
+
+// ============================================================================
+// COORDINATE CALCULATIONS
+// ============================================================================
+const getSquareCenter = (square, perspective, boardSize) => {
+  const file = square.charCodeAt(0) - 'a'.charCodeAt(0);
+  const rank = 8 - parseInt(square[1]);
+  const x = perspective === 'white' ? file : 7 - file;
+  const y = perspective === 'white' ? rank : 7 - rank;
+
+  const squareSize = boardSize / 8;
+  return {
+    x: x * squareSize + squareSize / 2,
+    y: y * squareSize + squareSize / 2
+  };
+};
+
+// ============================================================================
+// MAIN CIRCLE COMPONENT
+// ============================================================================
+const AnnotationCircle = memo(({
+  square,
+  boardSize,
+  perspective = 'white',
+  color = 'rgba(21, 120, 27, 0.8)',
+  opacity = 1
+}) => {
+  if (!square || !/^[a-h][1-8]$/.test(square) || !boardSize) {
+    return null;
+  }
+
+  const center = getSquareCenter(square, perspective, boardSize);
+  const squareSize = boardSize / 8;
+  const strokeWidth = Math.max(squareSize / 16, 2);
+
+  return (
+    <View style={[styles.circleContainer, { opacity }]} pointerEvents="none">
+      <Svg width="100%" height="100%" viewBox={`0 0 ${boardSize} ${boardSize}`}>
+        <Circle
+          cx={center.x}
+          cy={center.y}
+          r={squareSize / 2 - strokeWidth}
+          stroke={color}
+          strokeWidth={strokeWidth}
+          fill="none"
+        />
+      </Svg>
+    </View>
+  );
+});
+
+// ============================================================================
+// STYLES
+// ============================================================================
+const styles = StyleSheet.create({
+  circleContainer: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    zIndex: 10,
+  },
+});
+
+AnnotationCircle.displayName = 'AnnotationCircle';
+
+export default AnnotationCircle;
@@ -2,7 +2,7 @@
 
 import React, { memo, useMemo } from 'react';
 import { View, StyleSheet } from 'react-native';
-import Svg, { Line, Polygon } from 'react-native-svg';
+import Svg, { Line, Polygon, Rect, Text as SvgText } from 'react-native-svg';
 
 // ============================================================================
 // COORDINATE CALCULATIONS - Percentage-based for flex layout
@@ -37,8 +37,8 @@ const getCoordinatesNumeric = (square, perspective, boardSize) => {
 // ============================================================================
 // ARROW HEAD COMPONENT
 // ============================================================================
-const ArrowHead = memo(({ endPoint, angle, boardSize, color }) => {
-  const size = Math.max(boardSize / 25, 8);
+const ArrowHead = memo(({ endPoint, angle, boardSize, color, widthScale = 1 }) => {
+  const size = Math.max(boardSize / 25, 8) * widthScale;
   const halfSize = size / 1.5;
   const points = `0,-${halfSize} 0,${halfSize} ${size},0`;
   const transform = `translate(${endPoint.x},${endPoint.y}) rotate(${angle})`;
@@ -57,8 +57,8 @@ ArrowHead.displayName = 'ArrowHead';
 // ============================================================================
 // ARROW LINES COMPONENT
 // ============================================================================
-const ArrowLines = memo(({ fromCoord, toCoord, endPoint, isKnightMove, color, boardSize }) => {
-  const strokeWidth = Math.max(boardSize / 50, 3);
+const ArrowLines = memo(({ fromCoord, toCoord, endPoint, isKnightMove, color, boardSize, widthScale = 1 }) => {
+  const strokeWidth = Math.max(boardSize / 50, 3) * widthScale;
   
   if (isKnightMove) {
     const dx = toCoord.x - fromCoord.x;
@@ -115,6 +115,38 @@ const ArrowLines = memo(({ fromCoord, toCoord, endPoint, isKnightMove, color, bo
 
 ArrowLines.displayName = 'ArrowLines';
 
+// ============================================================================
+// ARROW LABEL - small pill beside the arrowhead (engine score, ply number)
+// ============================================================================
+const ArrowLabel = memo(({ endPoint, label, boardSize, color, background }) => {
+  const squareSize = boardSize / 8;
+  const fontSize = Math.max(squareSize * 0.22, 8);
+  const height = fontSize * 1.4;
+  const width = Math.max(height, label.length * fontSize * 0.62 + fontSize * 0.6);
+
+  // Up and to the right of the head, kept inside the board
+  const x = Math.min(Math.max(endPoint.x + squareSize * 0.3 - width / 2, 0), boardSize - width);
+  const y = Math.min(Math.max(endPoint.y - squareSize * 0.3 - height / 2, 0), boardSize - height);
+
+  return (
+    <>
+      <Rect x={x} y={y} width={width} height={height} rx={height / 2} fill={background} />
+      <SvgText
+        x={x + width / 2}
+        y={y + height / 2 + fontSize * 0.35}
+        fontSize={fontSize}
+        fontWeight="bold"
+        fill={color}
+        textAnchor="middle"
+      >
+        {label}
+      </SvgText>
+    </>
+  );
+});
+
+ArrowLabel.displayName = 'ArrowLabel';
+
 // ============================================================================
 // MAIN ARROW COMPONENT - Flex Layout Version
 // ============================================================================
@@ -126,7 +158,11 @@ const Arrow = memo(({
   perspective = 'white', 
   piece = null,
   opacity = 0.8,
-  color = null
+  color = null,
+  widthScale = 1,
+  label = null,
+  labelColor = '#FFFFFF',
+  labelBackground = null
 }) => {
   // *** VALIDATE PROPS ***
   if (!from || !to || !boardSize || boardSize < 80) {
@@ -218,18 +254,32 @@ const Arrow = memo(({
           isKnightMove={isKnightMove}
           color={arrowColor}
           boardSize={boardSize}
+          widthScale={widthScale}
         />
         <ArrowHead
           endPoint={endPoint}
           angle={angle}
           boardSize={boardSize}
           color={arrowColor}
+          widthScale={widthScale}
         />
+        {!!label && (
+          <ArrowLabel
+            endPoint={endPoint}
+            label={label}
+            boardSize={boardSize}
+            color={labelColor}
+            background={labelBackground || arrowColor}
+          />
+        )}
       </Svg>
     </View>
   );
 }, (prevProps, nextProps) => {
-  const keys = ['from', 'to', 'squareSize', 'boardSize', 'perspective', 'piece', 'opacity', 'color'];
+  const keys = [
+    'from', 'to', 'squareSize', 'boardSize', 'perspective', 'piece', 'opacity', 'color',
+    'widthScale', 'label', 'labelColor', 'labelBackground'
+  ];
   
   for (const key of keys) {
     if (prevProps[key] !== nextProps[key]) {
@@ -0,0 +1,113 @@
+import React, { memo, useMemo } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Piece from './Piece';
+import { getMaterial, CAPTURE_ORDER } from '../material';
+import { PIECE_NAMES } from '../accessibility';
+import { DEFAULT_POSITION } from '../boardUtils';
+
+// *** DEFAULT COLORS - for standalone usage ***
+const DEFAULT_COLORS = {
+  subtitleText: '#6B7280'
+};
+
+// Pieces of one type overlap like a fanned-out stack
+const STACK_OVERLAP = 0.55;
+
+const opponent = (color) => (color === 'w' ? 'b' : 'w');
+
+// "2 pawns and 1 knight"
+const describeCaptures = (counts) => {
+  const parts = CAPTURE_ORDER
+    .filter(type => counts[type] > 0)
+    .map(type => (counts[type] === 1 ? `1 ${PIECE_NAMES[type]}` : `${counts[type]} ${PIECE_NAMES[type]}s`));
+  if (parts.length === 0) return 'nothing';
+  return parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts[0];
+};
+
+// *** CAPTURED PIECES - what `color` has taken, grouped by type, with its material lead ***
+const CapturedPieces = memo(({
+  fen = null,
+  board = null,
+  startFen,
+  color = 'w',
+  pieceSet = 'classic',
+  pieceSize = 20,
+  showAdvantage = true,
+  textColors = null,
+  style = null
+}) => {
+  const activeColors = { ...DEFAULT_COLORS, ...textColors };
+  const { captured, advantage } = useMemo(
+    () => getMaterial(board || fen || DEFAULT_POSITION, startFen),
+    [board, fen, startFen]
+  );
+
+  const counts = captured[color];
+  const lead = color === 'w' ? advantage : -advantage;
+  const capturedColor = opponent(color);
+  const label = `${color === 'w' ? 'White' : 'Black'} has captured ${describeCaptures(counts)}` +
+    (lead > 0 ? `, up ${lead}` : '');
+
+  return (
+    <View
+      style={[styles.container, { minHeight: pieceSize }, style]}
+      accessible
+      accessibilityLabel={label}
+    >
+      {CAPTURE_ORDER.filter(type => counts[type] > 0).map(type => (
+        <View key={type} style={styles.group}>
+          {Array.from({ length: counts[type] }, (_, index) => (
+            <View
+              key={index}
+              style={{
+                width: pieceSize,
+                height: pieceSize,
+                marginLeft: index === 0 ? 0 : -pieceSize * STACK_OVERLAP
+              }}
+            >
+              <Piece
+                pieceType={`${capturedColor}${type}`}
+                pieceSet={pieceSet}
+                style={styles.piece}
+              />
+            </View>
+          ))}
+        </View>
+      ))}
+      {showAdvantage && lead > 0 && (
+        <Text
+          style={[
+            styles.advantage,
+            { color: activeColors.subtitleText, fontSize: Math.max(11, pieceSize * 0.6) }
+          ]}
+        >
+          +{lead}
+        </Text>
+      )}
+    </View>
+  );
+});
+
+CapturedPieces.displayName = 'CapturedPieces';
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+  },
+  group: {
+    flexDirection: 'row',
+    marginRight: 6,
+  },
+  piece: {
+    width: '100%',
+    height: '100%',
+  },
+  advantage: {
+    fontWeight: '600',
+    marginLeft: 2,
+  },
+});
+
+export default CapturedPieces;
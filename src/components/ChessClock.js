@@ -0,0 +1,160 @@
+import React, { memo, useCallback, useEffect, useReducer } from 'react';
+import { View, Text, Pressable, StyleSheet } from 'react-native';
+import { formatClockTime, getClockTimes } from '../clock';
+
+// *** DEFAULT COLORS - for standalone usage ***
+const DEFAULT_COLORS = {
+  borderPrimary: '#E5E7EB',
+  cardBackground: '#FFFFFF',
+  titleText: '#111827',
+  subtitleText: '#6B7280',
+  clockActive: '#1F2937',
+  clockActiveText: '#FFFFFF',
+  clockLowTime: '#C62828'
+};
+
+const COLOR_LABELS = { w: 'White', b: 'Black' };
+
+// *** CLOCK FACE - one side's time; dark while it runs, red once it is low ***
+const ClockFace = memo(({
+  color,
+  time,
+  label,
+  isActive,
+  isLow,
+  isFlagged,
+  isPaused,
+  colors,
+  onPress
+}) => {
+  const handlePress = useCallback(() => {
+    onPress?.(color);
+  }, [onPress, color]);
+
+  const warning = isLow || isFlagged;
+  const backgroundColor = isActive
+    ? (warning ? colors.clockLowTime : colors.clockActive)
+    : colors.cardBackground;
+  const textColor = isActive
+    ? colors.clockActiveText
+    : (warning ? colors.clockLowTime : colors.titleText);
+  const state = isFlagged ? 'out of time' : isPaused ? 'paused' : isActive ? 'running' : null;
+
+  return (
+    <Pressable
+      onPress={handlePress}
+      disabled={!onPress}
+      accessibilityRole="timer"
+      accessibilityLabel={`${label}, ${formatClockTime(time)}${state ? `, ${state}` : ''}`}
+      style={[
+        styles.face,
+        { backgroundColor, borderColor: colors.borderPrimary },
+        isPaused && styles.paused
+      ]}
+    >
+      <Text style={[styles.label, { color: isActive ? colors.clockActiveText : colors.subtitleText }]}>
+        {isFlagged ? `${label} ⚑` : label}
+      </Text>
+      <Text style={[styles.time, { color: textColor }]}>
+        {formatClockTime(time)}
+      </Text>
+    </Pressable>
+  );
+});
+
+ClockFace.displayName = 'ClockFace';
+
+// *** CHESS CLOCK - both faces, or just one with `side` ***
+// Shows the times it is given, as useChessClock returns them, or ticks by itself when handed
+// the clock `state` instead, so the owner does not re-render on every tick
+const ChessClock = memo(({
+  times: timesProp = null,
+  turn: turnProp = null,
+  status: statusProp = 'idle',
+  flagged: flaggedProp = null,
+  state = null,
+  now = Date.now,
+  tickInterval = 100,
+  lowTime = 20000,
+  side = null,
+  perspective = 'white',
+  names = null,
+  onPress,
+  colors = null,
+  textColors = null,
+  style = null
+}) => {
+  const [, tick] = useReducer(count => count + 1, 0);
+  const isTicking = state?.status === 'running' && tickInterval > 0;
+
+  useEffect(() => {
+    if (!isTicking) return undefined;
+    const timer = setInterval(tick, tickInterval);
+    return () => clearInterval(timer);
+  }, [isTicking, tickInterval]);
+
+  const times = state ? getClockTimes(state, now()) : timesProp;
+  const turn = state ? state.turn : turnProp;
+  const status = state ? state.status : statusProp;
+  const flagged = state ? state.flagged : flaggedProp;
+
+  if (!times) return null;
+
+  const activeColors = { ...DEFAULT_COLORS, ...colors, ...textColors };
+  // The player's own clock goes on the right, as on a real clock beside the board
+  const order = side ? [side] : perspective === 'white' ? ['b', 'w'] : ['w', 'b'];
+
+  return (
+    <View style={[styles.container, style]}>
+      {order.map(color => (
+        <ClockFace
+          key={color}
+          color={color}
+          time={times[color]}
+          label={names?.[color] || COLOR_LABELS[color]}
+          isActive={status === 'running' && turn === color}
+          isLow={times[color] <= lowTime}
+          isFlagged={flagged === color}
+          isPaused={status === 'paused' && turn === color}
+          colors={activeColors}
+          onPress={onPress}
+        />
+      ))}
+    </View>
+  );
+});
+
+ChessClock.displayName = 'ChessClock';
+
+const styles = StyleSheet.create({
+  container: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 4,
+  },
+  face: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginHorizontal: 2,
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  time: {
+    fontSize: 22,
+    fontWeight: '700',
+    fontVariant: ['tabular-nums'],
+  },
+  paused: {
+    opacity: 0.6,
+  },
+});
+
+export default ChessClock;
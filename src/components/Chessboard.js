@@ -4,7 +4,10 @@ import {
   View, 
   StyleSheet, 
   Vibration, 
-  Text
+  Text,
+  AccessibilityInfo,
+  Animated,
+  Easing
 } from 'react-native';
 import { Chess } from 'chess.js';
 import { RFValue } from "react-native-responsive-fontsize";
@@ -13,6 +16,37 @@ import Square from './Square';
 import PromotionOverlay from './PromotionOverlay';
 import BoardLoadingSquare from './BoardLoadingSquare';
 import Arrow from './Arrow';
+import AnimatedPieceLayer from './AnimatedPieceLayer';
+import DraggedPiece from './DraggedPiece';
+import AnnotationCircle from './AnnotationCircle';
+import Pocket from './Pocket';
+import EditorToolbar from './EditorToolbar';
+import EvalBar, { EVAL_BAR_WIDTHS } from './EvalBar';
+import MoveInput from './MoveInput';
+import ChessClock from './ChessClock';
+import CapturedPieces from './CapturedPieces';
+import { computePieceAnimations } from '../moveAnimations';
+import { getEngineLineArrows, parseUciMove } from '../engineLines';
+import { getPremoveTargets, applyPremovesToBoard, isPremovePromotion, takeNextPremove, getPieceAt } from '../premoves';
+import { toggleAnnotation, resolveAnnotationColor, isKnightJump } from '../annotations';
+import { fenToBoardArray, moveOnBoardArray, placeOnBoardArray, createAllSquaresSet, DEFAULT_POSITION } from '../boardUtils';
+import { createMoveTree, addMoveNode, getLineThrough, toHistoryMove } from '../moveTree';
+import { parsePgn, writePgn, getNagGlyphs, getMoveGlyph } from '../pgn';
+import { normalizeSolution, resolveSolutionMove, isSolutionMove, findIllegalSolutionMove } from '../puzzle';
+import { createGame, canPlayPosition, normalizeFen, resolveRules, isDropSquare, toDropSquare, getPgnVariant } from '../rules';
+import { describeSquare, speakSan, getSquareOrder } from '../accessibility';
+import { resolveMoveInput, describeInputError, isCursorKey, moveCursor } from '../moveInput';
+import { useChessClock } from '../useChessClock';
+import { getClockTimes } from '../clock';
+import {
+  EMPTY_POSITION,
+  SPARE_PIECES,
+  readEditorSettings,
+  getCastlingOptions,
+  getEnPassantOptions,
+  buildFen,
+  validatePosition
+} from '../editor';
 
 const DEFAULT_BOARD_THEME = {
   light: '#EEEED2',
@@ -39,6 +73,7 @@ const BOARD_ACTIONS = {
   SET_LAST_MOVE: 'SET_LAST_MOVE',
   SHOW_PROMOTION: 'SHOW_PROMOTION',
   HIDE_PROMOTION: 'HIDE_PROMOTION',
+  SET_PREMOVES: 'SET_PREMOVES',
   RESET_STATE: 'RESET_STATE'
 };
 
@@ -48,13 +83,15 @@ const boardReducer = (state, action) => {
       return {
         ...state,
         selectedSquare: action.square,
-        validMoves: action.validMoves || []
+        validMoves: action.validMoves || [],
+        captureMoves: action.captureMoves || []
       };
     case BOARD_ACTIONS.CLEAR_SELECTION:
       return {
         ...state,
         selectedSquare: null,
-        validMoves: []
+        validMoves: [],
+        captureMoves: []
       };
     case BOARD_ACTIONS.SET_HINT:
       return {
@@ -77,31 +114,132 @@ const boardReducer = (state, action) => {
         ...state,
         showPromotion: true,
         promotionFrom: action.from,
-        promotionTo: action.to
+        promotionTo: action.to,
+        promotionPremove: !!action.premove
       };
     case BOARD_ACTIONS.HIDE_PROMOTION:
       return {
         ...state,
         showPromotion: false,
         promotionFrom: '',
-        promotionTo: ''
+        promotionTo: '',
+        promotionPremove: false
+      };
+    case BOARD_ACTIONS.SET_PREMOVES:
+      return {
+        ...state,
+        premoves: action.premoves
       };
     case BOARD_ACTIONS.RESET_STATE:
       return {
+        ...state,
         selectedSquare: null,
         validMoves: [],
+        captureMoves: [],
         lastMoveFrom: action.lastMoveFrom || null,
         lastMoveTo: action.lastMoveTo || null,
         hintSquare: null,
         showPromotion: false,
         promotionFrom: '',
-        promotionTo: ''
+        promotionTo: '',
+        promotionPremove: false,
+        premoves: state.premoves
       };
     default:
       return state;
   }
 };
 
+// Free-placement boards may carry FENs chess.js cannot read at all (e.g. piece field only)
+const createChessSafely = (fen) => {
+  try {
+    return new Chess(fen, {skipValidation: true});
+  } catch (e) {
+    return new Chess();
+  }
+};
+
+// How long a wrong puzzle move stays on the board before it is taken back
+const WRONG_MOVE_REVERT_DELAY = 400;
+
+// How long the blast of an atomic capture stays on the board
+const EXPLOSION_DURATION = 600;
+const PEEK_DURATION = 1500;
+const FLIP_DURATION = 400;
+
+const DEFAULT_ENGINE_ARROW_COLOR = 'rgba(0, 48, 136, 0.8)';
+
+// Width of the rank labels, and the space between the eval bar and what follows it
+const COORDINATE_SPACE = 24;
+const EVAL_BAR_GAP = 4;
+
+// Screen reader cursor: swipe up/down steps one square in reading order, custom actions a whole rank
+const CURSOR_ACTIONS = [
+  { name: 'increment' },
+  { name: 'decrement' },
+  { name: 'activate' },
+  { name: 'rankDown', label: 'Down a rank' },
+  { name: 'rankUp', label: 'Up a rank' }
+];
+const CURSOR_STEPS = { increment: 1, decrement: -1, rankDown: 8, rankUp: -8 };
+
+// Keys that start or continue a typed move on a focused board
+const MOVE_TEXT_KEY = /^[a-hA-H1-8NBRQKOoPx0=@+#-]$/;
+const PROMOTION_KEYS = ['q', 'r', 'b', 'n'];
+
+// Placement, side to move and castling rights; clocks and en passant may differ between sources
+const positionKey = (fen) => (fen || '').split(' ').slice(0, 3).join(' ');
+
+// When the app hands back a position one legal move ahead, replay that move so history survives
+const findMoveLeadingTo = (chess, fen, variant) => {
+  const target = positionKey(normalizeFen(fen, variant));
+  return chess.moves({ verbose: true }).find(move => {
+    const probe = createGame(chess.fen(), variant);
+    probe.move({ from: move.from, to: move.to, promotion: move.promotion });
+    return positionKey(probe.fen()) === target;
+  }) || null;
+};
+
+// Check, mate and game-end state of the side to move, as the variant's rules see it
+const getGameStatus = (chess, variant) => {
+  const turn = chess.turn();
+  const king = chess.board().flat().find(piece => piece && piece.type === 'k' && piece.color === turn);
+
+  const outcome = resolveRules(variant).getOutcome(chess);
+  const reason = outcome?.reason || null;
+
+  let kingState = null;
+  if (reason === 'checkmate' || reason === 'stalemate') kingState = reason;
+  else if (chess.inCheck()) kingState = 'check';
+
+  let result = null;
+  if (outcome) {
+    result = outcome.winner === 'w' ? '1-0' : outcome.winner === 'b' ? '0-1' : '1/2-1/2';
+  }
+
+  return {
+    fen: chess.fen(),
+    kingSquare: king?.square || null,
+    kingState,
+    reason,
+    result
+  };
+};
+
+// Targets of the piece on the square, and the ones that capture (en passant included)
+const getMoveTargets = (chess, square) => {
+  const moves = chess.moves({ square, verbose: true });
+  return {
+    validMoves: moves.map(move => move.to),
+    captureMoves: moves.filter(move => move.captured).map(move => move.to)
+  };
+};
+
+const isPromotionSquare = (piece, square) => (
+  piece?.type === 'p' &&
+  ((piece.color === 'w' && square[1] === '8') || (piece.color === 'b' && square[1] === '1'))
+);
+
 // Helper function to transform board array based on perspective
 const transformBoardArray = (originalArray, perspective) => {
   const result = [];
@@ -200,7 +338,23 @@ const OptimizedBoardRow = React.memo(({
   highlightedSquares,
   blindfoldMode,
   hiddenSquares,
-  onBlindSelect
+  peekedSquares,
+  rotatedColor,
+  onBlindSelect,
+  animatingSquares,
+  dragSquare,
+  dragOverSquare,
+  premoveSquares,
+  glyphSquare,
+  glyph,
+  kingSquare,
+  kingState,
+  moveIndicatorStyle,
+  captureIndicator,
+  pieceSet,
+  explosion,
+  accessibilityHidden,
+  focusedSquare
 }) => {
   const squareNotations = useMemo(() => {
     return Array.from({ length: 8 }, (_, colIndex) => {
@@ -211,7 +365,11 @@ const OptimizedBoardRow = React.memo(({
   }, [rowIndex, perspective]);
 
   return (
-    <View style={styles.boardRow}>
+    <View 
+      style={styles.boardRow}
+      importantForAccessibility={accessibilityHidden ? 'no-hide-descendants' : 'auto'}
+      accessibilityElementsHidden={accessibilityHidden}
+    >
       {row.map((square, colIndex) => {
         const squareNotation = squareNotations[colIndex];
         
@@ -221,7 +379,7 @@ const OptimizedBoardRow = React.memo(({
         const isHidden = blindfoldMode && hasPiece && (
           hiddenSquares === "all" || 
           hiddenSquares?.has?.(squareNotation)
-        );
+        ) && peekedSquares !== 'all' && !peekedSquares?.has(squareNotation);
         
         return (
           <Square
@@ -232,6 +390,10 @@ const OptimizedBoardRow = React.memo(({
             square={squareNotation}
             isHighlighted={boardState.selectedSquare === squareNotation}
             isMovePossible={boardState.validMoves.includes(squareNotation)}
+            isCapture={boardState.captureMoves.includes(squareNotation)}
+            moveIndicatorStyle={moveIndicatorStyle}
+            captureIndicator={captureIndicator}
+            pieceSet={pieceSet}
             onSquarePress={handlers.onSquarePress}
             isLastMoveFrom={boardState.lastMoveFrom === squareNotation}
             isLastMoveTo={boardState.lastMoveTo === squareNotation}
@@ -246,6 +408,14 @@ const OptimizedBoardRow = React.memo(({
             customHighlightColor={customHighlight?.color}
             showToken={isHidden}
             onBlindSelect={onBlindSelect}
+            hidePiece={animatingSquares.has(squareNotation) || dragSquare === squareNotation}
+            isDragOver={dragOverSquare === squareNotation}
+            isPremove={premoveSquares.has(squareNotation)}
+            glyph={glyphSquare === squareNotation ? glyph : null}
+            kingState={kingSquare === squareNotation ? kingState : null}
+            explosionId={explosion?.squares.includes(squareNotation) ? explosion.id : 0}
+            isFocused={focusedSquare === squareNotation}
+            isPieceRotated={!!rotatedColor && square?.color === rotatedColor}
           />
         );
       })}
@@ -258,7 +428,7 @@ OptimizedBoardRow.displayName = 'OptimizedBoardRow';
 const SmoothChessboard = forwardRef((props, ref) => {
   const {
     fen: initialFen,
-    perspective = 'white',
+    perspective: perspectiveProp = 'white',
     onMove,
     lastMoveFrom: propLastMoveFrom,
     lastMoveTo: propLastMoveTo,
@@ -275,65 +445,385 @@ const SmoothChessboard = forwardRef((props, ref) => {
     isDarkTheme = false,
     showArrows = true,
     showCoordinates = true,
-    readonly = false,
+    readonly: readonlyProp = false,
     highlightedSquares = [],
     blindfoldMode = false,
     hiddenSquares = null,
     onBlindSelect = null,
+    onPeek,
+    animateMoves = true,
+    animationDuration = 200,
+    animationEasing,
+    allowPremoves = false,
+    playerColor,
+    onPremoveCancel,
+    allowDrawing = true,
+    annotationColor = 'green',
+    annotations: controlledAnnotations,
+    onAnnotationsChange,
+    skipValidation: skipValidationProp = false,
+    customBoardArray = null,
+    historyMode = 'truncate',
+    onPositionChange,
+    pgn,
+    onNodeChange,
+    puzzleSolution,
+    puzzleReplyDelay = 500,
+    revertWrongMoves = true,
+    onPuzzleMoveCorrect,
+    onPuzzleMoveWrong,
+    onPuzzleSolved,
+    onPuzzleError,
+    onGameOver,
+    moveIndicatorStyle = 'dots',
+    captureIndicator = 'ring',
+    pieceSet = 'classic',
+    autoQueen = 'premove',
+    onPromotionCancel,
+    variant: variantProp,
+    onVariantChange,
+    showPockets = true,
+    pockets: controlledPockets,
+    mode = 'play',
+    onPositionValidity,
+    evaluation,
+    evalBarMode = 'normal',
+    engineLines,
+    maxEngineLines = 3,
+    engineLinePlies = 0,
+    announceMoves = true,
+    accessibilityNavigation = 'squares',
+    keyboardInput = true,
+    showMoveInput = false,
+    onInvalidInput,
+    clock: clockProp = null,
+    onFlag,
+    onLowTime,
+    onClockSwitch,
+    passAndPlay = false,
+    animateFlip = true,
+    onDrawOffer,
+    onResign,
+    showMaterial = false,
   } = props;
 
+  // The editor places pieces freely, so everything skipValidation does applies to it too
+  const isEditor = mode === 'editor';
+
+  // Without a `variant` prop, a loaded PGN's Variant tag picks the rules. `variant` is what the
+  // game is played by, which lags behind a requested switch the position does not fit
+  const [pgnVariant, setPgnVariant] = useState(null);
+  const requestedVariant = variantProp || pgnVariant || 'standard';
+  const [variant, setVariant] = useState(requestedVariant);
+  const skipValidation = skipValidationProp || isEditor;
+
+  // *** CLOCK - a time control, or { timeControl, lowTime, now, tickInterval }; the faces tick
+  // by themselves, so the board only re-renders when the clock is pressed, paused or flags ***
+  const clockOptions = clockProp && typeof clockProp === 'object' && 'timeControl' in clockProp
+    ? clockProp
+    : { timeControl: clockProp };
+  const clock = useChessClock(clockOptions.timeControl, {
+    now: clockOptions.now,
+    lowTime: clockOptions.lowTime,
+    onFlag,
+    onLowTime,
+    onSwitch: onClockSwitch,
+    tickInterval: 0
+  });
+
+  // A draw agreed, a resignation or a flag ends the game the same way a mate does: no more moves
+  const [declaredResult, setDeclaredResult] = useState(null);
+  const readonly = readonlyProp || !!declaredResult || !!clock.flagged;
+
   const activeBoardTheme = boardTheme || DEFAULT_BOARD_THEME;
   const activeTextColors = textColors || DEFAULT_TEXT_COLORS;
 
   const [boardState, dispatch] = useReducer(boardReducer, {
     selectedSquare: null,
     validMoves: [],
+    captureMoves: [],
     lastMoveFrom: propLastMoveFrom || null,
     lastMoveTo: propLastMoveTo || null,
     hintSquare: null,
     showPromotion: false,
     promotionFrom: '',
-    promotionTo: ''
+    promotionTo: '',
+    promotionPremove: false,
+    premoves: []
   });
 
-  const chessRef = useRef(new Chess(initialFen, {skipValidation: true}));
+  const chessRef = useRef(null);
+  if (!chessRef.current) {
+    chessRef.current = skipValidation
+      ? createChessSafely(initialFen)
+      : createGame(initialFen, variant);
+  }
+
+  // *** PASS AND PLAY - 'flip' turns the board to the side to move, 'tabletop' keeps it still
+  // and turns the far side's pieces and coordinates to face that player ***
+  const passAndPlayMode = passAndPlay === true ? 'flip' : passAndPlay || null;
+  const isFlipMode = passAndPlayMode === 'flip' && !skipValidation;
+  const isTabletop = passAndPlayMode === 'tabletop';
+  const [flipPerspective, setFlipPerspective] = useState(() => (
+    isFlipMode ? (chessRef.current.turn() === 'b' ? 'black' : 'white') : null
+  ));
+  const perspective = isFlipMode && flipPerspective ? flipPerspective : perspectiveProp;
+  const rotatedColor = isTabletop ? (perspective === 'white' ? 'b' : 'w') : null;
+
+  // Absolute board (row 0 = rank 8); with skipValidation it is the only source of truth
+  const absoluteBoardRef = useRef(null);
+  if (!absoluteBoardRef.current) {
+    absoluteBoardRef.current = skipValidation
+      ? (customBoardArray || fenToBoardArray(initialFen || DEFAULT_POSITION))
+      : chessRef.current.board();
+  }
   
-  const [boardArray, setBoardArray] = useState(() => {
-    if (chessRef.current) {
-      const originalArray = chessRef.current.board();
-      return transformBoardArray(originalArray, perspective);
-    } else {
-      return Array.from({ length: 8 }, () => Array.from({ length: 8 }, () => null));
+  const [boardArray, setBoardArray] = useState(() => 
+    transformBoardArray(absoluteBoardRef.current, perspective)
+  );
+  const prevCustomBoardArrayRef = useRef(customBoardArray);
+
+  const moveTreeRef = useRef(null);
+  if (!moveTreeRef.current) {
+    moveTreeRef.current = createMoveTree(chessRef.current.fen());
+  }
+  const currentNodeIdRef = useRef('root');
+  const nodeAnnotationsRef = useRef({});
+  const pgnHeadersRef = useRef({});
+  const prevPgnRef = useRef(null);
+  const [currentGlyph, setCurrentGlyph] = useState(null);
+
+  const playMoveTextRef = useRef(null);
+  const puzzleRef = useRef({ line: [], index: 0, status: 'idle' });
+  const puzzleTimerRef = useRef(null);
+  const puzzleReplyRef = useRef(null);
+  const puzzleRevertRef = useRef(null);
+  const shakeAnim = useRef(new Animated.Value(0)).current;
+  const flipAnim = useRef(new Animated.Value(0)).current;
+  const flipTimerRef = useRef(null);
+  const [isFlipping, setIsFlipping] = useState(false);
+  const reportedGameOverRef = useRef(null);
+  const [explosion, setExplosion] = useState(null);
+  const explosionTimerRef = useRef(null);
+  const peekTimerRef = useRef(null);
+
+  const getPieceOnSquare = useCallback((square) => (
+    skipValidation ? getPieceAt(absoluteBoardRef.current, square) : chessRef.current.get(square)
+  ), [skipValidation]);
+
+  const drawingRef = useRef(null);
+  const [drawingAnnotation, setDrawingAnnotation] = useState(null);
+  const [uncontrolledAnnotations, setUncontrolledAnnotations] = useState([]);
+  const isAnnotationsControlled = controlledAnnotations !== undefined;
+  const activeAnnotations = isAnnotationsControlled ? (controlledAnnotations || []) : uncontrolledAnnotations;
+  const annotationsRef = useRef(activeAnnotations);
+  annotationsRef.current = activeAnnotations;
+
+  const updateAnnotations = useCallback((nextAnnotations) => {
+    if (!isAnnotationsControlled) {
+      setUncontrolledAnnotations(nextAnnotations);
     }
-  });
+    onAnnotationsChange?.(nextAnnotations);
+  }, [isAnnotationsControlled, onAnnotationsChange]);
 
-  const panValuesRef = useRef({});
+  const premoveQueueRef = useRef([]);
+  const playerColorCode = (playerColor || perspective) === 'black' ? 'b' : 'w';
+  const dragRef = useRef(null);
+  const dropColorRef = useRef('w');
+  const boardContainerRef = useRef(null);
+  const pocketOriginRef = useRef(null);
+  const wrapperRef = useRef(null);
+  const boardOffsetRef = useRef({ x: 0, y: 0 });
+  const [editorSettings, setEditorSettings] = useState(() => readEditorSettings(initialFen));
+  const prevEditorRef = useRef(isEditor);
+  // The game and its history as they were when the editor opened
+  const preEditorRef = useRef(null);
+  const dragPosition = useRef(new Animated.ValueXY()).current;
+  const [dragState, setDragState] = useState(null);
+  const [dragOverSquare, setDragOverSquare] = useState(null);
   const lastMoveTimeRef = useRef(0);
   const boardDimensionsRef = useRef({ width: 0, height: 0 });
   const [currentSquareSize, setCurrentSquareSize] = useState(0);
   const prevFenRef = useRef(initialFen);
   const prevPerspectiveRef = useRef(perspective);
+  const prevVariantRef = useRef(requestedVariant);
+  const animationIdRef = useRef(0);
+  const [pieceAnimations, setPieceAnimations] = useState(null);
+  const [reduceMotion, setReduceMotion] = useState(false);
+
+  useEffect(() => {
+    let mounted = true;
+    AccessibilityInfo.isReduceMotionEnabled?.().then((enabled) => {
+      if (mounted) setReduceMotion(!!enabled);
+    }).catch(() => {});
+    const subscription = AccessibilityInfo.addEventListener?.('reduceMotionChanged', (enabled) => {
+      setReduceMotion(!!enabled);
+    });
+    return () => {
+      mounted = false;
+      subscription?.remove?.();
+    };
+  }, []);
+
+  // Single entry point for board updates so piece animations see every change
+  const applyBoardArray = useCallback((originalArray, animate = false) => {
+    const previousArray = absoluteBoardRef.current;
+    absoluteBoardRef.current = originalArray;
+    setBoardArray(transformBoardArray(originalArray, perspective));
+
+    const canAnimate = animate && animateMoves && !reduceMotion &&
+      animationDuration > 0 && boardDimensionsRef.current.width > 0;
+    const animations = canAnimate ? computePieceAnimations(previousArray, originalArray) : null;
+
+    if (animations) {
+      animationIdRef.current += 1;
+      setPieceAnimations({ id: animationIdRef.current, ...animations });
+    } else {
+      setPieceAnimations(null);
+    }
+  }, [perspective, animateMoves, reduceMotion, animationDuration]);
+
+  const handleAnimationComplete = useCallback((id) => {
+    setPieceAnimations(current => (current?.id === id ? null : current));
+  }, []);
+
+  const animatingSquares = useMemo(() => 
+    new Set(pieceAnimations ? pieceAnimations.moves.map(move => move.square) : [])
+  , [pieceAnimations]);
+
+  // The dragged piece is drawn over the whole wrapper, so it can leave the clipped board for a
+  // pocket; it needs to know where the board sits within the wrapper
+  const measureBoardOffset = useCallback(() => {
+    wrapperRef.current?.measureInWindow((wrapperX, wrapperY) => {
+      boardContainerRef.current?.measureInWindow((boardX, boardY) => {
+        boardOffsetRef.current = { x: boardX - wrapperX, y: boardY - wrapperY };
+      });
+    });
+  }, []);
 
   const handleBoardLayout = useCallback((event) => {
     const { width, height } = event.nativeEvent.layout;
     boardDimensionsRef.current = { width, height };
     const size = Math.floor(Math.min(width, height) / 8);
     setCurrentSquareSize(size);
+    measureBoardOffset();
+  }, [measureBoardOffset]);
+
+  // *** HISTORY - every position the board plays is kept in a move tree ***
+  const emitPositionChange = useCallback(() => {
+    const node = moveTreeRef.current.nodes[currentNodeIdRef.current];
+    const glyph = node.move ? getMoveGlyph(node.nags) : null;
+    setCurrentGlyph(glyph ? { square: node.move.to, glyph } : null);
+
+    onPositionChange?.({
+      fen: node.fen,
+      ply: node.ply,
+      move: node.move,
+      canUndo: node.parentId !== null,
+      canRedo: node.children.length > 0
+    });
+    onNodeChange?.({
+      nodeId: node.id,
+      parentId: node.parentId,
+      fen: node.fen,
+      ply: node.ply,
+      move: node.move,
+      comment: node.comment,
+      nags: node.nags,
+      glyphs: getNagGlyphs(node.nags),
+      variations: node.children.map(child => ({ nodeId: child.id, san: child.move.san }))
+    });
+  }, [onPositionChange, onNodeChange]);
+
+  // Uncontrolled annotations belong to the position they were drawn on
+  const switchAnnotationsToNode = useCallback((nodeId) => {
+    if (isAnnotationsControlled) return;
+    nodeAnnotationsRef.current[currentNodeIdRef.current] = annotationsRef.current;
+    setUncontrolledAnnotations(nodeAnnotationsRef.current[nodeId] || []);
+  }, [isAnnotationsControlled]);
+
+  const recordMove = useCallback((move) => {
+    const node = addMoveNode(
+      moveTreeRef.current,
+      currentNodeIdRef.current,
+      toHistoryMove(move),
+      chessRef.current.fen(),
+      historyMode
+    );
+    switchAnnotationsToNode(node.id);
+    currentNodeIdRef.current = node.id;
+    emitPositionChange();
+    // The side that moved stops its clock; a clock that has not started starts here
+    clock.press(move.color);
+    if (announceMoves && move.san) {
+      AccessibilityInfo.announceForAccessibility?.(speakSan(move.san));
+    }
+  }, [historyMode, switchAnnotationsToNode, emitPositionChange, announceMoves, clock.press]);
+
+  const resetHistory = useCallback((fen) => {
+    moveTreeRef.current = createMoveTree(fen);
+    currentNodeIdRef.current = 'root';
+    nodeAnnotationsRef.current = {};
+    pgnHeadersRef.current = {};
+    setDeclaredResult(null);
+    if (!isAnnotationsControlled) {
+      setUncontrolledAnnotations([]);
+    }
+  }, [isAnnotationsControlled]);
+
+  // *** ATOMIC EXPLOSIONS - squares cleared by a capture flash briefly ***
+  const showExplosion = useCallback((move) => {
+    if (!move?.exploded?.length) return;
+    clearTimeout(explosionTimerRef.current);
+    setExplosion({ id: Date.now(), squares: move.exploded });
+    explosionTimerRef.current = setTimeout(() => setExplosion(null), EXPLOSION_DURATION);
+  }, []);
+
+  useEffect(() => () => clearTimeout(explosionTimerRef.current), []);
+
+  // *** BLINDFOLD PEEK - hidden pieces on the given squares show for a moment ***
+  const [peekedSquares, setPeekedSquares] = useState(null);
+
+  const peek = useCallback((squares = 'all', duration = PEEK_DURATION) => {
+    if (!blindfoldMode) return false;
+    const peeked = squares === 'all' ? 'all' : new Set([].concat(squares));
+    clearTimeout(peekTimerRef.current);
+    setPeekedSquares(peeked);
+    peekTimerRef.current = setTimeout(() => setPeekedSquares(null), duration);
+    onPeek?.(peeked === 'all' ? 'all' : [...peeked], duration);
+    return true;
+  }, [blindfoldMode, onPeek]);
+
+  const endPeek = useCallback(() => {
+    clearTimeout(peekTimerRef.current);
+    setPeekedSquares(null);
   }, []);
 
+  useEffect(() => {
+    if (!blindfoldMode) endPeek();
+  }, [blindfoldMode, endPeek]);
+
+  useEffect(() => () => clearTimeout(peekTimerRef.current), []);
+
   useEffect(() => {
     const fenChanged = initialFen && initialFen !== prevFenRef.current;
     const perspectiveChanged = perspective !== prevPerspectiveRef.current;
-    
-    if (fenChanged || perspectiveChanged) {
+    if (!fenChanged && !perspectiveChanged) return;
+
+    prevFenRef.current = initialFen;
+    prevPerspectiveRef.current = perspective;
+
+    if (skipValidation) {
       if (fenChanged) {
-        chessRef.current = new Chess(initialFen, {skipValidation: true});
+        chessRef.current = createChessSafely(initialFen);
+        if (isEditor) {
+          setEditorSettings(readEditorSettings(initialFen));
+        }
       }
-      
-      const originalArray = chessRef.current.board();
-      const array = transformBoardArray(originalArray, perspective);
-      setBoardArray(array);
-      
+      const nextArray = fenChanged && !customBoardArray
+        ? fenToBoardArray(initialFen)
+        : absoluteBoardRef.current;
+      applyBoardArray(nextArray, fenChanged && !perspectiveChanged);
       if (fenChanged) {
         dispatch({ 
           type: BOARD_ACTIONS.RESET_STATE, 
@@ -341,11 +831,123 @@ const SmoothChessboard = forwardRef((props, ref) => {
           lastMoveTo: propLastMoveTo
         });
       }
-      
-      prevFenRef.current = initialFen;
-      prevPerspectiveRef.current = perspective;
+      return;
+    }
+
+    // The board already shows this position (usually the app echoing our own move)
+    if (!fenChanged || positionKey(normalizeFen(initialFen, variant)) === positionKey(chessRef.current.fen())) {
+      if (perspectiveChanged) {
+        applyBoardArray(chessRef.current.board(), false);
+      }
+      return;
+    }
+
+    const move = findMoveLeadingTo(chessRef.current, initialFen, variant);
+    if (move) {
+      const applied = chessRef.current.move({ from: move.from, to: move.to, promotion: move.promotion });
+      applyBoardArray(chessRef.current.board(), !perspectiveChanged);
+      showExplosion(applied);
+      recordMove(applied);
+      dispatch({ 
+        type: BOARD_ACTIONS.RESET_STATE, 
+        lastMoveFrom: propLastMoveFrom || applied.from,
+        lastMoveTo: propLastMoveTo || applied.to
+      });
+      return;
+    }
+
+    chessRef.current = createGame(initialFen, variant);
+    resetHistory(chessRef.current.fen());
+    applyBoardArray(chessRef.current.board(), !perspectiveChanged);
+    dispatch({ 
+      type: BOARD_ACTIONS.RESET_STATE, 
+      lastMoveFrom: propLastMoveFrom,
+      lastMoveTo: propLastMoveTo
+    });
+    emitPositionChange();
+  }, [initialFen, perspective, propLastMoveFrom, propLastMoveTo, applyBoardArray, skipValidation, customBoardArray, recordMove, resetHistory, emitPositionChange, variant, showExplosion, isEditor]);
+
+  // Switching rules starts a new game from the position on the board. A position the new rules
+  // cannot play (an atomic game without a king, say) stays with the rules it has, and
+  // onVariantChange says which those are.
+  useEffect(() => {
+    if (requestedVariant === prevVariantRef.current) return;
+    prevVariantRef.current = requestedVariant;
+    if (skipValidation) {
+      setVariant(requestedVariant);
+      return;
+    }
+
+    const fen = chessRef.current.fen();
+    if (!canPlayPosition(fen, requestedVariant)) {
+      onVariantChange?.(variant);
+      return;
+    }
+    chessRef.current = createGame(fen, requestedVariant);
+    setVariant(requestedVariant);
+    resetHistory(chessRef.current.fen());
+    applyBoardArray(chessRef.current.board(), false);
+    setPremoves([]);
+    dispatch({ type: BOARD_ACTIONS.RESET_STATE });
+    emitPositionChange();
+  }, [requestedVariant]);
+
+  // Entering the editor picks up the game's position; leaving it starts a game from the edited one
+  useEffect(() => {
+    if (isEditor === prevEditorRef.current) return;
+    prevEditorRef.current = isEditor;
+
+    if (isEditor) {
+      preEditorRef.current = {
+        game: chessRef.current,
+        tree: moveTreeRef.current,
+        nodeId: currentNodeIdRef.current,
+        headers: pgnHeadersRef.current
+      };
+      setEditorSettings(readEditorSettings(chessRef.current.fen()));
+      setPremoves([]);
+      dispatch({ type: BOARD_ACTIONS.RESET_STATE });
+      return;
+    }
+    if (skipValidationProp) return;
+
+    // A position that cannot be played sends the board back to the game it left, history and
+    // all, and onPositionValidity says why. A board opened as an editor has no game to go back
+    // to and starts from the initial position.
+    const validity = validatePosition(absoluteBoardRef.current, editorSettings);
+    if (!validity.valid) {
+      onPositionValidity?.(validity);
+      const saved = preEditorRef.current;
+      preEditorRef.current = null;
+      if (saved) {
+        chessRef.current = saved.game;
+        moveTreeRef.current = saved.tree;
+        currentNodeIdRef.current = saved.nodeId;
+        pgnHeadersRef.current = saved.headers;
+      } else {
+        chessRef.current = createGame(DEFAULT_POSITION, variant);
+        resetHistory(chessRef.current.fen());
+      }
+      const lastMove = moveTreeRef.current.nodes[currentNodeIdRef.current].move;
+      applyBoardArray(chessRef.current.board(), true);
+      dispatch({ type: BOARD_ACTIONS.RESET_STATE, lastMoveFrom: lastMove?.from, lastMoveTo: lastMove?.to });
+      emitPositionChange();
+      return;
     }
-  }, [initialFen, perspective, propLastMoveFrom, propLastMoveTo]);
+    preEditorRef.current = null;
+    chessRef.current = createGame(validity.fen, variant);
+    resetHistory(chessRef.current.fen());
+    applyBoardArray(chessRef.current.board(), false);
+    dispatch({ type: BOARD_ACTIONS.RESET_STATE });
+    emitPositionChange();
+  }, [isEditor]);
+
+  useEffect(() => {
+    if (!skipValidation || !customBoardArray || customBoardArray === prevCustomBoardArrayRef.current) return;
+    prevCustomBoardArrayRef.current = customBoardArray;
+    applyBoardArray(customBoardArray, true);
+    dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
+  }, [skipValidation, customBoardArray, applyBoardArray]);
 
   useEffect(() => {
     if (propLastMoveFrom !== boardState.lastMoveFrom || propLastMoveTo !== boardState.lastMoveTo) {
@@ -357,185 +959,1056 @@ const SmoothChessboard = forwardRef((props, ref) => {
     }
   }, [propLastMoveFrom, propLastMoveTo]);
 
-  useImperativeHandle(ref, () => ({
-    highlight: (square) => {
-      if (!square || typeof square !== 'string' || !/^[a-h][1-8]$/.test(square)) {
-        console.warn('Invalid square for highlight:', square);
-        return;
-      }
-      dispatch({ type: BOARD_ACTIONS.SET_HINT, square });
-      setTimeout(() => {
-        dispatch({ type: BOARD_ACTIONS.CLEAR_HINT });
-      }, 3000);
-    },
-    clearHighlight: () => {
-      dispatch({ type: BOARD_ACTIONS.CLEAR_HINT });
-    },
-    setFen: (fen) => {
-      chessRef.current = new Chess(fen, {skipValidation: true});
-      const originalArray = chessRef.current.board();
-      const array = transformBoardArray(originalArray, perspective);
-      setBoardArray(array);
-      dispatch({ type: BOARD_ACTIONS.RESET_STATE });
+  // *** PUZZLE MODE - user moves are checked against a solution line ***
+  const shakeBoard = useCallback(() => {
+    if (reduceMotion) return;
+    shakeAnim.setValue(0);
+    Animated.sequence(
+      [10, -10, 6, -6, 0].map(toValue => Animated.timing(shakeAnim, {
+        toValue,
+        duration: 50,
+        useNativeDriver: true,
+      }))
+    ).start();
+  }, [reduceMotion, shakeAnim]);
+
+  const schedulePuzzleTimer = useCallback((callback, delay) => {
+    clearTimeout(puzzleTimerRef.current);
+    puzzleTimerRef.current = setTimeout(callback, delay);
+  }, []);
+
+  // Timers call through refs so they always see the latest props
+  puzzleReplyRef.current = (puzzle) => {
+    if (puzzleRef.current !== puzzle || puzzle.status !== 'waiting') return;
+
+    const reply = resolveSolutionMove(chessRef.current.fen(), puzzle.line[puzzle.index], variant);
+    if (!reply) {
+      puzzle.status = 'failed';
+      onPuzzleError?.({ reason: 'illegal_move', ply: puzzle.index + 1, move: puzzle.line[puzzle.index] });
+      return;
+    }
+
+    const applied = chessRef.current.move({ from: reply.from, to: reply.to, promotion: reply.promotion });
+    applyBoardArray(chessRef.current.board(), true);
+    showExplosion(applied);
+    onMove?.(applied.from, applied.to, applied.promotion);
+    recordMove(applied);
+    dispatch({ type: BOARD_ACTIONS.SET_LAST_MOVE, from: applied.from, to: applied.to });
+
+    puzzle.index += 1;
+    if (puzzle.index >= puzzle.line.length) {
+      puzzle.status = 'solved';
+      onPuzzleSolved?.();
+    } else {
+      puzzle.status = 'active';
     }
-  }), [perspective]);
+  };
+
+  puzzleRevertRef.current = (puzzle, fen) => {
+    if (puzzleRef.current !== puzzle) return;
 
-  const handleMove = useCallback((from, to, promotion) => {
+    chessRef.current = createGame(fen, variant);
+    applyBoardArray(chessRef.current.board(), true);
+    const node = moveTreeRef.current.nodes[currentNodeIdRef.current];
+    dispatch({ 
+      type: BOARD_ACTIONS.RESET_STATE, 
+      lastMoveFrom: node.move?.from,
+      lastMoveTo: node.move?.to
+    });
+    puzzle.status = 'active';
+  };
+
+  const handleMove = useCallback((from, to, promotion, { animate = true, premove = false } = {}) => {
     const now = Date.now();
-    if (now - lastMoveTimeRef.current < 150) return;
+    if (!premove && now - lastMoveTimeRef.current < 150) return false;
     lastMoveTimeRef.current = now;
 
+    if (skipValidation) {
+      if (isDropSquare(from)) {
+        if (getPieceAt(absoluteBoardRef.current, to) && !isEditor) {
+          dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
+          return false;
+        }
+        // Drops read "N@" for both sides, as in SAN; whose pocket it came from is passed after
+        const dropped = { type: from[0].toLowerCase(), color: dropColorRef.current };
+        applyBoardArray(placeOnBoardArray(absoluteBoardRef.current, to, dropped), animate);
+        // Editing is not playing: the editor reports through onPositionValidity instead
+        if (!isEditor) {
+          onMove?.(toDropSquare(dropped.type), to, undefined, dropped.color);
+          dispatch({ type: BOARD_ACTIONS.SET_LAST_MOVE, from, to });
+        }
+        dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
+        return true;
+      }
+
+      const piece = getPieceAt(absoluteBoardRef.current, from);
+      if (!piece || from === to) {
+        dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
+        return false;
+      }
+      applyBoardArray(moveOnBoardArray(absoluteBoardRef.current, from, to, promotion), animate);
+      if (!isEditor) {
+        onMove?.(from, to, promotion);
+        dispatch({ type: BOARD_ACTIONS.SET_LAST_MOVE, from, to });
+      }
+      dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
+      return true;
+    }
+
     try {
       const currentChess = chessRef.current;
-      const testChess = new Chess(currentChess.fen(), {skipValidation: true});
+      const testChess = createGame(currentChess.fen(), variant);
       const move = testChess.move({ from, to, promotion });
       
       if (move) {
-        chessRef.current.move({ from, to, promotion });
-        const originalArray = chessRef.current.board();
-        const array = transformBoardArray(originalArray, perspective);
-        setBoardArray(array);
-        onMove?.(from, to, promotion);
+        const puzzle = puzzleRef.current;
+        if (puzzle.status === 'waiting') {
+          dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
+          return false;
+        }
+
+        const expected = puzzle.status === 'active'
+          ? resolveSolutionMove(currentChess.fen(), puzzle.line[puzzle.index], variant)
+          : null;
+        const isCorrect = puzzle.status === 'active' && isSolutionMove(move, expected);
+
+        if (puzzle.status === 'active' && !isCorrect) {
+          onPuzzleMoveWrong?.(toHistoryMove(move), expected ? toHistoryMove(expected) : null);
+          shakeBoard();
+
+          if (revertWrongMoves) {
+            // Show the move, then take it back without telling onMove or the history
+            const fenBefore = currentChess.fen();
+            chessRef.current.move({ from, to, promotion });
+            applyBoardArray(chessRef.current.board(), animate);
+            dispatch({ type: BOARD_ACTIONS.SET_LAST_MOVE, from: move.from, to: move.to });
+            dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
+            puzzle.status = 'waiting';
+            schedulePuzzleTimer(() => puzzleRevertRef.current?.(puzzle, fenBefore), WRONG_MOVE_REVERT_DELAY);
+            return false;
+          }
+          puzzle.status = 'failed';
+        }
+
+        // Chess960 castling is reported king-to-rook however it was entered
+        const applied = chessRef.current.move({ from, to, promotion });
+        applyBoardArray(chessRef.current.board(), animate);
+        showExplosion(applied);
+        onMove?.(applied.from, applied.to, promotion);
+        recordMove(applied);
         
-        dispatch({ type: BOARD_ACTIONS.SET_LAST_MOVE, from, to });
-        dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
-      } else {
+        dispatch({ type: BOARD_ACTIONS.SET_LAST_MOVE, from: applied.from, to: applied.to });
         dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
+
+        if (isCorrect) {
+          puzzle.index += 1;
+          onPuzzleMoveCorrect?.(toHistoryMove(applied), { ply: puzzle.index, total: puzzle.line.length });
+          if (applied.san.endsWith('#') || puzzle.index >= puzzle.line.length) {
+            puzzle.status = 'solved';
+            onPuzzleSolved?.();
+          } else {
+            puzzle.status = 'waiting';
+            schedulePuzzleTimer(() => puzzleReplyRef.current?.(puzzle), puzzleReplyDelay);
+          }
+        }
+        return true;
       }
+      dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
+      return false;
     } catch (e) {
-      console.warn('Move error:', e);
+      // An illegal premove is expected once the opponent has replied; it is cancelled by the caller
+      if (!premove) {
+        console.warn('Move error:', e);
+      }
       dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
+      return false;
     }
-  }, [onMove, perspective]);
+  }, [onMove, applyBoardArray, skipValidation, isEditor, recordMove, onPuzzleMoveWrong, onPuzzleMoveCorrect, onPuzzleSolved, shakeBoard, revertWrongMoves, schedulePuzzleTimer, puzzleReplyDelay, variant, showExplosion]);
 
-  const handlePromotionSelect = useCallback((piece) => {
-    handleMove(boardState.promotionFrom, boardState.promotionTo, piece);
-    dispatch({ type: BOARD_ACTIONS.HIDE_PROMOTION });
-  }, [handleMove, boardState.promotionFrom, boardState.promotionTo]);
+  // *** PREMOVES - queued while the opponent is on move ***
+  const setPremoves = useCallback((premoves) => {
+    premoveQueueRef.current = premoves;
+    dispatch({ type: BOARD_ACTIONS.SET_PREMOVES, premoves });
+  }, []);
 
-  const canSelectPiece = useCallback((square) => {
-    if (restrictToCircled && circledSquares && circledSquares.length > 0) {
-      return circledSquares.includes(square);
+  const isPremoveTurn = useCallback(() => (
+    allowPremoves && !skipValidation && chessRef.current.turn() !== playerColorCode
+  ), [allowPremoves, skipValidation, playerColorCode]);
+
+  // Where the rules in play let the player's king castle, e.g. onto its rook in Chess960
+  const getPremoveCastling = useCallback(() => (
+    resolveRules(variant).getCastling(chessRef.current, playerColorCode)
+  ), [variant, playerColorCode]);
+
+  const getPremoveBoard = useCallback(() => (
+    applyPremovesToBoard(absoluteBoardRef.current, premoveQueueRef.current, getPremoveCastling())
+  ), [getPremoveCastling]);
+
+  const queuePremove = useCallback((from, to, promotion) => {
+    if (!promotion && isPremovePromotion(getPremoveBoard(), from, to)) {
+      if (autoQueen === 'never') {
+        dispatch({ type: BOARD_ACTIONS.SHOW_PROMOTION, from, to, premove: true });
+        return;
+      }
+      promotion = 'q';
     }
-    return true;
-  }, [restrictToCircled, circledSquares]);
+    setPremoves([...premoveQueueRef.current, { from, to, promotion }]);
+    dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
+  }, [getPremoveBoard, setPremoves, autoQueen]);
 
-  const onSquarePress = useCallback((square) => {
-    if (isLoading || readonly) return;
+  const cancelPremoves = useCallback(() => {
+    const cancelled = premoveQueueRef.current;
+    if (cancelled.length === 0) return;
+    setPremoves([]);
+    onPremoveCancel?.(cancelled);
+  }, [setPremoves, onPremoveCancel]);
 
-    if (blindfoldMode && onBlindSelect) {
-      onBlindSelect(square);
-      return;
+  // Play the next queued premove as soon as the position hands the turn back
+  useEffect(() => {
+    const queue = premoveQueueRef.current;
+    if (queue.length === 0 || !allowPremoves || clock.flagged) return;
+    if (chessRef.current.turn() !== playerColorCode) return;
+
+    const { premove, remaining } = takeNextPremove(chessRef.current, queue);
+    setPremoves(remaining);
+    const played = !!premove && handleMove(premove.from, premove.to, premove.promotion, { premove: true });
+    if (!played) {
+      setPremoves([]);
+      onPremoveCancel?.(queue);
     }
+  }, [boardArray]);
 
-    const currentChess = chessRef.current;
-    const currentTurn = currentChess.turn();
-    const clickedPiece = currentChess.get(square);
-    const selectedPiece = boardState.selectedSquare ? currentChess.get(boardState.selectedSquare) : null;
+  // A side out of time plays no more, so its queued premoves go
+  useEffect(() => {
+    if (clock.flagged) cancelPremoves();
+  }, [clock.flagged]);
 
-    if (boardState.selectedSquare === square) {
-      dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
+  // Undo, history steps and new positions hand the move over without a press, so the clock
+  // follows the side to move; after a played move the press has already switched it
+  useEffect(() => {
+    if (!skipValidation) clock.setTurn(chessRef.current.turn());
+  }, [boardArray]);
+
+  // *** GAME STATUS - check glow, mate/stalemate badge and onGameOver ***
+  const gameStatus = useMemo(() => (
+    skipValidation ? null : getGameStatus(chessRef.current, variant)
+  ), [boardArray, skipValidation, variant]);
+
+  useEffect(() => {
+    if (!gameStatus?.result) {
+      reportedGameOverRef.current = null;
       return;
     }
+    if (reportedGameOverRef.current === gameStatus.fen) return;
+    reportedGameOverRef.current = gameStatus.fen;
+    clock.pause();
+    onGameOver?.(gameStatus.result, gameStatus.reason);
+  }, [gameStatus]);
 
-    if (boardState.selectedSquare && selectedPiece) {
-      if (clickedPiece && clickedPiece.color === currentTurn) {
-        if (!canSelectPiece(square)) {
-          onRestrictedMoveAttempt?.(square, 'select');
-          Vibration.vibrate(100);
-          return;
-        }
-        const moves = currentChess.moves({ square, verbose: true }).map(move => move.to);
-        dispatch({ type: BOARD_ACTIONS.SELECT_SQUARE, square, validMoves: moves });
-        return;
-      }
-      
-      if (selectedPiece.type === 'p' && 
-         ((selectedPiece.color === 'b' && boardState.selectedSquare[1] === '2' && square[1] === '1') || 
-          (selectedPiece.color === 'w' && boardState.selectedSquare[1] === '7' && square[1] === '8'))) {
-        dispatch({ 
-          type: BOARD_ACTIONS.SHOW_PROMOTION, 
-          from: boardState.selectedSquare, 
-          to: square 
-        });
-        return;
-      }
-      
-      handleMove(boardState.selectedSquare, square);
-      return;
+  // Turns the board to the side to move once the move has finished sliding; with animateFlip
+  // the whole board spins half a turn first, and input waits until it has
+  useEffect(() => {
+    if (!isFlipMode) {
+      if (flipPerspective) setFlipPerspective(null);
+      return undefined;
     }
+    const target = chessRef.current.turn() === 'b' ? 'black' : 'white';
+    if (target === perspective) return undefined;
 
-    if (clickedPiece && clickedPiece.color === currentTurn) {
-      if (!canSelectPiece(square)) {
-        onRestrictedMoveAttempt?.(square, 'select');
-        Vibration.vibrate(100);
+    const spin = animateFlip && !reduceMotion;
+    const wait = animateMoves && !reduceMotion ? animationDuration : 0;
+    flipTimerRef.current = setTimeout(() => {
+      if (!spin) {
+        setFlipPerspective(target);
         return;
       }
-      const moves = currentChess.moves({ square, verbose: true }).map(move => move.to);
-      dispatch({ type: BOARD_ACTIONS.SELECT_SQUARE, square, validMoves: moves });
-    } else {
-      dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
-    }
-  }, [isLoading, readonly, boardState.selectedSquare, handleMove, canSelectPiece, onRestrictedMoveAttempt, blindfoldMode, onBlindSelect]);
-
-  const onGestureEvent = useCallback(({ nativeEvent }, square) => {
-    if (isLoading || readonly || !currentSquareSize) return;
-    if (!canSelectPiece(square)) return;
-    
-    panValuesRef.current[square] = {
-      x: nativeEvent.translationX,
-      y: nativeEvent.translationY
+      setIsFlipping(true);
+      Animated.timing(flipAnim, {
+        toValue: 1,
+        duration: FLIP_DURATION,
+        easing: Easing.inOut(Easing.cubic),
+        useNativeDriver: true,
+      }).start(({ finished }) => {
+        if (!finished) return;
+        // The spin is undone by the cleanup once the board shows the new side
+        setFlipPerspective(target);
+        setIsFlipping(false);
+      });
+    }, wait);
+    return () => {
+      clearTimeout(flipTimerRef.current);
+      flipAnim.stopAnimation();
+      flipAnim.setValue(0);
+      setIsFlipping(false);
     };
-  }, [isLoading, readonly, currentSquareSize, canSelectPiece]);
+  }, [boardArray, isFlipMode, perspective, animateFlip, animateMoves, reduceMotion, animationDuration]);
 
-  const onHandlerStateChange = useCallback(({ nativeEvent }, square) => {
-    if (isLoading || readonly || !currentSquareSize || blindfoldMode) return;
-    
-    if (nativeEvent.state === State.BEGAN) {
-      if (!canSelectPiece(square)) {
-        onRestrictedMoveAttempt?.(square, 'drag');
-        Vibration.vibrate(100);
-        return;
+  const flipRotation = flipAnim.interpolate({
+    inputRange: [0, 1],
+    outputRange: ['0deg', '180deg'],
+  });
+
+  // *** DRAW OFFERS AND RESIGNATION - the callbacks confirm; without one the action goes ahead ***
+  const getSideToMove = useCallback(() => (
+    skipValidation ? playerColorCode : chessRef.current.turn()
+  ), [skipValidation, playerColorCode]);
+
+  const declareResult = useCallback((result, reason) => {
+    setDeclaredResult({ result, reason });
+    clock.pause();
+    onGameOver?.(result, reason);
+  }, [clock.pause, onGameOver]);
+
+  const isGameFinished = !!declaredResult || !!gameStatus?.result;
+
+  const offerDraw = useCallback(async (color) => {
+    if (isGameFinished) return false;
+    const offeredBy = color || getSideToMove();
+    const accepted = onDrawOffer ? await onDrawOffer(offeredBy) : true;
+    if (!accepted) return false;
+    declareResult('1/2-1/2', 'agreement');
+    return true;
+  }, [isGameFinished, getSideToMove, onDrawOffer, declareResult]);
+
+  const resign = useCallback(async (color) => {
+    if (isGameFinished) return false;
+    const resigning = color || getSideToMove();
+    const confirmed = onResign ? await onResign(resigning) : true;
+    if (!confirmed) return false;
+    declareResult(resigning === 'w' ? '0-1' : '1-0', 'resignation');
+    return true;
+  }, [isGameFinished, getSideToMove, onResign, declareResult]);
+
+  const premoveSquares = useMemo(() => {
+    const squares = new Set();
+    boardState.premoves.forEach(({ from, to }) => {
+      squares.add(from);
+      squares.add(to);
+    });
+    return squares;
+  }, [boardState.premoves]);
+
+  // *** HISTORY NAVIGATION ***
+  const goToNode = useCallback((nodeId) => {
+    const node = moveTreeRef.current.nodes[nodeId];
+    if (!node || skipValidation) return false;
+    if (nodeId === currentNodeIdRef.current) return true;
+
+    switchAnnotationsToNode(nodeId);
+    currentNodeIdRef.current = nodeId;
+    chessRef.current = createGame(node.fen, variant);
+    applyBoardArray(chessRef.current.board(), true);
+    setPremoves([]);
+    dispatch({ 
+      type: BOARD_ACTIONS.RESET_STATE, 
+      lastMoveFrom: node.move?.from,
+      lastMoveTo: node.move?.to
+    });
+    emitPositionChange();
+    return true;
+  }, [skipValidation, switchAnnotationsToNode, applyBoardArray, setPremoves, emitPositionChange, variant]);
+
+  // Replaces the history with a parsed game and shows its starting position
+  const loadGame = useCallback((pgnText, animate = true) => {
+    if (skipValidation) {
+      console.warn('PGN loading requires move validation');
+      return false;
+    }
+
+    let game;
+    let chess;
+    let gameVariant;
+    try {
+      game = parsePgn(pgnText, variantProp);
+      gameVariant = variantProp || getPgnVariant(game.headers);
+      chess = createGame(game.tree.startFen, gameVariant);
+    } catch (e) {
+      console.warn('PGN load error:', e.message);
+      return false;
+    }
+
+    // Set before the state so the variant switch does not start the game over
+    if (!variantProp) {
+      prevVariantRef.current = gameVariant;
+      setPgnVariant(gameVariant);
+      if (gameVariant !== variant) onVariantChange?.(gameVariant);
+    }
+    setVariant(gameVariant);
+
+    resetHistory(game.tree.startFen);
+    moveTreeRef.current = game.tree;
+    pgnHeadersRef.current = game.headers;
+    chessRef.current = chess;
+    applyBoardArray(chess.board(), animate);
+    setPremoves([]);
+    dispatch({ type: BOARD_ACTIONS.RESET_STATE });
+    emitPositionChange();
+    return true;
+  }, [skipValidation, resetHistory, applyBoardArray, setPremoves, emitPositionChange, variant, variantProp, onVariantChange]);
+
+  useEffect(() => {
+    if (!pgn || pgn === prevPgnRef.current) return;
+    const isFirstLoad = prevPgnRef.current === null;
+    prevPgnRef.current = pgn;
+    loadGame(pgn, !isFirstLoad);
+  }, [pgn, loadGame]);
+
+  // A new solution starts a new puzzle from the position on the board
+  const puzzleKey = normalizeSolution(puzzleSolution ?? expectedMove).join(' ');
+  useEffect(() => {
+    clearTimeout(puzzleTimerRef.current);
+    if (!puzzleKey || skipValidation) {
+      puzzleRef.current = { line: [], index: 0, status: 'idle' };
+      return;
+    }
+
+    const puzzle = { line: puzzleKey.split(' '), index: 0, status: 'active' };
+    puzzleRef.current = puzzle;
+
+    // A line that cannot be played would stop halfway, so it is refused up front
+    const illegal = findIllegalSolutionMove(chessRef.current.fen(), puzzle.line, variant);
+    if (illegal) {
+      puzzle.status = 'failed';
+      onPuzzleError?.({ reason: 'illegal_move', ...illegal });
+      return;
+    }
+
+    // Puzzles that open with the opponent's move
+    if (playerColor && chessRef.current.turn() !== playerColorCode) {
+      puzzle.status = 'waiting';
+      schedulePuzzleTimer(() => puzzleReplyRef.current?.(puzzle), puzzleReplyDelay);
+    }
+    return () => clearTimeout(puzzleTimerRef.current);
+  }, [puzzleKey, skipValidation]);
+
+  // *** PROMOTION - picker unless autoQueen plays the queen straight away ***
+  const requestPromotion = useCallback((from, to, options = {}) => {
+    if (autoQueen === 'always') {
+      handleMove(from, to, 'q', options);
+      return;
+    }
+    dispatch({ type: BOARD_ACTIONS.SHOW_PROMOTION, from, to });
+  }, [autoQueen, handleMove]);
+
+  const handlePromotionSelect = useCallback((piece) => {
+    if (boardState.promotionPremove) {
+      queuePremove(boardState.promotionFrom, boardState.promotionTo, piece);
+    } else {
+      handleMove(boardState.promotionFrom, boardState.promotionTo, piece);
+    }
+    dispatch({ type: BOARD_ACTIONS.HIDE_PROMOTION });
+  }, [handleMove, queuePremove, boardState.promotionFrom, boardState.promotionTo, boardState.promotionPremove]);
+
+  // Tapping outside the picker leaves the pawn where it was
+  const handlePromotionCancel = useCallback(() => {
+    const { promotionFrom, promotionTo } = boardState;
+    dispatch({ type: BOARD_ACTIONS.HIDE_PROMOTION });
+    dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
+    onPromotionCancel?.(promotionFrom, promotionTo);
+  }, [boardState.promotionFrom, boardState.promotionTo, onPromotionCancel]);
+
+  const canSelectPiece = useCallback((square) => {
+    if (restrictToCircled && circledSquares && circledSquares.length > 0) {
+      return circledSquares.includes(square);
+    }
+    return true;
+  }, [restrictToCircled, circledSquares]);
+
+  const onSquarePress = useCallback((square) => {
+    if (isLoading || readonly) return;
+
+    if (blindfoldMode && onBlindSelect) {
+      onBlindSelect(square);
+      return;
+    }
+
+    // A pocket piece is selected: drop it there, or let go of it
+    if (isDropSquare(boardState.selectedSquare)) {
+      // Spare pieces stay selected; tapping the same piece again takes it off
+      if (isEditor) {
+        const spare = { type: boardState.selectedSquare[0].toLowerCase(), color: dropColorRef.current };
+        const current = getPieceAt(absoluteBoardRef.current, square);
+        const isSame = current?.type === spare.type && current?.color === spare.color;
+        applyBoardArray(placeOnBoardArray(absoluteBoardRef.current, square, isSame ? null : spare), false);
+        return;
+      }
+
+      const canDrop = skipValidation
+        ? !getPieceAt(absoluteBoardRef.current, square)
+        : boardState.validMoves.includes(square);
+      if (canDrop) {
+        handleMove(boardState.selectedSquare, square);
+      } else {
+        dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
+      }
+      return;
+    }
+
+    // Free placement: any piece may go to any square not held by its own side
+    if (skipValidation) {
+      const currentBoard = absoluteBoardRef.current;
+      const clickedPiece = getPieceAt(currentBoard, square);
+      const selectedPiece = boardState.selectedSquare ? getPieceAt(currentBoard, boardState.selectedSquare) : null;
+
+      if (boardState.selectedSquare === square) {
+        dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
+      } else if (clickedPiece && (!selectedPiece || clickedPiece.color === selectedPiece.color)) {
+        if (!canSelectPiece(square)) {
+          onRestrictedMoveAttempt?.(square, 'select');
+          Vibration.vibrate(100);
+          return;
+        }
+        dispatch({ type: BOARD_ACTIONS.SELECT_SQUARE, square, validMoves: [] });
+      } else if (selectedPiece) {
+        if (isPromotionSquare(selectedPiece, square) && !isEditor) {
+          requestPromotion(boardState.selectedSquare, square);
+          return;
+        }
+        handleMove(boardState.selectedSquare, square);
+      } else {
+        dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
+      }
+      return;
+    }
+
+    if (isPremoveTurn()) {
+      const premoveBoard = getPremoveBoard();
+      const premovePiece = getPieceAt(premoveBoard, square);
+
+      if (boardState.selectedSquare === square) {
+        dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
+      } else if (boardState.selectedSquare && boardState.validMoves.includes(square)) {
+        queuePremove(boardState.selectedSquare, square);
+      } else if (premovePiece && premovePiece.color === playerColorCode) {
+        if (!canSelectPiece(square)) {
+          onRestrictedMoveAttempt?.(square, 'select');
+          Vibration.vibrate(100);
+          return;
+        }
+        dispatch({ 
+          type: BOARD_ACTIONS.SELECT_SQUARE, 
+          square, 
+          ...getPremoveTargets(premoveBoard, square, getPremoveCastling())
+        });
+      } else {
+        // Tapping an empty square with nothing selected drops the whole queue
+        if (!boardState.selectedSquare) {
+          cancelPremoves();
+        }
+        dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
+      }
+      return;
+    }
+
+    const currentChess = chessRef.current;
+    const currentTurn = currentChess.turn();
+    const clickedPiece = currentChess.get(square);
+    const selectedPiece = boardState.selectedSquare ? currentChess.get(boardState.selectedSquare) : null;
+
+    if (boardState.selectedSquare === square) {
+      dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
+      return;
+    }
+
+    if (boardState.selectedSquare && selectedPiece) {
+      // Own pieces are only targets for Chess960 castling (king onto rook)
+      if (clickedPiece && clickedPiece.color === currentTurn && !boardState.validMoves.includes(square)) {
+        if (!canSelectPiece(square)) {
+          onRestrictedMoveAttempt?.(square, 'select');
+          Vibration.vibrate(100);
+          return;
+        }
+        dispatch({ type: BOARD_ACTIONS.SELECT_SQUARE, square, ...getMoveTargets(currentChess, square) });
+        return;
+      }
+      
+      if (selectedPiece.type === 'p' && 
+         ((selectedPiece.color === 'b' && boardState.selectedSquare[1] === '2' && square[1] === '1') || 
+          (selectedPiece.color === 'w' && boardState.selectedSquare[1] === '7' && square[1] === '8'))) {
+        requestPromotion(boardState.selectedSquare, square);
+        return;
+      }
+      
+      handleMove(boardState.selectedSquare, square);
+      return;
+    }
+
+    if (clickedPiece && clickedPiece.color === currentTurn) {
+      if (!canSelectPiece(square)) {
+        onRestrictedMoveAttempt?.(square, 'select');
+        Vibration.vibrate(100);
+        return;
+      }
+      dispatch({ type: BOARD_ACTIONS.SELECT_SQUARE, square, ...getMoveTargets(currentChess, square) });
+    } else {
+      dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
+    }
+  }, [isLoading, readonly, boardState.selectedSquare, boardState.validMoves, handleMove, canSelectPiece, onRestrictedMoveAttempt, blindfoldMode, onBlindSelect, isPremoveTurn, getPremoveBoard, getPremoveCastling, queuePremove, cancelPremoves, playerColorCode, skipValidation, isEditor, requestPromotion, applyBoardArray]);
+
+  // *** DRAG HELPERS - board coordinates are relative to the top-left display square ***
+  const getSquareOrigin = useCallback((square) => {
+    const size = boardDimensionsRef.current.width / 8;
+    const file = square.charCodeAt(0) - 97;
+    const rank = parseInt(square[1]);
+    const col = perspective === 'white' ? file : 7 - file;
+    const row = perspective === 'white' ? 8 - rank : rank - 1;
+    return { x: col * size, y: row * size };
+  }, [perspective]);
+
+  const getSquareAtPoint = useCallback((x, y) => {
+    const size = boardDimensionsRef.current.width / 8;
+    if (!size) return null;
+    const col = Math.floor(x / size);
+    const row = Math.floor(y / size);
+    if (col < 0 || col > 7 || row < 0 || row > 7) return null;
+    return perspective === 'white'
+      ? `${String.fromCharCode(97 + col)}${8 - row}`
+      : `${String.fromCharCode(104 - col)}${row + 1}`;
+  }, [perspective]);
+
+  const endDrag = useCallback(() => {
+    dragRef.current = null;
+    setDragState(null);
+    setDragOverSquare(null);
+  }, []);
+
+  const returnDraggedPiece = useCallback(() => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    setDragOverSquare(null);
+
+    if (reduceMotion) {
+      endDrag();
+      return;
+    }
+
+    Animated.timing(dragPosition, {
+      toValue: drag.origin,
+      duration: 150,
+      useNativeDriver: false,
+    }).start(() => {
+      if (dragRef.current === drag) {
+        endDrag();
+      }
+    });
+  }, [dragPosition, endDrag, reduceMotion]);
+
+  const startDrag = useCallback((square, nativeEvent) => {
+    const currentChess = chessRef.current;
+    const premove = isPremoveTurn();
+    let piece;
+    let validMoves;
+    let captureMoves = [];
+
+    if (skipValidation) {
+      const currentBoard = absoluteBoardRef.current;
+      piece = getPieceAt(currentBoard, square);
+      if (!piece) return;
+      validMoves = Array.from(createAllSquaresSet()).filter(target => {
+        const targetPiece = getPieceAt(currentBoard, target);
+        return target !== square && (isEditor || !targetPiece || targetPiece.color !== piece.color);
+      });
+    } else if (premove) {
+      const premoveBoard = getPremoveBoard();
+      piece = getPieceAt(premoveBoard, square);
+      if (!piece || piece.color !== playerColorCode) return;
+      ({ validMoves, captureMoves } = getPremoveTargets(premoveBoard, square, getPremoveCastling()));
+    } else {
+      piece = currentChess.get(square);
+      if (!piece || piece.color !== currentChess.turn()) return;
+      ({ validMoves, captureMoves } = getMoveTargets(currentChess, square));
+    }
+
+    const origin = getSquareOrigin(square);
+    const size = boardDimensionsRef.current.width / 8;
+
+    dragRef.current = { square, piece, origin, validMoves, premove, overSquare: square };
+    dragPosition.setValue({
+      x: origin.x + nativeEvent.x - size / 2,
+      y: origin.y + nativeEvent.y - size / 2
+    });
+    setDragState({ square, piece });
+    setDragOverSquare(square);
+    // Free placement accepts almost every square, so no dots are drawn for it
+    dispatch({ 
+      type: BOARD_ACTIONS.SELECT_SQUARE, 
+      square, 
+      validMoves: skipValidation ? [] : validMoves,
+      captureMoves
+    });
+  }, [getSquareOrigin, dragPosition, isPremoveTurn, getPremoveBoard, getPremoveCastling, playerColorCode, skipValidation, isEditor]);
+
+  const onGestureEvent = useCallback(({ nativeEvent }, square) => {
+    if (isLoading || readonly || !currentSquareSize) return;
+    const drag = dragRef.current;
+    if (!drag || drag.square !== square) return;
+
+    const size = boardDimensionsRef.current.width / 8;
+    const fingerX = drag.origin.x + nativeEvent.x;
+    const fingerY = drag.origin.y + nativeEvent.y;
+    dragPosition.setValue({ x: fingerX - size / 2, y: fingerY - size / 2 });
+
+    const overSquare = getSquareAtPoint(fingerX, fingerY);
+    if (overSquare !== drag.overSquare) {
+      drag.overSquare = overSquare;
+      setDragOverSquare(overSquare);
+    }
+  }, [isLoading, readonly, currentSquareSize, dragPosition, getSquareAtPoint]);
+
+  const onHandlerStateChange = useCallback(({ nativeEvent }, square) => {
+    if (isLoading || readonly || !currentSquareSize || blindfoldMode) return;
+    
+    if (nativeEvent.state === State.BEGAN) {
+      if (!canSelectPiece(square)) {
+        onRestrictedMoveAttempt?.(square, 'drag');
+        Vibration.vibrate(100);
+        return;
       }
     }
+
+    if (nativeEvent.state === State.ACTIVE) {
+      if (canSelectPiece(square)) {
+        startDrag(square, nativeEvent);
+      }
+      return;
+    }
+
+    const drag = dragRef.current;
+    if (!drag || drag.square !== square) return;
+
+    if (nativeEvent.state === State.CANCELLED || nativeEvent.state === State.FAILED) {
+      returnDraggedPiece();
+      dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
+      return;
+    }
     
     if (nativeEvent.state === State.END) {
-      const col = parseInt(square.charCodeAt(0) - 97);
-      const row = perspective === 'white' ? 8 - parseInt(square[1]) : parseInt(square[1]) - 1;
-      
-      const toCol = col + Math.round(nativeEvent.translationX / currentSquareSize);
-      const toRow = row + Math.round(nativeEvent.translationY / currentSquareSize);
-
-      panValuesRef.current[square] = { x: 0, y: 0 };
-
-      if (toCol >= 0 && toCol < 8 && toRow >= 0 && toRow < 8) {
-        const to = perspective === 'white'
-          ? `${String.fromCharCode(97 + toCol)}${8 - toRow}`
-          : `${String.fromCharCode(104 - toCol)}${toRow + 1}`;
-
-        if (boardState.validMoves.includes(to)) {
-          const currentChess = chessRef.current;
-          const piece = currentChess.get(boardState.selectedSquare);
-          if (piece?.type === 'p' && (toRow === 0 || toRow === 7)) {
-            Vibration.vibrate(30);
-            dispatch({ 
-              type: BOARD_ACTIONS.SHOW_PROMOTION, 
-              from: boardState.selectedSquare, 
-              to 
-            });
-          } else {
-            Vibration.vibrate(50);
-            handleMove(boardState.selectedSquare, to);
-          }
+      const to = getSquareAtPoint(drag.origin.x + nativeEvent.x, drag.origin.y + nativeEvent.y);
+
+      // Dropped back on its own square: keep it selected for a tap-move
+      if (to === square) {
+        endDrag();
+        return;
+      }
+
+      // Editor pieces dragged off the board are taken off it
+      if (!to && isEditor && !isDropSquare(square)) {
+        endDrag();
+        applyBoardArray(placeOnBoardArray(absoluteBoardRef.current, square, null), false);
+        dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
+        return;
+      }
+
+      if (to && drag.validMoves.includes(to)) {
+        endDrag();
+        if (drag.premove) {
+          Vibration.vibrate(30);
+          queuePremove(square, to);
+        } else if (isPromotionSquare(drag.piece, to) && !isDropSquare(square) && !isEditor) {
+          Vibration.vibrate(30);
+          requestPromotion(square, to, { animate: false });
         } else {
-          Vibration.vibrate(80);
+          Vibration.vibrate(50);
+          handleMove(square, to, undefined, { animate: false });
         }
       } else {
         Vibration.vibrate(80);
+        returnDraggedPiece();
+        dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
       }
+    }
+  }, [isLoading, readonly, currentSquareSize, handleMove, canSelectPiece, onRestrictedMoveAttempt, blindfoldMode, startDrag, getSquareAtPoint, endDrag, returnDraggedPiece, queuePremove, requestPromotion, isEditor, applyBoardArray]);
+
+  // *** POCKETS - crazyhouse drops, tapped or dragged in from beside the board ***
+  const getDropTargets = useCallback((color, type) => {
+    if (skipValidation) {
+      const currentBoard = absoluteBoardRef.current;
+      return {
+        validMoves: Array.from(createAllSquaresSet()).filter(square => isEditor || !getPieceAt(currentBoard, square)),
+        captureMoves: []
+      };
+    }
+    const currentChess = chessRef.current;
+    if (isPremoveTurn() || color !== currentChess.turn()) return null;
+    return getMoveTargets(currentChess, toDropSquare(type));
+  }, [skipValidation, isEditor, isPremoveTurn]);
+
+  const onPocketPiecePress = useCallback((color, type) => {
+    if (isLoading || readonly) return;
+    const square = toDropSquare(type);
+    const targets = getDropTargets(color, type);
+
+    if (!targets || (boardState.selectedSquare === square && dropColorRef.current === color)) {
       dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
+      return;
+    }
+
+    dropColorRef.current = color;
+    dispatch({
+      type: BOARD_ACTIONS.SELECT_SQUARE,
+      square,
+      validMoves: skipValidation ? [] : targets.validMoves
+    });
+  }, [isLoading, readonly, boardState.selectedSquare, getDropTargets, skipValidation]);
+
+  const onPocketGestureEvent = useCallback((nativeEvent, color, type) => {
+    onGestureEvent({ nativeEvent }, toDropSquare(type));
+  }, [onGestureEvent]);
+
+  // Once lifted, a pocket piece is dragged like a board piece whose origin lies off the board
+  const onPocketStateChange = useCallback((nativeEvent, color, type, slot) => {
+    if (isLoading || readonly || !currentSquareSize || blindfoldMode) return;
+    const square = toDropSquare(type);
+
+    if (nativeEvent.state === State.BEGAN) {
+      pocketOriginRef.current = null;
+      slot?.measureInWindow((slotX, slotY) => {
+        boardContainerRef.current?.measureInWindow((boardX, boardY) => {
+          pocketOriginRef.current = { x: slotX - boardX, y: slotY - boardY };
+        });
+      });
+      return;
+    }
+
+    if (nativeEvent.state === State.ACTIVE) {
+      const origin = pocketOriginRef.current;
+      const targets = origin ? getDropTargets(color, type) : null;
+      if (!targets) return;
+
+      const piece = { type, color };
+      const size = boardDimensionsRef.current.width / 8;
+      dropColorRef.current = color;
+      dragRef.current = { square, piece, origin, validMoves: targets.validMoves, premove: false, overSquare: null };
+      dragPosition.setValue({
+        x: origin.x + nativeEvent.x - size / 2,
+        y: origin.y + nativeEvent.y - size / 2
+      });
+      setDragState({ square, piece });
+      dispatch({
+        type: BOARD_ACTIONS.SELECT_SQUARE,
+        square,
+        validMoves: skipValidation ? [] : targets.validMoves
+      });
+      return;
+    }
+
+    onHandlerStateChange({ nativeEvent }, square);
+  }, [isLoading, readonly, currentSquareSize, blindfoldMode, getDropTargets, dragPosition, skipValidation, onHandlerStateChange]);
+
+  // Counts per side: the controlled prop wins, otherwise whatever the game holds in hand
+  const pocketCounts = useMemo(() => {
+    if (!showPockets) return null;
+    if (controlledPockets) return controlledPockets;
+    if (skipValidation) return null;
+    return chessRef.current?.getPockets?.() || null;
+  }, [controlledPockets, showPockets, skipValidation, boardArray]);
+
+  // *** EDITOR - free placement plus the FEN fields the board cannot show ***
+  const editorOptions = useMemo(() => (
+    isEditor
+      ? {
+        castling: getCastlingOptions(absoluteBoardRef.current),
+        enPassant: getEnPassantOptions(absoluteBoardRef.current, editorSettings.turn)
+      }
+      : null
+  ), [isEditor, boardArray, editorSettings.turn]);
+
+  const editorFen = useMemo(() => (
+    isEditor ? buildFen(absoluteBoardRef.current, editorSettings) : null
+  ), [isEditor, boardArray, editorSettings]);
+
+  useEffect(() => {
+    if (!editorFen) return;
+    onPositionValidity?.(validatePosition(absoluteBoardRef.current, editorSettings));
+  }, [editorFen]);
+
+  const resetEditor = useCallback((fen) => {
+    chessRef.current = createChessSafely(fen);
+    applyBoardArray(fenToBoardArray(fen), true);
+    setEditorSettings(readEditorSettings(fen));
+    dispatch({ type: BOARD_ACTIONS.RESET_STATE });
+  }, [applyBoardArray]);
+
+  const clearEditorBoard = useCallback(() => resetEditor(EMPTY_POSITION), [resetEditor]);
+  const resetEditorBoard = useCallback(() => resetEditor(DEFAULT_POSITION), [resetEditor]);
+
+  // *** ANNOTATION DRAWING - long-press, then drag for an arrow or release for a circle ***
+  const onDrawGestureEvent = useCallback(({ nativeEvent }) => {
+    const drawing = drawingRef.current;
+    if (!drawing) return;
+
+    const square = getSquareAtPoint(nativeEvent.x, nativeEvent.y);
+    if (square && square !== drawing.to) {
+      drawingRef.current = { ...drawing, to: square };
+      setDrawingAnnotation(drawingRef.current);
+    }
+  }, [getSquareAtPoint]);
+
+  const onDrawStateChange = useCallback(({ nativeEvent }) => {
+    if (nativeEvent.state === State.ACTIVE) {
+      const square = getSquareAtPoint(nativeEvent.x, nativeEvent.y);
+      if (!square) return;
+      Vibration.vibrate(20);
+      drawingRef.current = { from: square, to: square };
+      setDrawingAnnotation(drawingRef.current);
+      return;
+    }
+
+    const drawing = drawingRef.current;
+    if (!drawing) return;
+
+    if (nativeEvent.state === State.END) {
+      const annotation = drawing.from === drawing.to
+        ? { type: 'circle', square: drawing.from, color: annotationColor }
+        : { type: 'arrow', from: drawing.from, to: drawing.to, color: annotationColor };
+      updateAnnotations(toggleAnnotation(annotationsRef.current, annotation));
     }
-  }, [isLoading, readonly, perspective, currentSquareSize, boardState.selectedSquare, boardState.validMoves, handleMove, canSelectPiece, onRestrictedMoveAttempt, blindfoldMode]);
+
+    if (
+      nativeEvent.state === State.END ||
+      nativeEvent.state === State.CANCELLED ||
+      nativeEvent.state === State.FAILED
+    ) {
+      drawingRef.current = null;
+      setDrawingAnnotation(null);
+    }
+  }, [getSquareAtPoint, annotationColor, updateAnnotations]);
+
+  useImperativeHandle(ref, () => ({
+    highlight: (square) => {
+      if (!square || typeof square !== 'string' || !/^[a-h][1-8]$/.test(square)) {
+        console.warn('Invalid square for highlight:', square);
+        return;
+      }
+      dispatch({ type: BOARD_ACTIONS.SET_HINT, square });
+      setTimeout(() => {
+        dispatch({ type: BOARD_ACTIONS.CLEAR_HINT });
+      }, 3000);
+    },
+    clearHighlight: () => {
+      dispatch({ type: BOARD_ACTIONS.CLEAR_HINT });
+    },
+    clearAnnotations: () => {
+      updateAnnotations([]);
+    },
+    getAnnotations: () => annotationsRef.current,
+    clearPremoves: () => {
+      cancelPremoves();
+      dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
+    },
+    setFen: (fen) => {
+      if (isEditor) {
+        resetEditor(fen);
+        return;
+      }
+      if (skipValidation) {
+        chessRef.current = createChessSafely(fen);
+        applyBoardArray(fenToBoardArray(fen), true);
+        dispatch({ type: BOARD_ACTIONS.RESET_STATE });
+        return;
+      }
+      chessRef.current = createGame(fen, variant);
+      resetHistory(chessRef.current.fen());
+      applyBoardArray(chessRef.current.board(), true);
+      dispatch({ type: BOARD_ACTIONS.RESET_STATE });
+      emitPositionChange();
+    },
+    // The editor's FEN includes its side to move, castling and en passant settings
+    getFen: () => {
+      if (isEditor) return buildFen(absoluteBoardRef.current, editorSettings);
+      if (skipValidation) return buildFen(absoluteBoardRef.current, readEditorSettings(chessRef.current.fen()));
+      return chessRef.current.fen();
+    },
+    clearBoard: () => {
+      if (!isEditor) {
+        console.warn('clearBoard requires mode="editor"');
+        return;
+      }
+      clearEditorBoard();
+    },
+    resetBoard: () => {
+      if (!isEditor) {
+        console.warn('resetBoard requires mode="editor"');
+        return;
+      }
+      resetEditorBoard();
+    },
+    setBoardArray: (array) => {
+      if (!skipValidation) {
+        console.warn('setBoardArray requires skipValidation');
+        return;
+      }
+      if (!Array.isArray(array) || array.length !== 8 || !array.every(row => Array.isArray(row) && row.length === 8)) {
+        console.warn('Invalid board array:', array);
+        return;
+      }
+      applyBoardArray(array, true);
+      dispatch({ type: BOARD_ACTIONS.RESET_STATE });
+    },
+    undo: () => {
+      const node = moveTreeRef.current.nodes[currentNodeIdRef.current];
+      return node.parentId !== null ? goToNode(node.parentId) : false;
+    },
+    redo: () => {
+      const node = moveTreeRef.current.nodes[currentNodeIdRef.current];
+      return node.children.length > 0 ? goToNode(node.children[0].id) : false;
+    },
+    goToPly: (ply) => {
+      const line = getLineThrough(moveTreeRef.current, currentNodeIdRef.current);
+      const target = Math.max(0, Math.min(Math.floor(ply) || 0, line.length));
+      return goToNode(target === 0 ? 'root' : line[target - 1].id);
+    },
+    getHistory: () => {
+      return getLineThrough(moveTreeRef.current, currentNodeIdRef.current).map(node => ({
+        ...node.move,
+        ply: node.ply,
+        fen: node.fen
+      }));
+    },
+    getPgn: () => {
+      const { pgnName } = resolveRules(variant);
+      return writePgn(
+        moveTreeRef.current,
+        pgnName ? { Variant: pgnName, ...pgnHeadersRef.current } : pgnHeadersRef.current
+      );
+    },
+    loadPgn: (pgnText) => loadGame(pgnText),
+    playMove: (text) => playMoveTextRef.current(text),
+    peek: (squares, duration) => peek(squares, duration),
+    endPeek: () => endPeek(),
+    getClock: () => {
+      const state = clock.getState();
+      return state ? {
+        times: getClockTimes(state, (clockOptions.now || Date.now)()),
+        turn: state.turn,
+        status: state.status,
+        flagged: state.flagged,
+        moves: { ...state.moves },
+        stage: { ...state.stage }
+      } : null;
+    },
+    startClock: (turn) => { clock.start(turn); },
+    pauseClock: () => { clock.pause(); },
+    resumeClock: () => { clock.resume(); },
+    syncClock: (times) => { clock.sync(times); },
+    resetClock: () => {
+      clock.reset();
+      if (!skipValidation) clock.setTurn(chessRef.current.turn());
+    },
+    offerDraw: (color) => offerDraw(color),
+    resign: (color) => resign(color),
+    getPgnHeaders: () => ({ ...pgnHeadersRef.current }),
+    next: (variation = 0) => {
+      const node = moveTreeRef.current.nodes[currentNodeIdRef.current];
+      const child = node.children[variation];
+      return child ? goToNode(child.id) : false;
+    },
+    previous: () => {
+      const node = moveTreeRef.current.nodes[currentNodeIdRef.current];
+      return node.parentId !== null ? goToNode(node.parentId) : false;
+    },
+    goToNode: (nodeId) => goToNode(nodeId)
+  }), [applyBoardArray, updateAnnotations, skipValidation, resetHistory, emitPositionChange, goToNode, loadGame, variant, isEditor, editorSettings, resetEditor, clearEditorBoard, resetEditorBoard, peek, endPeek, clock.getState, clock.start, clock.pause, clock.resume, clock.sync, clock.setTurn, clock.reset, clockOptions.now, offerDraw, resign, cancelPremoves]);
 
   const handlers = useMemo(() => ({
     onSquarePress,
@@ -543,6 +2016,169 @@ const SmoothChessboard = forwardRef((props, ref) => {
     onHandlerStateChange: (square) => (event) => onHandlerStateChange(event, square)
   }), [onSquarePress, onGestureEvent, onHandlerStateChange]);
 
+  // *** SCREEN READER CURSOR - the board as one adjustable element, stepped square by square ***
+  const isCursorNavigation = accessibilityNavigation === 'cursor';
+  const squareOrder = useMemo(() => getSquareOrder(perspective), [perspective]);
+  const [cursorSquare, setCursorSquare] = useState(null);
+  const activeCursorSquare = cursorSquare || squareOrder[0];
+
+  const isHiddenPiece = useCallback((square, piece) => (
+    blindfoldMode && !!piece && (hiddenSquares === 'all' || !!hiddenSquares?.has?.(square)) &&
+    peekedSquares !== 'all' && !peekedSquares?.has(square)
+  ), [blindfoldMode, hiddenSquares, peekedSquares]);
+
+  const cursorDescription = useMemo(() => {
+    if (!isCursorNavigation) return null;
+    const square = activeCursorSquare;
+    const piece = getPieceOnSquare(square);
+    return describeSquare({
+      square,
+      piece,
+      hidden: isHiddenPiece(square, piece),
+      selected: boardState.selectedSquare === square,
+      legalTarget: boardState.validMoves.includes(square),
+      capture: boardState.captureMoves.includes(square),
+      lastMove: boardState.lastMoveFrom === square ? 'from' : boardState.lastMoveTo === square ? 'to' : null,
+      kingState: gameStatus?.kingSquare === square ? gameStatus.kingState : null,
+      premove: premoveSquares.has(square)
+    });
+  }, [isCursorNavigation, activeCursorSquare, boardArray, boardState, gameStatus, premoveSquares, getPieceOnSquare, isHiddenPiece]);
+
+  const onCursorAction = useCallback((event) => {
+    const { actionName } = event.nativeEvent;
+    const step = CURSOR_STEPS[actionName];
+    if (step) {
+      const next = squareOrder.indexOf(activeCursorSquare) + step;
+      if (next >= 0 && next < squareOrder.length) {
+        setCursorSquare(squareOrder[next]);
+      }
+      return;
+    }
+    if (actionName === 'activate') {
+      onSquarePress(activeCursorSquare);
+    }
+  }, [squareOrder, activeCursorSquare, onSquarePress]);
+
+  // The promotion picker needs its own buttons, so the cursor steps aside while it is open
+  const cursorProps = isCursorNavigation && !isLoading && !boardState.showPromotion ? {
+    accessible: true,
+    accessibilityRole: 'adjustable',
+    accessibilityLabel: 'Chessboard',
+    accessibilityValue: { text: cursorDescription },
+    accessibilityActions: CURSOR_ACTIONS,
+    onAccessibilityAction: onCursorAction
+  } : {};
+
+  // *** KEYBOARD - arrow keys move the cursor, Enter/Space press its square, typed moves play ***
+  const [keyboardActive, setKeyboardActive] = useState(false);
+  const [typedMove, setTypedMove] = useState('');
+  const [inputError, setInputError] = useState(null);
+  const showKeyboardCursor = keyboardInput && keyboardActive && !isLoading;
+
+  // Plays a move given as SAN, UCI or spoken words ("knight f3"); says why through onInvalidInput when it cannot
+  const playMoveText = useCallback((text) => {
+    if (isLoading || readonly || isEditor) return false;
+
+    const reject = (reason, candidates = []) => {
+      const message = reason === 'wrong_turn'
+        ? 'It is not your turn'
+        : describeInputError(text, { reason, candidates });
+      setInputError(message);
+      onInvalidInput?.(text, { reason, message, candidates: candidates.map(move => move.san) });
+      return false;
+    };
+
+    // Without rules there is nothing to read SAN against, so only from-to moves work
+    if (skipValidation) {
+      const move = parseUciMove(String(text || '').trim().toLowerCase());
+      if (!move) return reject('invalid');
+      const played = handleMove(move.from, move.to, move.promotion);
+      if (played) setInputError(null);
+      return played;
+    }
+
+    if (isPremoveTurn()) return reject('wrong_turn');
+
+    const result = resolveMoveInput(text, chessRef.current.moves({ verbose: true }));
+    if (!result.move) return reject(result.reason, result.candidates);
+
+    setInputError(null);
+    const { from, to, promotion } = result.move;
+    return handleMove(from, to, promotion);
+  }, [isLoading, readonly, isEditor, skipValidation, onInvalidInput, handleMove, isPremoveTurn]);
+  playMoveTextRef.current = playMoveText;
+
+  const onBoardKeyDown = useCallback((event) => {
+    const key = event.nativeEvent?.key ?? event.key;
+    if (!keyboardInput || isLoading || !key) return;
+    setKeyboardActive(true);
+
+    const handled = () => event.preventDefault?.();
+
+    if (boardState.showPromotion) {
+      if (PROMOTION_KEYS.includes(key.toLowerCase())) {
+        handlePromotionSelect(key.toLowerCase());
+        handled();
+      } else if (key === 'Escape') {
+        handlePromotionCancel();
+        handled();
+      }
+      return;
+    }
+
+    if (isCursorKey(key)) {
+      setCursorSquare(moveCursor(activeCursorSquare, key, perspective));
+      handled();
+      return;
+    }
+
+    if (key === 'Enter' || (key === ' ' && !typedMove)) {
+      if (typedMove) {
+        playMoveText(typedMove);
+        setTypedMove('');
+      } else {
+        setInputError(null);
+        onSquarePress(activeCursorSquare);
+      }
+      handled();
+      return;
+    }
+
+    if (key === 'Escape') {
+      setTypedMove('');
+      setInputError(null);
+      dispatch({ type: BOARD_ACTIONS.CLEAR_SELECTION });
+      handled();
+      return;
+    }
+
+    if (key === 'Backspace') {
+      setTypedMove(current => current.slice(0, -1));
+      handled();
+      return;
+    }
+
+    if (MOVE_TEXT_KEY.test(key)) {
+      setInputError(null);
+      setTypedMove(current => current + key);
+      handled();
+    }
+  }, [keyboardInput, isLoading, boardState.showPromotion, handlePromotionSelect, handlePromotionCancel, activeCursorSquare, perspective, typedMove, playMoveText, onSquarePress]);
+
+  const onBoardBlur = useCallback(() => {
+    setKeyboardActive(false);
+    setTypedMove('');
+  }, []);
+
+  // Web gets key events on the focused board; native hardware keyboards type into MoveInput
+  const keyboardProps = keyboardInput ? {
+    focusable: !isLoading,
+    onKeyDown: onBoardKeyDown,
+    onBlur: onBoardBlur
+  } : {};
+
+  const clearInputError = useCallback(() => setInputError(null), []);
+
   const files = useMemo(() => 
     perspective === 'white' 
       ? ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'] 
@@ -555,23 +2191,38 @@ const SmoothChessboard = forwardRef((props, ref) => {
       : ['1', '2', '3', '4', '5', '6', '7', '8']
   , [perspective]);
 
+  // Engine arrows are hidden once the board shows a position they do not belong to (e.g. after undo)
+  const isPlayableMove = useCallback(({ from, to }) => (
+    skipValidation || chessRef.current.moves({ square: from, verbose: true }).some(move => move.to === to)
+  ), [skipValidation]);
+
   const bestMoveData = useMemo(() => {
     if (!bestMove || typeof bestMove !== 'string' || bestMove.length < 4) return null;
     const from = bestMove.slice(0, 2);
     const to = bestMove.slice(2, 4);
     if (!/^[a-h][1-8]$/.test(from) || !/^[a-h][1-8]$/.test(to)) return null;
+    if (!isPlayableMove({ from, to })) return null;
     return { from, to };
-  }, [bestMove]);
+  }, [bestMove, boardArray, isPlayableMove]);
+
+  const engineArrows = useMemo(() => {
+    if (!engineLines?.length) return null;
+    return getEngineLineArrows(engineLines, absoluteBoardRef.current, {
+      maxLines: maxEngineLines,
+      continuationPlies: engineLinePlies,
+      isPlayable: isPlayableMove
+    });
+  }, [engineLines, maxEngineLines, engineLinePlies, boardArray, isPlayableMove]);
 
   const movingPiece = useMemo(() => {
     if (!bestMoveData) return null;
     try {
-      const piece = chessRef.current?.get(bestMoveData.from);
+      const piece = getPieceOnSquare(bestMoveData.from);
       return piece ? piece.type : null;
     } catch {
       return null;
     }
-  }, [bestMoveData]);
+  }, [bestMoveData, getPieceOnSquare]);
 
   // *** OPTIMIZED ARROWS RENDERING ***
   const renderedArrows = useMemo(() => {
@@ -602,8 +2253,27 @@ const SmoothChessboard = forwardRef((props, ref) => {
       });
     }
 
-    // Render best move arrow
-    if (bestMoveData) {
+    // Engine lines replace the single best move arrow
+    if (engineArrows) {
+      const engineColor = activeBoardTheme.engineArrow || DEFAULT_ENGINE_ARROW_COLOR;
+      engineArrows.forEach(arrow => {
+        arrowComponents.push(
+          <Arrow
+            key={`engine-${arrow.key}`}
+            from={arrow.from}
+            to={arrow.to}
+            squareSize={currentSquareSize}
+            boardSize={boardDimensionsRef.current.width}
+            perspective={perspective}
+            piece={arrow.piece}
+            opacity={arrow.opacity}
+            color={engineColor}
+            widthScale={arrow.widthScale}
+            label={arrow.label}
+          />
+        );
+      });
+    } else if (bestMoveData) {
       arrowComponents.push(
         <Arrow
           key="best-move"
@@ -619,98 +2289,368 @@ const SmoothChessboard = forwardRef((props, ref) => {
     }
 
     return arrowComponents.length > 0 ? arrowComponents : null;
-  }, [isLoading, showArrows, currentSquareSize, arrows, bestMoveData, movingPiece, perspective]);
+  }, [isLoading, showArrows, currentSquareSize, arrows, bestMoveData, movingPiece, perspective, engineArrows, activeBoardTheme]);
+
+  // *** USER ANNOTATIONS RENDERING ***
+  const renderedAnnotations = useMemo(() => {
+    const boardSize = boardDimensionsRef.current.width;
+    if (isLoading || currentSquareSize <= 0 || boardSize <= 0) {
+      return null;
+    }
+
+    const renderAnnotation = (annotation, key, opacity) => {
+      const color = resolveAnnotationColor(annotation.color);
+      if (annotation.type === 'circle') {
+        return (
+          <AnnotationCircle
+            key={key}
+            square={annotation.square}
+            boardSize={boardSize}
+            perspective={perspective}
+            color={color}
+            opacity={opacity}
+          />
+        );
+      }
+      return (
+        <Arrow
+          key={key}
+          from={annotation.from}
+          to={annotation.to}
+          squareSize={currentSquareSize}
+          boardSize={boardSize}
+          perspective={perspective}
+          piece={isKnightJump(annotation.from, annotation.to) ? 'n' : null}
+          opacity={opacity}
+          color={color}
+        />
+      );
+    };
+
+    const components = activeAnnotations.map(annotation => renderAnnotation(
+      annotation,
+      annotation.type === 'circle'
+        ? `annotation-${annotation.square}`
+        : `annotation-${annotation.from}-${annotation.to}`,
+      1
+    ));
+
+    if (drawingAnnotation) {
+      const preview = drawingAnnotation.from === drawingAnnotation.to
+        ? { type: 'circle', square: drawingAnnotation.from, color: annotationColor }
+        : { type: 'arrow', from: drawingAnnotation.from, to: drawingAnnotation.to, color: annotationColor };
+      components.push(renderAnnotation(preview, 'annotation-preview', 0.6));
+    }
+
+    return components.length > 0 ? components : null;
+  }, [isLoading, currentSquareSize, activeAnnotations, drawingAnnotation, annotationColor, perspective]);
+
+  const selectedDropPiece = isDropSquare(boardState.selectedSquare)
+    ? boardState.selectedSquare[0].toLowerCase()
+    : null;
+
+  // A null evaluation keeps the bar in place, level, while the engine has nothing to say
+  const showEvalBar = evaluation !== undefined && evalBarMode !== 'hidden';
+  const evalBarSpace = showEvalBar ? (EVAL_BAR_WIDTHS[evalBarMode] || EVAL_BAR_WIDTHS.normal) + EVAL_BAR_GAP : 0;
+  const boardLeftOffset = (showCoordinates ? COORDINATE_SPACE : 0) + evalBarSpace;
+  // The tabletop layout repeats the coordinates along the top and right edges for the far player
+  const showFarCoordinates = showCoordinates && isTabletop;
+  const boardRightOffset = showFarCoordinates ? COORDINATE_SPACE : 0;
+
+  // Rows beside the board line up with the squares; the far player's rows in the tabletop
+  // layout are turned round, which also swaps their padding
+  const getEdgeRowStyle = (color) => (color === rotatedColor
+    ? [{ paddingLeft: boardRightOffset, paddingRight: boardLeftOffset }, styles.rotated]
+    : { paddingLeft: boardLeftOffset, paddingRight: boardRightOffset });
+
+  const renderCoordinate = (label, key, style, rotated = false) => (
+    <View key={key} style={style}>
+      <Text style={[styles.coordinateText, { color: activeTextColors.subtitleText }, rotated && styles.rotated]}>
+        {label}
+      </Text>
+    </View>
+  );
+
+  // Pocket rows sit above and below the board; the side at the bottom keeps its pocket below it
+  // The editor shows its spare pieces in the same rows, without counts
+  const renderPocket = (color) => (
+    <View style={[styles.pocketRow, getEdgeRowStyle(color)]}>
+      <Pocket
+        color={color}
+        pieces={isEditor ? null : pocketCounts[color] || {}}
+        types={isEditor ? SPARE_PIECES : undefined}
+        pieceSet={pieceSet}
+        squareSize={currentSquareSize}
+        selectedPiece={dropColorRef.current === color ? selectedDropPiece : null}
+        disabled={isLoading || readonly}
+        highlightColor={activeBoardTheme.highlighted}
+        onPiecePress={onPocketPiecePress}
+        onPieceGestureEvent={onPocketGestureEvent}
+        onPieceStateChange={onPocketStateChange}
+      />
+    </View>
+  );
+
+  // Each side's clock sits beside its own edge of the board, outside the pockets
+  const renderClock = (color) => (
+    <View style={[styles.clockRow, getEdgeRowStyle(color)]}>
+      <ChessClock
+        side={color}
+        state={clock.getState()}
+        now={clockOptions.now}
+        tickInterval={clockOptions.tickInterval}
+        lowTime={clock.lowTime}
+        colors={colors}
+        textColors={activeTextColors}
+      />
+    </View>
+  );
+
+  // What each side has taken sits on its own side of the board, counted from where the game
+  // started; pockets already show it in crazyhouse, and the editor has no game to count
+  const showMaterialRows = showMaterial && !isEditor && !pocketCounts;
+  const renderMaterial = (color) => (
+    <View style={[styles.materialRow, getEdgeRowStyle(color)]}>
+      <CapturedPieces
+        board={absoluteBoardRef.current}
+        startFen={moveTreeRef.current.startFen}
+        color={color}
+        pieceSet={pieceSet}
+        pieceSize={Math.max(12, Math.round(currentSquareSize * 0.45))}
+        textColors={activeTextColors}
+      />
+    </View>
+  );
 
   return (
     <GestureHandlerRootView style={styles.container}>
-      <View style={styles.chessboardWrapper}>
-        <View style={styles.outerContainer}>
-          <View style={styles.boardWithLabels}>
+      <View ref={wrapperRef} style={styles.chessboardWrapper}>
+        {clock.times && renderClock(perspective === 'white' ? 'b' : 'w')}
+        {showMaterialRows && renderMaterial(perspective === 'white' ? 'b' : 'w')}
+        {(isEditor || pocketCounts) && renderPocket(perspective === 'white' ? 'b' : 'w')}
+        <Animated.View
+          style={[styles.outerContainer, { transform: [{ translateX: shakeAnim }, { rotate: flipRotation }] }]}
+          pointerEvents={isFlipping ? 'none' : 'auto'}
+          onLayout={measureBoardOffset}
+        >
+          {/* Bottom padding as wide as the bar keeps the squares square */}
+          <View style={[styles.boardWithLabels, { paddingBottom: evalBarSpace }]}>
+            {showFarCoordinates && (
+              <View 
+                style={styles.farFileLabelsRow}
+                importantForAccessibility="no-hide-descendants"
+                accessibilityElementsHidden
+              >
+                <View style={{ width: boardLeftOffset }} />
+                <View style={styles.fileLabels}>
+                  {files.map((file, index) => renderCoordinate(file, `far-file-${index}`, styles.fileLabelItem, true))}
+                </View>
+                <View style={{ width: boardRightOffset }} />
+              </View>
+            )}
             <View style={styles.boardRowContainer}>
+              {showEvalBar && (
+                <EvalBar
+                  evaluation={evaluation}
+                  perspective={perspective}
+                  mode={evalBarMode}
+                  boardTheme={activeBoardTheme}
+                  animate={!reduceMotion}
+                  style={styles.evalBar}
+                />
+              )}
               {showCoordinates && (
-                <View style={styles.rankLabelsWrapper}>
+                <View 
+                  style={styles.rankLabelsWrapper}
+                  importantForAccessibility="no-hide-descendants"
+                  accessibilityElementsHidden
+                >
                   <View style={styles.rankLabels}>
-                    {ranks.map((rank, index) => (
-                      <View key={`rank-${index}`} style={styles.rankLabelItem}>
-                        <Text style={[styles.coordinateText, { color: activeTextColors.subtitleText }]}>
-                          {rank}
-                        </Text>
-                      </View>
-                    ))}
+                    {ranks.map((rank, index) => renderCoordinate(rank, `rank-${index}`, styles.rankLabelItem))}
                   </View>
                 </View>
               )}
               
               <View style={styles.boardWrapper}>
                 <View 
+                  ref={boardContainerRef}
                   style={styles.boardContainer}
                   onLayout={handleBoardLayout}
+                  {...keyboardProps}
+                  {...cursorProps}
                 >
-                  <View style={styles.board}>
-                    {isLoading ? (
-                      Array.from({ length: 8 }, (_, rowIndex) => (
-                        <LoadingBoardRow
-                          key={`loading-row-${rowIndex}`}
-                          rowIndex={rowIndex}
+                  <PanGestureHandler
+                    enabled={allowDrawing && !isLoading}
+                    activateAfterLongPress={400}
+                    onGestureEvent={onDrawGestureEvent}
+                    onHandlerStateChange={onDrawStateChange}
+                  >
+                    <View style={styles.board}>
+                      {isLoading ? (
+                        Array.from({ length: 8 }, (_, rowIndex) => (
+                          <LoadingBoardRow
+                            key={`loading-row-${rowIndex}`}
+                            rowIndex={rowIndex}
+                            perspective={perspective}
+                            boardTheme={activeBoardTheme}
+                            isDarkTheme={isDarkTheme}
+                          />
+                        ))
+                      ) : (
+                        boardArray.map((row, rowIndex) => (
+                          <OptimizedBoardRow
+                            key={`row-${rowIndex}`}
+                            row={row}
+                            rowIndex={rowIndex}
+                            handlers={handlers}
+                            boardState={boardState}
+                            perspective={perspective}
+                            circledSquares={circledSquares}
+                            currentSquareSize={currentSquareSize}
+                            boardTheme={activeBoardTheme}
+                            readonly={readonly}
+                            highlightedSquares={highlightedSquares}
+                            blindfoldMode={blindfoldMode}
+                            hiddenSquares={hiddenSquares}
+                            peekedSquares={peekedSquares}
+                            rotatedColor={rotatedColor}
+                            onBlindSelect={onBlindSelect}
+                            animatingSquares={animatingSquares}
+                            dragSquare={dragState?.square}
+                            dragOverSquare={dragOverSquare}
+                            premoveSquares={premoveSquares}
+                            glyphSquare={currentGlyph?.square}
+                            glyph={currentGlyph?.glyph}
+                            kingSquare={gameStatus?.kingSquare}
+                            kingState={gameStatus?.kingState}
+                            moveIndicatorStyle={moveIndicatorStyle}
+                            captureIndicator={captureIndicator}
+                            pieceSet={pieceSet}
+                            explosion={explosion}
+                            accessibilityHidden={isCursorNavigation}
+                            focusedSquare={showKeyboardCursor ? activeCursorSquare : null}
+                          />
+                        ))
+                      )}
+
+                      {renderedArrows}
+
+                      {renderedAnnotations}
+
+                      {!isLoading && (
+                        <AnimatedPieceLayer
+                          animations={pieceAnimations}
                           perspective={perspective}
-                          boardTheme={activeBoardTheme}
-                          isDarkTheme={isDarkTheme}
+                          squareSize={boardDimensionsRef.current.width / 8}
+                          duration={animationDuration}
+                          easing={animationEasing}
+                          pieceSet={pieceSet}
+                          rotatedColor={rotatedColor}
+                          onComplete={handleAnimationComplete}
                         />
-                      ))
-                    ) : (
-                      boardArray.map((row, rowIndex) => (
-                        <OptimizedBoardRow
-                          key={`row-${rowIndex}`}
-                          row={row}
-                          rowIndex={rowIndex}
-                          handlers={handlers}
-                          boardState={boardState}
+                      )}
+
+                      {showKeyboardCursor && (!!typedMove || !!inputError) && (
+                        <View 
+                          style={[styles.typedMove, inputError && !typedMove && styles.typedMoveError]} 
+                          pointerEvents="none"
+                        >
+                          <Text style={styles.typedMoveText} numberOfLines={1}>
+                            {typedMove || inputError}
+                          </Text>
+                        </View>
+                      )}
+
+                      {boardState.showPromotion && (
+                        <PromotionOverlay 
+                          onSelect={handlePromotionSelect} 
+                          onCancel={handlePromotionCancel}
+                          square={boardState.promotionTo}
                           perspective={perspective}
-                          circledSquares={circledSquares}
-                          currentSquareSize={currentSquareSize}
-                          boardTheme={activeBoardTheme}
-                          readonly={readonly}
-                          highlightedSquares={highlightedSquares}
-                          blindfoldMode={blindfoldMode}
-                          hiddenSquares={hiddenSquares}
-                          onBlindSelect={onBlindSelect}
+                          boardSize={boardDimensionsRef.current.width}
+                          color={boardState.promotionPremove
+                            ? playerColorCode
+                            : getPieceOnSquare(boardState.promotionFrom)?.color || chessRef.current?.turn() || 'w'}
+                          pieceSet={pieceSet}
+                          colors={colors}
+                          textColors={activeTextColors}
+                          backgroundColors={{ cardBackground: colors?.cardBackground || '#FFFFFF' }}
                         />
-                      ))
-                    )}
+                      )}
+                    </View>
+                  </PanGestureHandler>
+                </View>
+              </View>
 
-                    {renderedArrows}
+              {showFarCoordinates && (
+                <View 
+                  style={styles.farRankLabelsWrapper}
+                  importantForAccessibility="no-hide-descendants"
+                  accessibilityElementsHidden
+                >
+                  <View style={styles.rankLabels}>
+                    {ranks.map((rank, index) => renderCoordinate(rank, `far-rank-${index}`, styles.rankLabelItem, true))}
                   </View>
                 </View>
-              </View>
+              )}
             </View>
             
             {showCoordinates && (
-              <View style={styles.fileLabelsRow}>
-                <View style={styles.fileLabelsOffset} />
+              <View 
+                style={styles.fileLabelsRow}
+                importantForAccessibility="no-hide-descendants"
+                accessibilityElementsHidden
+              >
+                <View style={[styles.fileLabelsOffset, { width: boardLeftOffset }]} />
                 <View style={styles.fileLabels}>
-                  {files.map((file, index) => (
-                    <View key={`file-${index}`} style={styles.fileLabelItem}>
-                      <Text style={[styles.coordinateText, { color: activeTextColors.subtitleText }]}>
-                        {file}
-                      </Text>
-                    </View>
-                  ))}
+                  {files.map((file, index) => renderCoordinate(file, `file-${index}`, styles.fileLabelItem))}
                 </View>
+                <View style={{ width: boardRightOffset }} />
               </View>
             )}
           </View>
-        </View>
+        </Animated.View>
+        {(isEditor || pocketCounts) && renderPocket(perspective === 'white' ? 'w' : 'b')}
+        {showMaterialRows && renderMaterial(perspective === 'white' ? 'w' : 'b')}
+        {clock.times && renderClock(perspective === 'white' ? 'w' : 'b')}
+        {showMoveInput && !isEditor && (
+          <MoveInput
+            onSubmit={playMoveText}
+            onChangeText={clearInputError}
+            error={inputError}
+            disabled={isLoading || readonly}
+            colors={colors}
+            textColors={activeTextColors}
+          />
+        )}
+        {isEditor && (
+          <EditorToolbar
+            settings={editorSettings}
+            castlingOptions={editorOptions.castling}
+            enPassantOptions={editorOptions.enPassant}
+            onChange={setEditorSettings}
+            onClear={clearEditorBoard}
+            onStart={resetEditorBoard}
+            colors={colors}
+            textColors={activeTextColors}
+          />
+        )}
+        {/* Above the pockets and outside the clipped board, so a pocket piece shows from the start */}
+        {dragState && (
+          <View
+            style={[styles.dragLayer, { left: boardOffsetRef.current.x, top: boardOffsetRef.current.y }]}
+            pointerEvents="none"
+          >
+            <DraggedPiece
+              piece={dragState.piece}
+              position={dragPosition}
+              squareSize={boardDimensionsRef.current.width / 8}
+              pieceSet={pieceSet}
+              rotated={dragState.piece?.color === rotatedColor}
+            />
+          </View>
+        )}
       </View>
-      
-      {boardState.showPromotion && (
-        <PromotionOverlay 
-          onSelect={handlePromotionSelect} 
-          color={chessRef.current?.turn() || 'w'}
-          colors={colors}
-          textColors={activeTextColors}
-          backgroundColors={{ cardBackground: colors?.cardBackground || '#FFFFFF' }}
-        />
-      )}
     </GestureHandlerRootView>
   );
 });
@@ -797,6 +2737,12 @@ const styles = StyleSheet.create({
     flexDirection: 'column',
     position: 'relative',
   },
+  dragLayer: {
+    position: 'absolute',
+    width: 0,
+    height: 0,
+    zIndex: 30,
+  },
   boardRow: {
     flex: 1,
     flexDirection: 'row',
@@ -822,6 +2768,51 @@ const styles = StyleSheet.create({
     fontSize: RFValue(12),
     fontWeight: '600',
   },
+  typedMove: {
+    position: 'absolute',
+    top: 6,
+    left: 6,
+    maxWidth: '80%',
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderRadius: 6,
+    backgroundColor: 'rgba(0, 0, 0, 0.75)',
+    zIndex: 40,
+  },
+  typedMoveError: {
+    backgroundColor: 'rgba(198, 40, 40, 0.9)',
+  },
+  typedMoveText: {
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  pocketRow: {
+    width: '100%',
+    flexDirection: 'row',
+    marginVertical: 4,
+  },
+  clockRow: {
+    width: '100%',
+  },
+  materialRow: {
+    width: '100%',
+    marginVertical: 2,
+  },
+  rotated: {
+    transform: [{ rotate: '180deg' }],
+  },
+  farFileLabelsRow: {
+    height: 24,
+    flexDirection: 'row',
+  },
+  farRankLabelsWrapper: {
+    width: 24,
+    paddingLeft: 4,
+  },
+  evalBar: {
+    marginRight: EVAL_BAR_GAP,
+  },
 });
 
 export default SmoothChessboardWrapper;
\ No newline at end of file
@@ -0,0 +1,65 @@
+import React, { memo, useEffect, useRef } from 'react';
+import { StyleSheet, Animated } from 'react-native';
+import Piece from './Piece';
+
+// How far the piece floats above the finger, as a share of the square size
+const LIFT_RATIO = 0.25;
+const LIFT_SCALE = 1.15;
+
+// *** PIECE FOLLOWING THE FINGER ***
+const DraggedPiece = memo(({ piece, position, squareSize, pieceSet = 'classic', rotated = false }) => {
+  const scaleAnim = useRef(new Animated.Value(1)).current;
+
+  useEffect(() => {
+    const animation = Animated.spring(scaleAnim, {
+      toValue: LIFT_SCALE,
+      tension: 120,
+      friction: 8,
+      useNativeDriver: false,
+    });
+    animation.start();
+    return () => animation.stop();
+  }, []);
+
+  if (!piece || !squareSize) return null;
+
+  return (
+    <Animated.View
+      pointerEvents="none"
+      style={[
+        styles.draggedPiece,
+        {
+          width: squareSize,
+          height: squareSize,
+          transform: [
+            { translateX: position.x },
+            { translateY: Animated.subtract(position.y, squareSize * LIFT_RATIO) },
+            { scale: scaleAnim }
+          ]
+        }
+      ]}
+    >
+      <Piece pieceType={`${piece.color}${piece.type.toLowerCase()}`} pieceSet={pieceSet} rotated={rotated} />
+    </Animated.View>
+  );
+});
+
+DraggedPiece.displayName = 'DraggedPiece';
+
+const styles = StyleSheet.create({
+  draggedPiece: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: 30,
+    shadowColor: '#000000',
+    shadowOffset: { width: 0, height: 6 },
+    shadowOpacity: 0.35,
+    shadowRadius: 6,
+    elevation: 8,
+  },
+});
+
+export default DraggedPiece;
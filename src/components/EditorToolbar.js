@@ -0,0 +1,147 @@
+import React, { memo, useCallback } from 'react';
+import { View, Text, Pressable, StyleSheet } from 'react-native';
+
+// *** DEFAULT COLORS - for standalone usage ***
+const DEFAULT_COLORS = {
+  borderPrimary: '#E5E7EB',
+  cardBackground: '#FFFFFF',
+  titleText: '#111827',
+  subtitleText: '#6B7280',
+  accent: '#769656'
+};
+
+const CASTLING_LABELS = {
+  K: 'White O-O',
+  Q: 'White O-O-O',
+  k: 'Black O-O',
+  q: 'Black O-O-O'
+};
+
+// *** CHIP - toggle or action ***
+const Chip = memo(({ label, active = false, disabled = false, onPress, colors }) => (
+  <Pressable
+    onPress={onPress}
+    disabled={disabled}
+    accessibilityRole="button"
+    accessibilityState={{ selected: active, disabled }}
+    style={[
+      styles.chip,
+      { borderColor: active ? colors.accent : colors.borderPrimary },
+      active && { backgroundColor: colors.accent },
+      disabled && styles.disabled
+    ]}
+  >
+    <Text style={[styles.chipText, { color: active ? '#FFFFFF' : colors.titleText }]}>
+      {label}
+    </Text>
+  </Pressable>
+));
+
+Chip.displayName = 'Chip';
+
+// *** EDITOR TOOLBAR - side to move, castling, en passant and board actions ***
+const EditorToolbar = memo(({
+  settings,
+  castlingOptions = [],
+  enPassantOptions = [],
+  onChange,
+  onClear,
+  onStart,
+  colors = null,
+  textColors = null
+}) => {
+  const activeColors = { ...DEFAULT_COLORS, ...colors, ...textColors };
+
+  const setTurn = useCallback((turn) => {
+    onChange?.({ ...settings, turn, enPassant: null });
+  }, [onChange, settings]);
+
+  const toggleCastling = useCallback((right) => {
+    const castling = settings.castling.includes(right)
+      ? settings.castling.replace(right, '')
+      : settings.castling + right;
+    onChange?.({ ...settings, castling });
+  }, [onChange, settings]);
+
+  const toggleEnPassant = useCallback((square) => {
+    onChange?.({ ...settings, enPassant: settings.enPassant === square ? null : square });
+  }, [onChange, settings]);
+
+  return (
+    <View style={[styles.toolbar, { backgroundColor: activeColors.cardBackground }]}>
+      <View style={styles.row}>
+        <Chip label="White to move" active={settings.turn === 'w'} onPress={() => setTurn('w')} colors={activeColors} />
+        <Chip label="Black to move" active={settings.turn === 'b'} onPress={() => setTurn('b')} colors={activeColors} />
+      </View>
+
+      <View style={styles.row}>
+        {Object.keys(CASTLING_LABELS).map(right => (
+          <Chip
+            key={right}
+            label={CASTLING_LABELS[right]}
+            active={castlingOptions.includes(right) && settings.castling.includes(right)}
+            disabled={!castlingOptions.includes(right)}
+            onPress={() => toggleCastling(right)}
+            colors={activeColors}
+          />
+        ))}
+      </View>
+
+      {enPassantOptions.length > 0 && (
+        <View style={styles.row}>
+          <Text style={[styles.label, { color: activeColors.subtitleText }]}>En passant</Text>
+          {enPassantOptions.map(square => (
+            <Chip
+              key={square}
+              label={square}
+              active={settings.enPassant === square}
+              onPress={() => toggleEnPassant(square)}
+              colors={activeColors}
+            />
+          ))}
+        </View>
+      )}
+
+      <View style={styles.row}>
+        <Chip label="Clear board" onPress={onClear} colors={activeColors} />
+        <Chip label="Start position" onPress={onStart} colors={activeColors} />
+      </View>
+    </View>
+  );
+});
+
+EditorToolbar.displayName = 'EditorToolbar';
+
+const styles = StyleSheet.create({
+  toolbar: {
+    width: '100%',
+    paddingVertical: 4,
+    borderRadius: 8,
+  },
+  row: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginHorizontal: 4,
+  },
+  chip: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    margin: 3,
+    borderRadius: 14,
+    borderWidth: 1,
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  disabled: {
+    opacity: 0.4,
+  },
+});
+
+export default EditorToolbar;
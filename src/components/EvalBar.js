@@ -0,0 +1,135 @@
+import React, { memo, useEffect, useRef } from 'react';
+import { View, Text, StyleSheet, Animated, Easing } from 'react-native';
+import { getWhiteShare, formatEvaluation, getFavoredColor } from '../evaluation';
+
+// *** DEFAULT COLORS ***
+const DEFAULT_EVAL_COLORS = {
+  evalWhite: '#FFFFFF',
+  evalBlack: '#403D39'
+};
+
+export const EVAL_BAR_WIDTHS = {
+  normal: 18,
+  compact: 6
+};
+
+// *** EVAL BAR - White's share grows from White's side of the board ***
+const EvalBar = memo(({
+  evaluation,
+  perspective = 'white',
+  mode = 'normal',
+  boardTheme = null,
+  animate = true,
+  duration = 300,
+  style = null
+}) => {
+  const share = getWhiteShare(evaluation);
+  const shareAnim = useRef(new Animated.Value(share)).current;
+
+  useEffect(() => {
+    if (!animate) {
+      shareAnim.setValue(share);
+      return;
+    }
+    const animation = Animated.timing(shareAnim, {
+      toValue: share,
+      duration,
+      easing: Easing.out(Easing.cubic),
+      useNativeDriver: false,
+    });
+    animation.start();
+    return () => animation.stop();
+  }, [share, animate, duration]);
+
+  if (mode === 'hidden') return null;
+
+  const whiteColor = boardTheme?.evalWhite || DEFAULT_EVAL_COLORS.evalWhite;
+  const blackColor = boardTheme?.evalBlack || DEFAULT_EVAL_COLORS.evalBlack;
+  const whiteAtBottom = perspective === 'white';
+  const favored = getFavoredColor(evaluation);
+  const label = mode === 'normal' ? formatEvaluation(evaluation) : '';
+  // The score sits at the end of the side it favours
+  const labelAtBottom = favored === 'w' ? whiteAtBottom : !whiteAtBottom;
+
+  return (
+    <View
+      style={[
+        styles.bar,
+        { width: EVAL_BAR_WIDTHS[mode] || EVAL_BAR_WIDTHS.normal, backgroundColor: blackColor },
+        style
+      ]}
+      accessibilityRole="progressbar"
+      accessibilityLabel={label ? `Evaluation ${label}` : 'Evaluation'}
+    >
+      <Animated.View
+        style={[
+          styles.whiteShare,
+          whiteAtBottom ? styles.fromBottom : styles.fromTop,
+          {
+            backgroundColor: whiteColor,
+            height: shareAnim.interpolate({ inputRange: [0, 1], outputRange: ['0%', '100%'] })
+          }
+        ]}
+      />
+      <View style={styles.midline} pointerEvents="none" />
+      {!!label && (
+        <Text
+          numberOfLines={1}
+          adjustsFontSizeToFit
+          style={[
+            styles.label,
+            labelAtBottom ? styles.labelBottom : styles.labelTop,
+            { color: favored === 'w' ? blackColor : whiteColor }
+          ]}
+        >
+          {label}
+        </Text>
+      )}
+    </View>
+  );
+});
+
+EvalBar.displayName = 'EvalBar';
+
+const styles = StyleSheet.create({
+  bar: {
+    alignSelf: 'stretch',
+    borderRadius: 3,
+    overflow: 'hidden',
+  },
+  whiteShare: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+  },
+  fromBottom: {
+    bottom: 0,
+  },
+  fromTop: {
+    top: 0,
+  },
+  midline: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    top: '50%',
+    height: 1,
+    backgroundColor: 'rgba(128, 128, 128, 0.6)',
+  },
+  label: {
+    position: 'absolute',
+    left: 0,
+    right: 0,
+    textAlign: 'center',
+    fontSize: 9,
+    fontWeight: '700',
+  },
+  labelBottom: {
+    bottom: 2,
+  },
+  labelTop: {
+    top: 2,
+  },
+});
+
+export default EvalBar;
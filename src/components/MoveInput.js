@@ -0,0 +1,103 @@
+import React, { memo, useState, useCallback } from 'react';
+import { View, Text, TextInput, StyleSheet } from 'react-native';
+
+// *** DEFAULT COLORS - for standalone usage ***
+const DEFAULT_COLORS = {
+  borderPrimary: '#E5E7EB',
+  cardBackground: '#FFFFFF',
+  titleText: '#111827',
+  subtitleText: '#6B7280',
+  error: '#C62828'
+};
+
+// *** MOVE INPUT - type "Nf3" or "g1f3", or dictate "knight f3", and press Enter ***
+const MoveInput = memo(({
+  onSubmit,
+  onChangeText,
+  error = null,
+  placeholder = 'Type or say a move (Nf3, knight f3)',
+  disabled = false,
+  colors = null,
+  textColors = null,
+  style = null
+}) => {
+  const activeColors = { ...DEFAULT_COLORS, ...colors, ...textColors };
+  const [text, setText] = useState('');
+
+  const handleChange = useCallback((value) => {
+    setText(value);
+    onChangeText?.(value);
+  }, [onChangeText]);
+
+  // A played move clears the field; a rejected one stays so it can be corrected
+  const handleSubmit = useCallback(() => {
+    if (!text.trim()) return;
+    if (onSubmit?.(text)) {
+      setText('');
+    }
+  }, [onSubmit, text]);
+
+  return (
+    <View style={[styles.container, style]}>
+      <TextInput
+        value={text}
+        onChangeText={handleChange}
+        onSubmitEditing={handleSubmit}
+        placeholder={placeholder}
+        placeholderTextColor={activeColors.subtitleText}
+        editable={!disabled}
+        autoCapitalize="none"
+        autoCorrect={false}
+        spellCheck={false}
+        returnKeyType="send"
+        blurOnSubmit={false}
+        accessibilityLabel="Move"
+        accessibilityHint="Type or dictate a move, like Nf3 or knight f3, then press Enter"
+        style={[
+          styles.input,
+          {
+            color: activeColors.titleText,
+            backgroundColor: activeColors.cardBackground,
+            borderColor: error ? activeColors.error : activeColors.borderPrimary
+          },
+          disabled && styles.disabled
+        ]}
+      />
+      {!!error && (
+        <Text
+          style={[styles.error, { color: activeColors.error }]}
+          accessibilityLiveRegion="polite"
+          accessibilityRole="alert"
+        >
+          {error}
+        </Text>
+      )}
+    </View>
+  );
+});
+
+MoveInput.displayName = 'MoveInput';
+
+const styles = StyleSheet.create({
+  container: {
+    width: '100%',
+    paddingVertical: 4,
+  },
+  input: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    fontSize: 15,
+  },
+  error: {
+    fontSize: 13,
+    marginTop: 4,
+    marginHorizontal: 4,
+  },
+  disabled: {
+    opacity: 0.4,
+  },
+});
+
+export default MoveInput;
@@ -0,0 +1,76 @@
+import React, { memo } from 'react';
+import { View, Image, StyleSheet } from 'react-native';
+import { UNICODE_SET, GEOMETRIC_SET } from './VectorPieceSets';
+
+// *** PIECE IMAGES - Cache references ***
+const CLASSIC_SET = {
+  br: require('../../assets/br.png'),
+  bp: require('../../assets/bp.png'),
+  bn: require('../../assets/bn.png'),
+  bb: require('../../assets/bb.png'),
+  bq: require('../../assets/bq.png'),
+  bk: require('../../assets/bk.png'),
+  wr: require('../../assets/wr.png'),
+  wp: require('../../assets/wp.png'),
+  wn: require('../../assets/wn.png'),
+  wb: require('../../assets/wb.png'),
+  wq: require('../../assets/wq.png'),
+  wk: require('../../assets/wk.png'),
+};
+
+// *** BUILT-IN SETS ***
+export const PIECE_SETS = {
+  classic: CLASSIC_SET,
+  unicode: UNICODE_SET,
+  geometric: GEOMETRIC_SET
+};
+
+// Named sets resolve to their map; custom maps fall back to classic for missing codes
+export const resolvePieceSet = (pieceSet) => {
+  if (!pieceSet) return CLASSIC_SET;
+  if (typeof pieceSet === 'string') return PIECE_SETS[pieceSet] || CLASSIC_SET;
+  return pieceSet;
+};
+
+const isImageSource = (entry) => (
+  typeof entry === 'number' ||
+  (typeof entry === 'object' && entry !== null && typeof entry.uri === 'string')
+);
+
+// *** PIECE - image source, SVG component or render function; `rotated` turns it upside down ***
+const Piece = memo(({ pieceType, pieceSet = 'classic', rotated = false, style = null }) => {
+  const entry = resolvePieceSet(pieceSet)[pieceType] ?? CLASSIC_SET[pieceType];
+  if (entry == null) return null;
+
+  if (isImageSource(entry)) {
+    return (
+      <Image
+        style={[styles.piece, rotated && styles.rotated, style]}
+        source={entry}
+        resizeMode="contain"
+      />
+    );
+  }
+
+  // Components and render functions both receive the size and the piece code
+  const PieceGraphic = entry;
+  return (
+    <View style={[styles.piece, rotated && styles.rotated, style]} pointerEvents="none">
+      <PieceGraphic width="100%" height="100%" pieceType={pieceType} />
+    </View>
+  );
+});
+
+Piece.displayName = 'Piece';
+
+const styles = StyleSheet.create({
+  piece: {
+    width: '85%',
+    height: '85%',
+  },
+  rotated: {
+    transform: [{ rotate: '180deg' }],
+  },
+});
+
+export default Piece;
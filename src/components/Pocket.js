@@ -0,0 +1,162 @@
+import React, { memo, useCallback, useRef } from 'react';
+import { View, Text, StyleSheet, Pressable } from 'react-native';
+import { PanGestureHandler } from 'react-native-gesture-handler';
+import Piece from './Piece';
+
+// Lichess order: cheapest piece first
+const POCKET_ORDER = ['p', 'n', 'b', 'r', 'q'];
+
+// *** POCKET SLOT - one piece type with its count ***
+const PocketSlot = memo(({
+  color,
+  type,
+  count,
+  pieceSet,
+  squareSize,
+  isSelected,
+  disabled,
+  highlightColor,
+  badgeColor,
+  onPiecePress,
+  onPieceGestureEvent,
+  onPieceStateChange
+}) => {
+  const slotRef = useRef(null);
+  // A null count is an endless supply, as in the editor's spare pieces
+  const isEmpty = count !== null && count <= 0;
+  const isInteractive = !disabled && !isEmpty;
+
+  const handlePress = useCallback(() => {
+    onPiecePress?.(color, type);
+  }, [onPiecePress, color, type]);
+
+  const handleGestureEvent = useCallback(({ nativeEvent }) => {
+    onPieceGestureEvent?.(nativeEvent, color, type);
+  }, [onPieceGestureEvent, color, type]);
+
+  // The slot view is handed over so the board can find where the drag started
+  const handleStateChange = useCallback(({ nativeEvent }) => {
+    onPieceStateChange?.(nativeEvent, color, type, slotRef.current);
+  }, [onPieceStateChange, color, type]);
+
+  return (
+    <Pressable
+      onPress={handlePress}
+      disabled={!isInteractive || !onPiecePress}
+      style={[
+        styles.slot,
+        { width: squareSize, height: squareSize },
+        isSelected && { backgroundColor: highlightColor }
+      ]}
+    >
+      <PanGestureHandler
+        enabled={isInteractive && !!onPieceStateChange}
+        onGestureEvent={handleGestureEvent}
+        onHandlerStateChange={handleStateChange}
+      >
+        <View ref={slotRef} style={[styles.pieceContainer, isEmpty && styles.empty]}>
+          <Piece pieceType={`${color}${type}`} pieceSet={pieceSet} />
+        </View>
+      </PanGestureHandler>
+
+      {count !== null && !isEmpty && (
+        <View
+          pointerEvents="none"
+          style={[
+            styles.badge,
+            {
+              minWidth: squareSize * 0.38,
+              height: squareSize * 0.38,
+              borderRadius: squareSize * 0.19,
+              backgroundColor: badgeColor
+            }
+          ]}
+        >
+          <Text style={[styles.badgeText, { fontSize: squareSize * 0.24 }]}>
+            {count}
+          </Text>
+        </View>
+      )}
+    </Pressable>
+  );
+});
+
+PocketSlot.displayName = 'PocketSlot';
+
+// *** POCKET - pieces in hand of one side, or spare pieces without counts ***
+const Pocket = memo(({
+  color = 'w',
+  pieces = null,
+  types = POCKET_ORDER,
+  pieceSet = 'classic',
+  squareSize = 40,
+  selectedPiece = null,
+  disabled = false,
+  highlightColor = '#ffeb3b',
+  badgeColor = '#C62828',
+  style = null,
+  onPiecePress,
+  onPieceGestureEvent,
+  onPieceStateChange
+}) => {
+  if (!squareSize) return null;
+
+  return (
+    <View style={[styles.pocket, style]}>
+      {types.map(type => (
+        <PocketSlot
+          key={type}
+          color={color}
+          type={type}
+          count={pieces ? pieces[type] || 0 : null}
+          pieceSet={pieceSet}
+          squareSize={squareSize}
+          isSelected={selectedPiece === type}
+          disabled={disabled}
+          highlightColor={highlightColor}
+          badgeColor={badgeColor}
+          onPiecePress={onPiecePress}
+          onPieceGestureEvent={onPieceGestureEvent}
+          onPieceStateChange={onPieceStateChange}
+        />
+      ))}
+    </View>
+  );
+});
+
+Pocket.displayName = 'Pocket';
+
+const styles = StyleSheet.create({
+  pocket: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  slot: {
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderRadius: 4,
+  },
+  pieceContainer: {
+    width: '100%',
+    height: '100%',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  empty: {
+    opacity: 0.25,
+  },
+  badge: {
+    position: 'absolute',
+    top: 0,
+    right: 0,
+    paddingHorizontal: 3,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  badgeText: {
+    color: '#FFFFFF',
+    fontWeight: '700',
+  },
+});
+
+export default Pocket;
@@ -1,6 +1,6 @@
 import React, { memo, useMemo, useCallback, useEffect, useRef } from 'react';
-import { View, TouchableOpacity, StyleSheet, Text, Animated } from 'react-native';
-import { MaterialCommunityIcons } from '@expo/vector-icons';
+import { View, TouchableOpacity, Pressable, StyleSheet, Text, Animated } from 'react-native';
+import Piece from './Piece';
 
 // *** DEFAULT COLORS - for standalone usage ***
 const DEFAULT_COLORS = {
@@ -11,20 +11,37 @@ const DEFAULT_COLORS = {
 };
 
 // *** PIECE CONSTANTS (never change) ***
-const PIECE_ICONS = {
-  'q': { icon: 'chess-queen', label: 'Queen' },
-  'r': { icon: 'chess-rook', label: 'Rook' },
-  'b': { icon: 'chess-bishop', label: 'Bishop' },
-  'n': { icon: 'chess-knight', label: 'Knight' }
+const PIECE_LABELS = {
+  'q': 'Queen',
+  'r': 'Rook',
+  'b': 'Bishop',
+  'n': 'Knight'
 };
 
 const PIECE_ORDER = ['q', 'r', 'b', 'n']; // Stable order
+const ANCHORED_ORDER = ['q', 'n', 'r', 'b']; // Closest to the promotion square first
+
+// Column and starting edge of the picker for a promotion square
+const getAnchorLayout = (square, perspective, boardSize) => {
+  const file = square.charCodeAt(0) - 97;
+  const rank = parseInt(square[1]);
+  const squareSize = boardSize / 8;
+  const col = perspective === 'white' ? file : 7 - file;
+  const row = perspective === 'white' ? 8 - rank : rank - 1;
+
+  return {
+    squareSize,
+    left: col * squareSize,
+    fromTop: row === 0
+  };
+};
 
 // *** OPTION COMPONENT - Memoized separately ***
 const PromotionOption = memo(({ 
   piece, 
-  pieceInfo, 
+  label, 
   color, 
+  pieceSet,
   onSelect, 
   borderColor 
 }) => {
@@ -45,7 +62,6 @@ const PromotionOption = memo(({
     }
   ], [color, borderColor]);
 
-  const iconColor = color === 'w' ? 'white' : 'black';
   const labelColor = color === 'w' ? 'white' : 'black';
 
   return (
@@ -54,13 +70,9 @@ const PromotionOption = memo(({
       style={optionStyle}
       activeOpacity={0.8}
     >
-      <MaterialCommunityIcons
-        name={pieceInfo.icon}
-        size={48}
-        color={iconColor}
-      />
+      <Piece pieceType={`${color}${piece}`} pieceSet={pieceSet} style={styles.optionPiece} />
       <Text style={[styles.optionLabel, { color: labelColor }]}>
-        {pieceInfo.label}
+        {label}
       </Text>
     </TouchableOpacity>
   );
@@ -68,10 +80,42 @@ const PromotionOption = memo(({
 
 PromotionOption.displayName = 'PromotionOption';
 
+// *** ANCHORED PICKER CELL - one square of the vertical column ***
+const AnchoredOption = memo(({ piece, color, pieceSet, onSelect, size }) => {
+  const handlePress = useCallback(() => {
+    onSelect(piece);
+  }, [onSelect, piece]);
+
+  return (
+    <Pressable
+      onPress={handlePress}
+      accessibilityRole="button"
+      accessibilityLabel={`Promote to ${PIECE_LABELS[piece]}`}
+      style={({ pressed }) => [
+        styles.anchoredOption,
+        { width: size, height: size },
+        pressed && styles.anchoredOptionPressed
+      ]}
+    >
+      <View style={[styles.anchoredDisc, { borderRadius: size / 2 }]}>
+        <Piece pieceType={`${color}${piece}`} pieceSet={pieceSet} />
+      </View>
+    </Pressable>
+  );
+});
+
+AnchoredOption.displayName = 'AnchoredOption';
+
 // *** MAIN COMPONENT - STANDALONE VERSION ***
 const PromotionOverlay = memo(({
   onSelect,
   color,
+  pieceSet = 'classic',
+  // Anchored picker: drawn over the promotion file when the square and board size are known
+  square = null,
+  perspective = 'white',
+  boardSize = 0,
+  onCancel = null,
   // 🎯 NEW PROPS - Accept colors directly
   colors = null,
   textColors = null,
@@ -131,20 +175,52 @@ const PromotionOverlay = memo(({
   // *** RENDER OPTIONS - Memoized ***
   const renderOptions = useMemo(() => {
     return PIECE_ORDER.map(piece => {
-      const pieceInfo = PIECE_ICONS[piece];
-      
       return (
         <PromotionOption
           key={piece}
           piece={piece}
-          pieceInfo={pieceInfo}
+          label={PIECE_LABELS[piece]}
           color={color}
+          pieceSet={pieceSet}
           onSelect={onSelect}
           borderColor={activeColors.borderPrimary}
         />
       );
     });
-  }, [color, onSelect, activeColors.borderPrimary]);
+  }, [color, pieceSet, onSelect, activeColors.borderPrimary]);
+
+  if (square && boardSize > 0) {
+    const { squareSize, left, fromTop } = getAnchorLayout(square, perspective, boardSize);
+
+    return (
+      <Animated.View style={[styles.anchoredOverlay, { opacity: opacityAnim }]}>
+        <Pressable 
+          style={styles.anchoredBackdrop} 
+          onPress={onCancel}
+          accessibilityRole="button"
+          accessibilityLabel="Cancel promotion"
+        />
+        <Animated.View
+          style={[
+            styles.anchoredColumn,
+            { left, width: squareSize, transform: [{ scale: scaleAnim }] },
+            fromTop ? { top: 0 } : { bottom: 0, flexDirection: 'column-reverse' }
+          ]}
+        >
+          {ANCHORED_ORDER.map(piece => (
+            <AnchoredOption
+              key={piece}
+              piece={piece}
+              color={color}
+              pieceSet={pieceSet}
+              onSelect={onSelect}
+              size={squareSize}
+            />
+          ))}
+        </Animated.View>
+      </Animated.View>
+    );
+  }
 
   return (
     <Animated.View
@@ -169,6 +245,11 @@ const PromotionOverlay = memo(({
   // *** CUSTOM EQUALITY FUNCTION ***
   return (
     prevProps.color === nextProps.color &&
+    prevProps.pieceSet === nextProps.pieceSet &&
+    prevProps.square === nextProps.square &&
+    prevProps.perspective === nextProps.perspective &&
+    prevProps.boardSize === nextProps.boardSize &&
+    prevProps.onCancel === nextProps.onCancel &&
     prevProps.onSelect === nextProps.onSelect &&
     prevProps.colors === nextProps.colors &&
     prevProps.textColors === nextProps.textColors &&
@@ -188,6 +269,46 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     zIndex: 1000,
   },
+  anchoredOverlay: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    zIndex: 1000,
+  },
+  anchoredBackdrop: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0, 0, 0, 0.45)',
+  },
+  anchoredColumn: {
+    position: 'absolute',
+    flexDirection: 'column',
+    backgroundColor: 'rgba(255, 255, 255, 0.92)',
+    shadowColor: '#000000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.35,
+    shadowRadius: 8,
+    elevation: 10,
+  },
+  anchoredOption: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  anchoredOptionPressed: {
+    backgroundColor: 'rgba(232, 130, 0, 0.85)',
+  },
+  anchoredDisc: {
+    width: '92%',
+    height: '92%',
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: 'rgba(176, 176, 176, 0.5)',
+  },
   promotionCard: {
     borderRadius: 20,
     padding: 24,
@@ -216,6 +337,10 @@ const styles = StyleSheet.create({
     width: 90,
     height: 90,
   },
+  optionPiece: {
+    width: 48,
+    height: 48,
+  },
   optionLabel: {
     marginTop: 6,
     fontSize: 11,
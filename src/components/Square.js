@@ -1,23 +1,11 @@
 import React, { memo, useMemo, useCallback, useRef, useEffect } from 'react';
-import { View, StyleSheet, Image, Pressable, Animated } from 'react-native';
+import { View, Text, StyleSheet, Pressable, Animated } from 'react-native';
 import { PanGestureHandler } from 'react-native-gesture-handler';
+import Svg, { Defs, RadialGradient, Stop, Rect, Polygon } from 'react-native-svg';
 import { MaterialCommunityIcons } from '@expo/vector-icons';
-
-// *** PIECE IMAGES - Cache references ***
-const PIECES = {
-  br: require('../../assets/br.png'),
-  bp: require('../../assets/bp.png'),
-  bn: require('../../assets/bn.png'),
-  bb: require('../../assets/bb.png'),
-  bq: require('../../assets/bq.png'),
-  bk: require('../../assets/bk.png'),
-  wr: require('../../assets/wr.png'),
-  wp: require('../../assets/wp.png'),
-  wn: require('../../assets/wn.png'),
-  wb: require('../../assets/wb.png'),
-  wq: require('../../assets/wq.png'),
-  wk: require('../../assets/wk.png'),
-};
+import { GLYPH_COLORS } from '../pgn';
+import { describeSquare } from '../accessibility';
+import Piece from './Piece';
 
 // *** DEFAULT BOARD THEME ***
 const DEFAULT_BOARD_THEME = {
@@ -30,7 +18,16 @@ const DEFAULT_BOARD_THEME = {
   hintBorder: '#FF7F50',
   hintGlow: 'rgba(255, 127, 80, 0.7)',
   hintLightBg: '#FFEFD5',
-  hintDarkBg: '#FF8C69'
+  hintDarkBg: '#FF8C69',
+  dragOver: 'rgba(255, 255, 255, 0.65)',
+  premove: 'rgba(20, 30, 85, 0.5)',
+  captureRing: 'rgba(0, 0, 0, 0.3)',
+  moveTint: 'rgba(20, 85, 30, 0.35)',
+  check: 'rgba(255, 0, 0, 0.9)',
+  checkmate: '#C62828',
+  stalemate: '#616161',
+  explosion: 'rgba(255, 112, 0, 0.85)',
+  focus: '#1E88E5'
 };
 
 // *** CACHED STYLES FOR COMMON PATTERNS ***
@@ -267,30 +264,142 @@ const CircleIndicator = memo(() => {
 
 CircleIndicator.displayName = 'CircleIndicator';
 
-// *** STATIC PIECE IMAGE COMPONENT ***
-const PieceImage = memo(({ pieceType }) => {
-  const pieceSource = PIECES[pieceType];
-  if (!pieceSource) return null;
+// *** CAPTURE TARGET INDICATORS ***
+const CaptureRing = memo(({ color, squareSize }) => (
+  <View style={styles.dotContainer} pointerEvents="none">
+    <View 
+      style={[
+        styles.captureRing, 
+        { borderColor: color, borderWidth: Math.max((squareSize || 40) * 0.08, 3) }
+      ]} 
+    />
+  </View>
+));
+
+CaptureRing.displayName = 'CaptureRing';
+
+const CaptureCorners = memo(({ color }) => (
+  <View style={styles.dotContainer} pointerEvents="none">
+    <Svg width="100%" height="100%" viewBox="0 0 100 100">
+      <Polygon points="0,0 24,0 0,24" fill={color} />
+      <Polygon points="100,0 76,0 100,24" fill={color} />
+      <Polygon points="0,100 24,100 0,76" fill={color} />
+      <Polygon points="100,100 76,100 100,76" fill={color} />
+    </Svg>
+  </View>
+));
+
+CaptureCorners.displayName = 'CaptureCorners';
+
+// *** CHECK GLOW ON THE KING SQUARE ***
+const CheckGlow = memo(({ square, color }) => (
+  <View style={styles.overlay} pointerEvents="none">
+    <Svg width="100%" height="100%" viewBox="0 0 100 100">
+      <Defs>
+        <RadialGradient id={`check-${square}`} cx="50" cy="50" r="50" gradientUnits="userSpaceOnUse">
+          <Stop offset="0" stopColor={color} stopOpacity="1" />
+          <Stop offset="0.55" stopColor={color} stopOpacity="0.6" />
+          <Stop offset="1" stopColor={color} stopOpacity="0" />
+        </RadialGradient>
+      </Defs>
+      <Rect x="0" y="0" width="100" height="100" fill={`url(#check-${square})`} />
+    </Svg>
+  </View>
+));
+
+CheckGlow.displayName = 'CheckGlow';
+
+// *** ATOMIC EXPLOSION - a burst that grows and fades over the blast area ***
+const ExplosionBurst = memo(({ color }) => {
+  const progress = useRef(new Animated.Value(0)).current;
+
+  useEffect(() => {
+    Animated.timing(progress, {
+      toValue: 1,
+      duration: 550,
+      useNativeDriver: true,
+    }).start();
+  }, []);
 
   return (
-    <Image
-      style={styles.pieceImage}
-      source={pieceSource}
-      resizeMode="contain"
+    <Animated.View
+      pointerEvents="none"
+      style={[
+        styles.explosion,
+        {
+          backgroundColor: color,
+          opacity: progress.interpolate({ inputRange: [0, 0.3, 1], outputRange: [0, 1, 0] }),
+          transform: [{ scale: progress.interpolate({ inputRange: [0, 1], outputRange: [0.3, 1.3] }) }]
+        }
+      ]}
     />
   );
 });
 
-PieceImage.displayName = 'PieceImage';
+ExplosionBurst.displayName = 'ExplosionBurst';
+
+// *** GAME OVER BADGE ***
+const KingStateBadge = memo(({ kingState, color, squareSize }) => {
+  const size = Math.max((squareSize || 40) * 0.38, 14);
+
+  return (
+    <View 
+      style={[
+        styles.kingStateBadge,
+        {
+          width: size,
+          height: size,
+          borderRadius: size / 2,
+          backgroundColor: color
+        }
+      ]}
+      pointerEvents="none"
+    >
+      <MaterialCommunityIcons 
+        name={kingState === 'checkmate' ? 'pound' : 'equal'} 
+        size={size * 0.7} 
+        color="#FFFFFF" 
+      />
+    </View>
+  );
+});
+
+KingStateBadge.displayName = 'KingStateBadge';
+
+// *** MOVE ANNOTATION BADGE ***
+const GlyphBadge = memo(({ glyph, squareSize }) => {
+  const size = Math.max((squareSize || 40) * 0.42, 14);
+
+  return (
+    <View 
+      style={[
+        styles.glyphBadge,
+        {
+          width: size,
+          height: size,
+          borderRadius: size / 2,
+          backgroundColor: GLYPH_COLORS[glyph] || GLYPH_COLORS['!']
+        }
+      ]}
+      pointerEvents="none"
+    >
+      <Text style={[styles.glyphText, { fontSize: size * 0.55 }]} numberOfLines={1}>
+        {glyph}
+      </Text>
+    </View>
+  );
+});
+
+GlyphBadge.displayName = 'GlyphBadge';
 
 // *** PIECE COMPONENT - Optimized ***
-const PieceComponent = memo(({ piece, onGestureEvent, onHandlerStateChange, onPress, readonly }) => {
+const PieceComponent = memo(({ piece, pieceSet, rotated, onGestureEvent, onHandlerStateChange, readonly }) => {
   const pieceType = `${piece.color}${piece.type.toLowerCase()}`;
 
   if (readonly) {
     return (
       <View style={styles.pieceContainer}>
-        <PieceImage pieceType={pieceType} />
+        <Piece pieceType={pieceType} pieceSet={pieceSet} rotated={rotated} />
       </View>
     );
   }
@@ -299,10 +408,9 @@ const PieceComponent = memo(({ piece, onGestureEvent, onHandlerStateChange, onPr
     <PanGestureHandler
       onGestureEvent={onGestureEvent}
       onHandlerStateChange={onHandlerStateChange}
-      onActivated={onPress}
     >
       <View style={styles.pieceContainer}>
-        <PieceImage pieceType={pieceType} />
+        <Piece pieceType={pieceType} pieceSet={pieceSet} rotated={rotated} />
       </View>
     </PanGestureHandler>
   );
@@ -333,6 +441,18 @@ const Square = memo(({
   customHighlightColor = null, // Custom highlight color for this square
   showToken = false, // Show token instead of piece (blindfold mode)
   onBlindSelect = null, // Callback for blind square selection
+  hidePiece = false, // Piece is being drawn by the animation or drag layer
+  isDragOver = false, // A dragged piece is hovering over this square
+  isPremove = false, // Square is part of a queued premove
+  glyph = null, // Move annotation (!, ?, !! ...) for the move that landed here
+  kingState = null, // 'check', 'checkmate' or 'stalemate' for the king on this square
+  isCapture = false, // Moving here captures (en passant included)
+  moveIndicatorStyle = 'dots', // 'dots', 'rings', 'tint' or 'none'
+  captureIndicator = 'ring', // 'ring' or 'corners' for capture targets
+  pieceSet = 'classic', // Built-in set name or custom piece map
+  explosionId = 0, // Non-zero while an atomic capture clears this square
+  isFocused = false, // Keyboard cursor is on this square
+  isPieceRotated = false, // Piece faces the player across the table (tabletop layout)
 }) => {
   
   const activeTheme = boardTheme || DEFAULT_BOARD_THEME;
@@ -404,6 +524,10 @@ const Square = memo(({
     return styles;
   }, [activeTheme, isHighlighted, isLastMoveFrom, isLastMoveTo, isMovePossible, readonly]);
 
+  // Which marker the target square gets, if any
+  const moveIndicator = isMovePossible && !readonly ? moveIndicatorStyle : 'none';
+  const showCaptureMark = isCapture && (moveIndicator === 'dots' || moveIndicator === 'rings');
+
   // *** STABLE CALLBACKS ***
   const handlePress = useCallback(() => {
     // NEW: If in blind mode with callback, use that for squares with pieces
@@ -427,9 +551,29 @@ const Square = memo(({
     [onHandlerStateChange, square]
   );
 
+  // *** SCREEN READER DESCRIPTION ***
+  const accessibilityLabel = useMemo(() => describeSquare({
+    square,
+    piece,
+    hidden: shouldShowToken,
+    selected: isHighlighted && !readonly,
+    legalTarget: isMovePossible && !readonly,
+    capture: isCapture,
+    lastMove: isLastMoveFrom ? 'from' : isLastMoveTo ? 'to' : null,
+    kingState,
+    premove: isPremove
+  }), [square, piece, shouldShowToken, isHighlighted, isMovePossible, isCapture, isLastMoveFrom, isLastMoveTo, kingState, isPremove, readonly]);
+
   // *** OPTIMIZED RENDER ***
   const SquareWrapper = readonly ? View : Pressable;
-  const wrapperProps = readonly ? {} : { onPress: handlePress };
+  const wrapperProps = readonly
+    ? { accessible: true, accessibilityLabel }
+    : {
+      onPress: handlePress,
+      accessibilityRole: 'button',
+      accessibilityLabel,
+      accessibilityState: { selected: !!isHighlighted }
+    };
 
   return (
     <SquareWrapper 
@@ -449,17 +593,46 @@ const Square = memo(({
       {overlayStyles.highlight && (
         <View style={[styles.overlay, overlayStyles.highlight]} />
       )}
+      {(kingState === 'check' || kingState === 'checkmate') && (
+        <CheckGlow square={square} color={activeTheme.check || DEFAULT_BOARD_THEME.check} />
+      )}
+      {moveIndicator === 'tint' && (
+        <View 
+          style={[
+            styles.overlay, 
+            { backgroundColor: activeTheme.moveTint || DEFAULT_BOARD_THEME.moveTint }
+          ]} 
+        />
+      )}
+      {isPremove && (
+        <View 
+          style={[
+            styles.overlay, 
+            { backgroundColor: activeTheme.premove || DEFAULT_BOARD_THEME.premove }
+          ]} 
+        />
+      )}
+      {isDragOver && !readonly && (
+        <View 
+          style={[
+            styles.overlay, 
+            styles.dragOver, 
+            { borderColor: activeTheme.dragOver || DEFAULT_BOARD_THEME.dragOver }
+          ]} 
+        />
+      )}
       
       {/* UPDATED: Render token only for squares with pieces, otherwise show piece normally */}
       {shouldShowToken ? (
         <TokenComponent />
       ) : (
-        piece && (
+        piece && !hidePiece && (
           <PieceComponent
             piece={piece}
+            pieceSet={pieceSet}
+            rotated={isPieceRotated}
             onGestureEvent={handleGestureEvent}
             onHandlerStateChange={handleHandlerStateChange}
-            onPress={handlePress}
             readonly={readonly}
           />
         )
@@ -476,12 +649,61 @@ const Square = memo(({
         />
       )}
       
+      {/* Checkmate / stalemate badge */}
+      {(kingState === 'checkmate' || kingState === 'stalemate') && (
+        <KingStateBadge 
+          kingState={kingState} 
+          color={activeTheme[kingState] || DEFAULT_BOARD_THEME[kingState]} 
+          squareSize={currentSquareSize} 
+        />
+      )}
+      
+      {/* Atomic blast */}
+      {explosionId > 0 && (
+        <ExplosionBurst 
+          key={explosionId} 
+          color={activeTheme.explosion || DEFAULT_BOARD_THEME.explosion} 
+        />
+      )}
+      
+      {/* Move annotation badge */}
+      {glyph && <GlyphBadge glyph={glyph} squareSize={currentSquareSize} />}
+      
       {/* Move dot */}
-      {overlayStyles.dot && (
+      {moveIndicator === 'dots' && !isCapture && overlayStyles.dot && (
         <View style={styles.dotContainer}>
           <View style={overlayStyles.dot} />
         </View>
       )}
+      {moveIndicator === 'rings' && !isCapture && (
+        <View style={styles.dotContainer}>
+          <View style={[styles.moveRing, { borderColor: activeTheme.dot || DEFAULT_BOARD_THEME.dot }]} />
+        </View>
+      )}
+      
+      {/* Keyboard cursor */}
+      {isFocused && (
+        <View 
+          style={[
+            styles.overlay, 
+            styles.focusRing, 
+            { borderColor: activeTheme.focus || DEFAULT_BOARD_THEME.focus }
+          ]} 
+          pointerEvents="none"
+        />
+      )}
+      
+      {/* Capture marker - drawn around the piece so it is not covered */}
+      {showCaptureMark && (
+        captureIndicator === 'corners' ? (
+          <CaptureCorners color={activeTheme.captureRing || DEFAULT_BOARD_THEME.captureRing} />
+        ) : (
+          <CaptureRing 
+            color={activeTheme.captureRing || DEFAULT_BOARD_THEME.captureRing} 
+            squareSize={currentSquareSize} 
+          />
+        )
+      )}
     </SquareWrapper>
   );
 }, (prevProps, nextProps) => {
@@ -504,7 +726,18 @@ const Square = memo(({
     prevProps.isHintSquare !== nextProps.isHintSquare ||
     prevProps.isCircled !== nextProps.isCircled ||
     prevProps.customHighlightColor !== nextProps.customHighlightColor ||
-    prevProps.showToken !== nextProps.showToken // UPDATED
+    prevProps.showToken !== nextProps.showToken || // UPDATED
+    prevProps.hidePiece !== nextProps.hidePiece ||
+    prevProps.isDragOver !== nextProps.isDragOver ||
+    prevProps.isPremove !== nextProps.isPremove ||
+    prevProps.glyph !== nextProps.glyph ||
+    prevProps.kingState !== nextProps.kingState ||
+    prevProps.isCapture !== nextProps.isCapture ||
+    prevProps.moveIndicatorStyle !== nextProps.moveIndicatorStyle ||
+    prevProps.captureIndicator !== nextProps.captureIndicator ||
+    prevProps.explosionId !== nextProps.explosionId ||
+    prevProps.isFocused !== nextProps.isFocused ||
+    prevProps.isPieceRotated !== nextProps.isPieceRotated
   ) {
     return false;
   }
@@ -515,7 +748,8 @@ const Square = memo(({
     prevProps.col !== nextProps.col ||
     prevProps.square !== nextProps.square ||
     prevProps.readonly !== nextProps.readonly ||
-    prevProps.boardTheme !== nextProps.boardTheme
+    prevProps.boardTheme !== nextProps.boardTheme ||
+    prevProps.pieceSet !== nextProps.pieceSet
   ) {
     return false;
   }
@@ -551,6 +785,22 @@ const styles = StyleSheet.create({
     bottom: 0,
     zIndex: 1,
   },
+  explosion: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    borderRadius: 1000,
+  },
+  dragOver: {
+    borderWidth: 3,
+    zIndex: 2,
+  },
+  focusRing: {
+    borderWidth: 3,
+    zIndex: 14,
+  },
   pieceContainer: {
     position: 'absolute',
     width: '100%',
@@ -559,10 +809,6 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     zIndex: 5,
   },
-  pieceImage: {
-    width: '85%',
-    height: '85%',
-  },
   dotContainer: {
     position: 'absolute',
     top: 0,
@@ -573,6 +819,17 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     zIndex: 3,
   },
+  captureRing: {
+    width: '100%',
+    height: '100%',
+    borderRadius: 1000,
+  },
+  moveRing: {
+    width: '34%',
+    height: '34%',
+    borderRadius: 100,
+    borderWidth: 3,
+  },
   hintIndicator: {
     position: 'absolute',
     top: '5%',
@@ -618,6 +875,37 @@ const styles = StyleSheet.create({
     backgroundColor: 'rgba(0, 230, 118, 0.05)',
   },
   
+  glyphBadge: {
+    position: 'absolute',
+    top: '2%',
+    right: '2%',
+    zIndex: 13,
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.9)',
+    shadowColor: '#000000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.3,
+    shadowRadius: 2,
+    elevation: 3,
+  },
+  kingStateBadge: {
+    position: 'absolute',
+    top: '2%',
+    left: '2%',
+    zIndex: 13,
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: 'rgba(255, 255, 255, 0.9)',
+    elevation: 3,
+  },
+  glyphText: {
+    color: '#FFFFFF',
+    fontWeight: 'bold',
+  },
+  
   // *** TOKEN STYLES ***
   tokenContainer: {
     position: 'absolute',
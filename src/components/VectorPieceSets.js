@@ -0,0 +1,110 @@
+import React, { memo } from 'react';
+import Svg, { Text as SvgText, Circle, Rect, Path, Polygon, G } from 'react-native-svg';
+
+const PIECE_CODES = ['wk', 'wq', 'wr', 'wb', 'wn', 'wp', 'bk', 'bq', 'br', 'bb', 'bn', 'bp'];
+
+const PIECE_PALETTE = {
+  w: { fill: '#FAFAFA', stroke: '#1A1A1A', detail: '#1A1A1A' },
+  b: { fill: '#262626', stroke: '#000000', detail: '#E0E0E0' }
+};
+
+const buildSet = (render) => PIECE_CODES.reduce((set, code) => {
+  const Piece = memo(({ width = '100%', height = '100%' }) => render(code[0], code[1], width, height));
+  Piece.displayName = `VectorPiece(${code})`;
+  set[code] = Piece;
+  return set;
+}, {});
+
+// ============================================================================
+// UNICODE SET - Chess glyphs drawn as SVG text
+// ============================================================================
+// The solid glyphs are used for both sides; U+FE0E keeps ♟ from turning into an emoji
+const UNICODE_GLYPHS = {
+  k: '♚︎',
+  q: '♛︎',
+  r: '♜︎',
+  b: '♝︎',
+  n: '♞︎',
+  p: '♟︎'
+};
+
+export const UNICODE_SET = buildSet((color, type, width, height) => {
+  const palette = PIECE_PALETTE[color];
+  return (
+    <Svg width={width} height={height} viewBox="0 0 100 100">
+      <SvgText
+        x="50"
+        y="84"
+        fontSize="88"
+        textAnchor="middle"
+        fill={palette.fill}
+        stroke={palette.stroke}
+        strokeWidth="3"
+      >
+        {UNICODE_GLYPHS[type]}
+      </SvgText>
+    </Svg>
+  );
+});
+
+// ============================================================================
+// GEOMETRIC SET - Flat silhouettes built from primitives
+// ============================================================================
+const GEOMETRIC_SHAPES = {
+  p: () => (
+    <>
+      <Circle cx="50" cy="36" r="13" />
+      <Polygon points="38,76 62,76 57,50 43,50" />
+    </>
+  ),
+  r: ({ detail }) => (
+    <>
+      <Path d="M28 22 H38 V30 H45 V22 H55 V30 H62 V22 H72 V40 H28 Z" />
+      <Rect x="33" y="40" width="34" height="36" />
+      <Rect x="33" y="48" width="34" height="3" fill={detail} strokeWidth="0" />
+    </>
+  ),
+  n: ({ detail }) => (
+    <>
+      <Path d="M32 76 L38 54 L28 48 L34 30 L48 20 L62 22 L72 40 L68 76 Z" />
+      <Circle cx="48" cy="34" r="3.5" fill={detail} strokeWidth="0" />
+    </>
+  ),
+  b: ({ detail }) => (
+    <>
+      <Circle cx="50" cy="16" r="6" />
+      <Path d="M50 22 C66 34 66 58 58 76 H42 C34 58 34 34 50 22 Z" />
+      <Path d="M46 44 L58 32" stroke={detail} strokeWidth="3.5" />
+    </>
+  ),
+  q: ({ detail }) => (
+    <>
+      <Polygon points="24,38 36,58 40,30 50,54 60,30 64,58 76,38 68,76 32,76" />
+      <Circle cx="24" cy="34" r="5" />
+      <Circle cx="40" cy="26" r="5" />
+      <Circle cx="60" cy="26" r="5" />
+      <Circle cx="76" cy="34" r="5" />
+    </>
+  ),
+  k: ({ detail }) => (
+    <>
+      <Rect x="46" y="10" width="8" height="26" />
+      <Rect x="39" y="16" width="22" height="8" />
+      <Polygon points="32,76 36,40 64,40 68,76" />
+      <Rect x="36" y="52" width="28" height="3" fill={detail} strokeWidth="0" />
+    </>
+  )
+};
+
+export const GEOMETRIC_SET = buildSet((color, type, width, height) => {
+  const palette = PIECE_PALETTE[color];
+  const Shape = GEOMETRIC_SHAPES[type];
+  return (
+    <Svg width={width} height={height} viewBox="0 0 100 100">
+      <G fill={palette.fill} stroke={palette.stroke} strokeWidth="3" strokeLinejoin="round">
+        <Shape detail={palette.detail} />
+        <Rect x="22" y="76" width="56" height="12" rx="4" />
+      </G>
+    </Svg>
+  );
+});
@@ -0,0 +1,118 @@
+// editor.js - FEN building and sanity checks for the position editor
+import { DEFAULT_POSITION } from './boardUtils';
+import { getPieceAt } from './premoves';
+import { formatPlacement, findKings, isAttacked, opponent } from './rules/position';
+
+export const EMPTY_POSITION = '8/8/8/8/8/8/8/8 w - - 0 1';
+
+// Palette order, king first like most setup screens
+export const SPARE_PIECES = ['k', 'q', 'r', 'b', 'n', 'p'];
+
+// King and rook squares each castling right needs
+const CASTLING_SQUARES = {
+  K: { king: 'e1', rook: 'h1', color: 'w' },
+  Q: { king: 'e1', rook: 'a1', color: 'w' },
+  k: { king: 'e8', rook: 'h8', color: 'b' },
+  q: { king: 'e8', rook: 'a8', color: 'b' }
+};
+
+const CASTLING_ORDER = ['K', 'Q', 'k', 'q'];
+
+// ============================================================================
+// SETTINGS - everything in a FEN apart from the placement
+// ============================================================================
+export const readEditorSettings = (fen) => {
+  const fields = (fen || DEFAULT_POSITION).trim().split(/\s+/);
+  return {
+    turn: fields[1] === 'b' ? 'b' : 'w',
+    castling: fields[2] && fields[2] !== '-' ? fields[2] : '',
+    enPassant: fields[3] && fields[3] !== '-' ? fields[3] : null
+  };
+};
+
+// Rights whose king and rook stand on their home squares
+export const getCastlingOptions = (board) => CASTLING_ORDER.filter(right => {
+  const { king, rook, color } = CASTLING_SQUARES[right];
+  const kingPiece = getPieceAt(board, king);
+  const rookPiece = getPieceAt(board, rook);
+  return kingPiece?.type === 'k' && kingPiece.color === color &&
+    rookPiece?.type === 'r' && rookPiece.color === color;
+});
+
+// Squares a pawn of the side not to move could just have skipped over
+export const getEnPassantOptions = (board, turn) => {
+  const pawnRank = turn === 'w' ? '5' : '4';
+  const skippedRank = turn === 'w' ? '6' : '3';
+  const startRank = turn === 'w' ? '7' : '2';
+  const mover = opponent(turn);
+
+  return 'abcdefgh'.split('').filter(file => {
+    const pawn = getPieceAt(board, `${file}${pawnRank}`);
+    return pawn?.type === 'p' && pawn.color === mover &&
+      !getPieceAt(board, `${file}${skippedRank}`) &&
+      !getPieceAt(board, `${file}${startRank}`);
+  }).map(file => `${file}${skippedRank}`);
+};
+
+// Settings that no longer fit the board are left out rather than written into the FEN
+export const buildFen = (board, settings) => {
+  const castlingOptions = getCastlingOptions(board);
+  const castling = CASTLING_ORDER
+    .filter(right => settings.castling.includes(right) && castlingOptions.includes(right))
+    .join('');
+  const enPassant = getEnPassantOptions(board, settings.turn).includes(settings.enPassant)
+    ? settings.enPassant
+    : '-';
+
+  return `${formatPlacement(board)} ${settings.turn} ${castling || '-'} ${enPassant} 0 1`;
+};
+
+// ============================================================================
+// VALIDITY - warnings for positions no game can reach
+// ============================================================================
+const COLOR_NAMES = { w: 'White', b: 'Black' };
+
+export const validatePosition = (board, settings) => {
+  const warnings = [];
+
+  ['w', 'b'].forEach(color => {
+    const kings = findKings(board, color);
+    if (kings.length === 0) {
+      warnings.push({ code: 'missing_king', color, message: `${COLOR_NAMES[color]} has no king` });
+    } else if (kings.length > 1) {
+      warnings.push({ code: 'too_many_kings', color, message: `${COLOR_NAMES[color]} has ${kings.length} kings` });
+    }
+
+    const pieces = board.flat().filter(piece => piece && piece.color === color);
+    if (pieces.filter(piece => piece.type === 'p').length > 8) {
+      warnings.push({ code: 'too_many_pawns', color, message: `${COLOR_NAMES[color]} has more than 8 pawns` });
+    }
+    if (pieces.length > 16) {
+      warnings.push({ code: 'too_many_pieces', color, message: `${COLOR_NAMES[color]} has more than 16 pieces` });
+    }
+  });
+
+  [0, 7].forEach(row => board[row].forEach((piece, col) => {
+    if (piece?.type !== 'p') return;
+    const square = `${'abcdefgh'[col]}${8 - row}`;
+    warnings.push({ code: 'pawn_on_back_rank', color: piece.color, square, message: `Pawn on ${square}` });
+  }));
+
+  // The side that just moved cannot have left its king in check
+  const waiting = opponent(settings.turn);
+  const waitingKings = findKings(board, waiting);
+  if (waitingKings.length === 1 && isAttacked(board, waitingKings[0], settings.turn)) {
+    warnings.push({
+      code: 'opponent_in_check',
+      color: waiting,
+      square: waitingKings[0],
+      message: `${COLOR_NAMES[waiting]} is in check but it is ${COLOR_NAMES[settings.turn]}'s move`
+    });
+  }
+
+  return {
+    fen: buildFen(board, settings),
+    valid: warnings.length === 0,
+    warnings
+  };
+};
@@ -0,0 +1,207 @@
+// EngineController.js - Talks UCI to an engine over a transport and hands back analysis
+import { parseInfo, parseBestMove, parseOption, toWhiteScore, formatPosition, formatGo } from './uci';
+
+const EVENTS = ['line', 'info', 'bestmove'];
+
+const getTurn = (fen) => ((fen || '').split(/\s+/)[1] === 'b' ? 'b' : 'w');
+
+// The transport is { send(command), subscribe(listener) -> unsubscribe, terminate?() }.
+// Scores in everything handed back are from White's point of view, like the board's props.
+export class EngineController {
+  constructor(transport, { options = {} } = {}) {
+    this.transport = transport;
+    this.name = null;
+    this.options = {};
+    this._settings = options;
+    this._listeners = Object.fromEntries(EVENTS.map(event => [event, new Set()]));
+    this._waiters = [];
+    this._ready = null;
+    this._multiPv = null;
+    this._search = null;
+    this._queue = Promise.resolve();
+    this._generation = 0;
+    this._destroyed = false;
+    this._unsubscribe = transport.subscribe(line => this._handleLine(line));
+  }
+
+  // ==========================================================================
+  // EVENTS
+  // ==========================================================================
+  // 'line' (raw output), 'info' (parsed info) or 'bestmove'; returns an unsubscribe function
+  on(event, listener) {
+    if (!this._listeners[event]) {
+      throw new Error(`Unknown engine event: ${event}`);
+    }
+    this._listeners[event].add(listener);
+    return () => this._listeners[event].delete(listener);
+  }
+
+  _emit(event, payload) {
+    this._listeners[event].forEach(listener => listener(payload));
+  }
+
+  // Nothing answers once the engine is destroyed, so there is nothing to wait for
+  _waitFor(expected) {
+    if (this._destroyed) return Promise.resolve(null);
+    return new Promise(resolve => this._waiters.push({ expected, resolve }));
+  }
+
+  // ==========================================================================
+  // PROTOCOL
+  // ==========================================================================
+  send(command) {
+    if (this._destroyed) return;
+    this.transport.send(command);
+  }
+
+  // "uci" handshake, then the options given to the constructor; runs once
+  init() {
+    if (!this._ready) {
+      const uciok = this._waitFor('uciok');
+      this.send('uci');
+      this._ready = uciok.then(() => {
+        Object.entries(this._settings).forEach(([name, value]) => this.setOption(name, value));
+        return this.isReady();
+      });
+    }
+    return this._ready;
+  }
+
+  isReady() {
+    const readyok = this._waitFor('readyok');
+    this.send('isready');
+    return readyok;
+  }
+
+  setOption(name, value) {
+    this.send(value === undefined ? `setoption name ${name}` : `setoption name ${name} value ${value}`);
+  }
+
+  async newGame() {
+    await this.init();
+    this.send('ucinewgame');
+    return this.isReady();
+  }
+
+  // ==========================================================================
+  // ANALYSIS
+  // ==========================================================================
+  // Resolves with { bestMove, ponder, lines } when the engine answers "bestmove". onInfo(info, lines)
+  // sees every info line while the search runs. A newer call stops this search first; one that
+  // never got to start resolves with { cancelled: true }.
+  analyse(fen, { depth, movetime, nodes, multiPv = 1, onInfo } = {}) {
+    const generation = ++this._generation;
+    this.stop();
+
+    const task = this._queue.then(() => this._runSearch(generation, fen, { depth, movetime, nodes, multiPv, onInfo }));
+    this._queue = task.catch(() => {});
+    return task;
+  }
+
+  async _runSearch(generation, fen, { depth, movetime, nodes, multiPv, onInfo }) {
+    const cancelled = { bestMove: null, ponder: null, lines: [], cancelled: true };
+    await this.init();
+    if (generation !== this._generation || this._destroyed) return cancelled;
+
+    if (multiPv !== this._multiPv) {
+      this.setOption('MultiPV', multiPv);
+      this._multiPv = multiPv;
+    }
+    await this.isReady();
+    if (generation !== this._generation || this._destroyed) return cancelled;
+
+    const search = { fen, turn: getTurn(fen), lines: [], onInfo, stopping: false };
+    search.done = new Promise(resolve => {
+      search.resolve = resolve;
+    });
+    this._search = search;
+    this.send(formatPosition(fen));
+    this.send(formatGo({ depth, movetime, nodes }));
+    return search.done;
+  }
+
+  // Asks the running search to finish; resolves with its result, or null when nothing runs
+  stop() {
+    const search = this._search;
+    if (!search) return Promise.resolve(null);
+    if (!search.stopping) {
+      search.stopping = true;
+      this.send('stop');
+    }
+    return search.done;
+  }
+
+  isSearching() {
+    return !!this._search;
+  }
+
+  // Ends the engine; a search still running resolves with what it had, and one still waiting
+  // for the engine to be ready with { cancelled: true }
+  destroy() {
+    if (this._destroyed) return;
+    const search = this._search;
+    this._generation++;
+    this._search = null;
+    if (search) {
+      search.resolve({ bestMove: null, ponder: null, lines: search.lines.filter(Boolean), cancelled: true });
+    }
+    this.send('quit');
+    this._destroyed = true;
+    this._waiters.splice(0).forEach(({ resolve }) => resolve(null));
+    this._unsubscribe?.();
+    this.transport.terminate?.();
+  }
+
+  // ==========================================================================
+  // OUTPUT
+  // ==========================================================================
+  _handleLine(line) {
+    this._emit('line', line);
+
+    const waiter = this._waiters.findIndex(({ expected }) => expected === line);
+    if (waiter !== -1) {
+      this._waiters.splice(waiter, 1)[0].resolve(line);
+      return;
+    }
+
+    if (line.startsWith('id name ')) {
+      this.name = line.slice(8);
+    } else if (line.startsWith('option ')) {
+      const option = parseOption(line);
+      if (option) this.options[option.name] = option;
+    } else if (line.startsWith('info ')) {
+      this._handleInfo(parseInfo(line));
+    } else if (line.startsWith('bestmove')) {
+      this._handleBestMove(parseBestMove(line));
+    }
+  }
+
+  _handleInfo(parsed) {
+    const search = this._search;
+    if (!search) return;
+
+    const info = parsed.score ? { ...parsed, score: toWhiteScore(parsed.score, search.turn) } : parsed;
+    // Bounded scores come from a failed aspiration window and are not the line's real value
+    if (info.pv?.length && info.score && !info.bound) {
+      const lines = [...search.lines];
+      const index = (info.multipv || 1) - 1;
+      lines[index] = { multipv: index + 1, depth: info.depth, score: info.score, pv: info.pv };
+      search.lines = lines;
+    }
+
+    search.onInfo?.(info, search.lines.filter(Boolean));
+    this._emit('info', info);
+  }
+
+  _handleBestMove(parsed) {
+    const search = this._search;
+    if (!search) return;
+
+    this._search = null;
+    const result = { ...parsed, lines: search.lines.filter(Boolean) };
+    search.resolve(result);
+    this._emit('bestmove', result);
+  }
+}
+
+export default EngineController;
@@ -0,0 +1,6 @@
+// engine/index.js - UCI engines: the controller, its transports and a local stand-in engine
+export { EngineController } from './EngineController';
+export { createWorkerTransport, createFunctionTransport } from './transports';
+export { createLocalEngine } from './localEngine';
+export { useEngineAnalysis } from './useEngineAnalysis';
+export { parseInfo, parseBestMove, toWhiteScore } from './uci';
@@ -0,0 +1,201 @@
+// localEngine.js - A small UCI engine in plain JS, for tests and demos without a native binary
+import { VariantGame } from '../rules/variantGame';
+import { DEFAULT_FEN } from '../rules/position';
+import { createFunctionTransport } from './transports';
+
+const PIECE_VALUES = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 0 };
+const MATE = 100000;
+const MATE_THRESHOLD = MATE - 1000;
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+// Material plus a little for central pieces, from the side to move's point of view
+const evaluate = (position) => {
+  let score = 0;
+  position.board.forEach((rank, row) => rank.forEach((piece, col) => {
+    if (!piece) return;
+    const centre = piece.type === 'k' ? 0 : 7 - Math.abs(3.5 - row) - Math.abs(3.5 - col);
+    const value = PIECE_VALUES[piece.type] + centre * 3;
+    score += piece.color === 'w' ? value : -value;
+  }));
+  return position.turn === 'w' ? score : -score;
+};
+
+// Captures of the biggest pieces first, so alpha-beta cuts sooner
+const orderMoves = (moves) => [...moves].sort((a, b) => (
+  (b.captured ? PIECE_VALUES[b.captured] || 100 : 0) - (a.captured ? PIECE_VALUES[a.captured] || 100 : 0)
+));
+
+const toUci = (move) => `${move.from}${move.to}${move.promotion || ''}`;
+
+// Negamax with alpha-beta; mates found nearer the root score higher
+const search = (rules, position, depth, alpha, beta, ply, stats) => {
+  stats.nodes++;
+  if (depth === 0) return { score: evaluate(position), pv: [] };
+
+  const moves = rules.legalMoves(position);
+  if (moves.length === 0) {
+    return { score: rules.isCheck(position) ? -(MATE - ply) : 0, pv: [] };
+  }
+
+  let best = { score: -Infinity, pv: [] };
+  for (const move of orderMoves(moves)) {
+    const child = search(rules, rules.play(position, move), depth - 1, -beta, -alpha, ply + 1, stats);
+    const score = -child.score;
+    if (score > best.score) best = { score, pv: [move, ...child.pv] };
+    if (score > alpha) alpha = score;
+    if (alpha >= beta) break;
+  }
+  return best;
+};
+
+// Every root move gets an exact score so the top lines can be reported in order
+const searchRoot = (rules, position, depth, stats) => rules.legalMoves(position)
+  .map(move => {
+    const child = search(rules, rules.play(position, move), depth - 1, -MATE - 1, MATE + 1, 1, stats);
+    return { score: -child.score, pv: [move, ...child.pv] };
+  })
+  .sort((a, b) => b.score - a.score);
+
+const formatScore = (score) => {
+  if (Math.abs(score) < MATE_THRESHOLD) return `cp ${score}`;
+  const moves = Math.ceil((MATE - Math.abs(score)) / 2);
+  return `mate ${score > 0 ? moves : -moves}`;
+};
+
+// ============================================================================
+// UCI
+// ============================================================================
+// "position startpos moves e2e4" / "position fen <fen> moves e7e5"
+const readPosition = (rules, tokens) => {
+  const movesAt = tokens.indexOf('moves');
+  const fen = tokens[1] === 'fen'
+    ? tokens.slice(2, movesAt === -1 ? undefined : movesAt).join(' ')
+    : DEFAULT_FEN;
+  let position = rules.readFen(fen);
+  const moves = movesAt === -1 ? [] : tokens.slice(movesAt + 1);
+  moves.forEach(uci => {
+    const move = rules.legalMoves(position).find(candidate => toUci(candidate) === uci);
+    if (!move) throw new Error(`Illegal move in position command: ${uci}`);
+    position = rules.play(position, move);
+  });
+  return position;
+};
+
+const readGo = (tokens) => {
+  const value = (name) => {
+    const index = tokens.indexOf(name);
+    return index === -1 ? null : parseInt(tokens[index + 1]);
+  };
+  return { depth: value('depth'), movetime: value('movetime'), infinite: tokens.includes('infinite') };
+};
+
+// The engine as a transport for EngineController. Each depth is searched on its own tick so
+// "stop" and other commands get through; depths beyond maxDepth are capped since the search is slow.
+export const createLocalEngine = ({ maxDepth = 3, name = 'Local' } = {}) => {
+  const rules = new VariantGame();
+  let position = rules.readFen(DEFAULT_FEN);
+  let multiPv = 1;
+  let current = null;
+
+  const finish = (emit, job) => {
+    clearTimeout(job.timer);
+    if (current === job) current = null;
+    // Stopped before the first depth finished: a one-ply look still names a move
+    if (!job.results) job.results = searchRoot(rules, job.position, 1, job.stats);
+    const [best] = job.results;
+    const bestMove = best ? toUci(best.pv[0]) : '(none)';
+    const ponder = best?.pv[1] ? ` ponder ${toUci(best.pv[1])}` : '';
+    emit(`bestmove ${bestMove}${ponder}`);
+  };
+
+  const iterate = (emit, job) => {
+    job.depth++;
+    const start = Date.now();
+    job.results = searchRoot(rules, job.position, job.depth, job.stats);
+    job.elapsed += Date.now() - start;
+
+    job.results.slice(0, multiPv).forEach((result, index) => {
+      emit([
+        'info depth', job.depth,
+        'multipv', index + 1,
+        'score', formatScore(result.score),
+        'nodes', job.stats.nodes,
+        'time', job.elapsed,
+        'pv', result.pv.map(toUci).join(' ')
+      ].join(' '));
+    });
+
+    const outOfTime = job.movetime && job.elapsed >= job.movetime;
+    if (job.results.length === 0 || job.depth >= job.targetDepth || outOfTime) {
+      // "go infinite" holds its bestmove until told to stop
+      if (job.infinite) {
+        job.timer = null;
+        return;
+      }
+      finish(emit, job);
+      return;
+    }
+    job.timer = setTimeout(() => iterate(emit, job), 0);
+  };
+
+  const handle = (command, emit) => {
+    const tokens = command.trim().split(/\s+/);
+    switch (tokens[0]) {
+      case 'uci':
+        emit([
+          `id name ${name}`,
+          'id author dawikk-chessboard',
+          'option name MultiPV type spin default 1 min 1 max 10',
+          'uciok'
+        ].join('\n'));
+        break;
+      case 'isready':
+        emit('readyok');
+        break;
+      case 'setoption': {
+        const match = /^setoption name (.+?) value (.+)$/.exec(command.trim());
+        if (match && match[1].toLowerCase() === 'multipv') {
+          multiPv = Math.min(Math.max(parseInt(match[2]) || 1, 1), 10);
+        }
+        break;
+      }
+      case 'ucinewgame':
+        position = rules.readFen(DEFAULT_FEN);
+        break;
+      case 'position':
+        position = readPosition(rules, tokens);
+        break;
+      case 'go': {
+        if (current) finish(emit, current);
+        const { depth, movetime, infinite } = readGo(tokens);
+        const job = {
+          position,
+          depth: 0,
+          targetDepth: Math.min(depth || maxDepth, maxDepth),
+          movetime,
+          infinite: infinite && !depth,
+          stats: { nodes: 0 },
+          elapsed: 0,
+          results: null,
+          timer: null
+        };
+        current = job;
+        job.timer = setTimeout(() => iterate(emit, job), 0);
+        break;
+      }
+      case 'stop':
+      case 'quit':
+        if (current) finish(emit, current);
+        break;
+      default:
+        break;
+    }
+  };
+
+  // Replies go out on a later tick, the way a real engine's output arrives
+  return createFunctionTransport((command, emit) => {
+    handle(command, (lines) => setTimeout(() => emit(lines), 0));
+  });
+};
@@ -0,0 +1,41 @@
+// transports.js - Ways to reach an engine; each is { send(command), subscribe(listener), terminate() }
+
+// Engines often write several lines in one message
+const splitLines = (data, listener) => {
+  String(data).split('\n').forEach(line => {
+    if (line.trim()) listener(line.trim());
+  });
+};
+
+// A Web Worker or anything with the same postMessage/onmessage shape (e.g. stockfish.js)
+export const createWorkerTransport = (worker) => ({
+  send: (command) => worker.postMessage(command),
+  subscribe: (listener) => {
+    const handleMessage = (event) => splitLines(event && event.data !== undefined ? event.data : event, listener);
+    if (worker.addEventListener) {
+      worker.addEventListener('message', handleMessage);
+      return () => worker.removeEventListener('message', handleMessage);
+    }
+    worker.onmessage = handleMessage;
+    return () => {
+      worker.onmessage = null;
+    };
+  },
+  terminate: () => worker.terminate?.()
+});
+
+// An in-process engine: handler(command, emit) answers by calling emit with output lines.
+// Native modules fit the same way by wrapping their send call and output event.
+export const createFunctionTransport = (handler) => {
+  const listeners = new Set();
+  const emit = (data) => listeners.forEach(listener => splitLines(data, listener));
+
+  return {
+    send: (command) => handler(command, emit),
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    terminate: () => listeners.clear()
+  };
+};
@@ -0,0 +1,80 @@
+// uci.js - Reading engine output in the UCI protocol
+
+const NUMERIC_FIELDS = ['depth', 'seldepth', 'multipv', 'nodes', 'nps', 'time', 'hashfull', 'tbhits', 'currmovenumber'];
+
+// "info depth 12 multipv 1 score cp 31 nodes 4821 pv e2e4 e7e5" -> { depth: 12, multipv: 1, score: { cp: 31 }, ... }
+// Scores are as the engine gives them: from the side to move's point of view
+export const parseInfo = (line) => {
+  const tokens = line.trim().split(/\s+/);
+  if (tokens[0] !== 'info') return null;
+
+  const info = {};
+  for (let i = 1; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (NUMERIC_FIELDS.includes(token)) {
+      info[token] = parseInt(tokens[++i]);
+    } else if (token === 'score') {
+      const type = tokens[++i];
+      const value = parseInt(tokens[++i]);
+      info.score = type === 'mate' ? { mate: value } : { cp: value };
+      if (tokens[i + 1] === 'lowerbound' || tokens[i + 1] === 'upperbound') {
+        info.bound = tokens[++i];
+      }
+    } else if (token === 'currmove') {
+      info.currmove = tokens[++i];
+    } else if (token === 'pv') {
+      info.pv = tokens.slice(i + 1);
+      break;
+    } else if (token === 'string') {
+      info.string = tokens.slice(i + 1).join(' ');
+      break;
+    }
+  }
+  return info;
+};
+
+// "bestmove e2e4 ponder e7e5" -> { bestMove: 'e2e4', ponder: 'e7e5' }; "(none)" when there is no move
+export const parseBestMove = (line) => {
+  const tokens = line.trim().split(/\s+/);
+  if (tokens[0] !== 'bestmove') return null;
+  const bestMove = tokens[1] && tokens[1] !== '(none)' ? tokens[1] : null;
+  const ponder = tokens[2] === 'ponder' ? tokens[3] || null : null;
+  return { bestMove, ponder };
+};
+
+// "option name MultiPV type spin default 1 min 1 max 500"
+export const parseOption = (line) => {
+  const match = /^option name (.+?) type (\w+)(.*)$/.exec(line.trim());
+  if (!match) return null;
+  const [, name, type, rest] = match;
+  const option = { name, type };
+  const defaultMatch = / default (.*?)(?= min | max | var |$)/.exec(rest);
+  if (defaultMatch) option.default = defaultMatch[1];
+  const min = / min (-?\d+)/.exec(rest);
+  const max = / max (-?\d+)/.exec(rest);
+  if (min) option.min = parseInt(min[1]);
+  if (max) option.max = parseInt(max[1]);
+  return option;
+};
+
+// Turns a side-to-move score into White's point of view, the way the board shows scores
+export const toWhiteScore = (score, turn) => {
+  if (!score || turn !== 'b') return score;
+  return score.mate !== undefined ? { mate: -score.mate } : { cp: -score.cp };
+};
+
+// "position fen <fen> moves e2e4" / "position startpos"
+export const formatPosition = (fen, moves = []) => {
+  const base = fen ? `position fen ${fen}` : 'position startpos';
+  return moves.length > 0 ? `${base} moves ${moves.join(' ')}` : base;
+};
+
+// "go depth 18" / "go movetime 1000" / "go infinite"
+export const formatGo = ({ depth, movetime, nodes } = {}) => {
+  const parts = ['go'];
+  if (depth) parts.push('depth', depth);
+  if (movetime) parts.push('movetime', movetime);
+  if (nodes) parts.push('nodes', nodes);
+  if (parts.length === 1) parts.push('infinite');
+  return parts.join(' ');
+};
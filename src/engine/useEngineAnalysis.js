@@ -0,0 +1,68 @@
+// useEngineAnalysis.js - Hook that analyses the current position and feeds the board's engine props
+import { useEffect, useMemo, useState } from 'react';
+
+const IDLE = { lines: [], bestMove: null, ponder: null, depth: null, isAnalysing: false, error: null };
+
+// Re-runs whenever the FEN or search settings change; the previous search is stopped and its
+// late output ignored. boardProps spreads straight onto <Chessboard />.
+export const useEngineAnalysis = (engine, fen, {
+  depth = 12,
+  movetime,
+  multiPv = 1,
+  enabled = true
+} = {}) => {
+  const [analysis, setAnalysis] = useState(IDLE);
+
+  useEffect(() => {
+    if (!engine || !fen || !enabled) {
+      setAnalysis(IDLE);
+      return;
+    }
+
+    let active = true;
+    setAnalysis({ ...IDLE, isAnalysing: true });
+
+    const onInfo = (info, lines) => {
+      if (!active || !info.pv) return;
+      setAnalysis(previous => ({
+        ...previous,
+        lines,
+        bestMove: lines[0]?.pv[0] || null,
+        depth: lines[0]?.depth ?? null
+      }));
+    };
+
+    engine.analyse(fen, { depth, movetime, multiPv, onInfo })
+      .then(result => {
+        if (!active || result.cancelled) return;
+        setAnalysis({
+          lines: result.lines,
+          bestMove: result.bestMove,
+          ponder: result.ponder,
+          depth: result.lines[0]?.depth ?? null,
+          isAnalysing: false,
+          error: null
+        });
+      })
+      .catch(error => {
+        if (active) setAnalysis({ ...IDLE, error });
+      });
+
+    return () => {
+      active = false;
+      engine.stop();
+    };
+  }, [engine, fen, depth, movetime, multiPv, enabled]);
+
+  const evaluation = analysis.lines[0]?.score ?? null;
+
+  const boardProps = useMemo(() => ({
+    bestMove: analysis.bestMove,
+    engineLines: analysis.lines,
+    evaluation
+  }), [analysis.bestMove, analysis.lines, evaluation]);
+
+  return { ...analysis, evaluation, boardProps };
+};
+
+export default useEngineAnalysis;
@@ -0,0 +1,83 @@
+// engineLines.js - Multi-PV engine output turned into ranked arrows
+import { getPieceAt } from './premoves';
+import { moveOnBoardArray } from './boardUtils';
+import { formatEvaluation } from './evaluation';
+
+const UCI_MOVE = /^([a-h][1-8])([a-h][1-8])([qrbn])?$/;
+
+export const parseUciMove = (uci) => {
+  const match = UCI_MOVE.exec(uci || '');
+  return match ? { from: match[1], to: match[2], promotion: match[3] } : null;
+};
+
+// PVs come as arrays or space-separated strings of UCI moves
+export const readPv = (line) => (
+  Array.isArray(line.pv) ? line.pv : String(line.pv || '').split(/\s+/)
+).filter(Boolean);
+
+// Ordered by multipv when the engine numbers its lines, otherwise as passed
+export const rankEngineLines = (lines = []) => lines
+  .map((line, index) => ({ line, index }))
+  .filter(({ line }) => line && readPv(line).length > 0)
+  .sort((a, b) => (a.line.multipv ?? a.index + 1) - (b.line.multipv ?? b.index + 1))
+  .map(({ line }) => line);
+
+// The best line gets the widest, most solid arrow; each rank below it is thinner and fainter
+const getRankStyle = (rank) => ({
+  widthScale: Math.max(1 - rank * 0.25, 0.4),
+  opacity: Math.max(0.9 - rank * 0.2, 0.3)
+});
+
+const CONTINUATION_STYLE = { widthScale: 0.6, opacity: 0.35 };
+
+// Arrow specs for the first move of the top lines, then numbered arrows for the best line's
+// next plies. Lines whose first move is not playable (a stale PV) are left out.
+export const getEngineLineArrows = (lines, board, {
+  maxLines = 3,
+  continuationPlies = 0,
+  isPlayable = () => true
+} = {}) => {
+  const ranked = rankEngineLines(lines).slice(0, maxLines);
+  const firstMoves = [];
+  const continuation = [];
+
+  ranked.forEach((line, rank) => {
+    const move = parseUciMove(readPv(line)[0]);
+    if (!move || !isPlayable(move)) return;
+    firstMoves.push({
+      key: `line-${rank}`,
+      from: move.from,
+      to: move.to,
+      piece: getPieceAt(board, move.from)?.type || null,
+      rank,
+      label: formatEvaluation(line.score !== undefined ? line.score : line),
+      ...getRankStyle(rank)
+    });
+  });
+
+  // Played out on a copy of the board so knight arrows still know they are knights
+  if (continuationPlies > 0 && firstMoves[0]?.rank === 0) {
+    const pv = readPv(ranked[0]);
+    let current = board;
+    for (let ply = 0; ply < Math.min(pv.length, continuationPlies + 1); ply++) {
+      const move = parseUciMove(pv[ply]);
+      const piece = move ? getPieceAt(current, move.from) : null;
+      if (!piece) break;
+      if (ply > 0) {
+        continuation.push({
+          key: `ply-${ply + 1}`,
+          from: move.from,
+          to: move.to,
+          piece: piece.type,
+          rank: 0,
+          label: String(ply + 1),
+          ...CONTINUATION_STYLE
+        });
+      }
+      current = moveOnBoardArray(current, move.from, move.to, move.promotion);
+    }
+  }
+
+  // Drawn bottom to top: the continuation, then the lines with the best one last
+  return [...continuation, ...firstMoves.reverse()];
+};
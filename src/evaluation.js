@@ -0,0 +1,37 @@
+// evaluation.js - Engine scores: centipawns or mate, always from White's point of view
+
+// Accepts { cp }, { mate } or a bare centipawn number; anything else is no evaluation
+export const normalizeEvaluation = (evaluation) => {
+  if (typeof evaluation === 'number' && isFinite(evaluation)) return { cp: evaluation, mate: null };
+  if (!evaluation || typeof evaluation !== 'object') return null;
+  if (typeof evaluation.mate === 'number' && evaluation.mate !== 0) return { cp: null, mate: evaluation.mate };
+  if (typeof evaluation.cp === 'number' && isFinite(evaluation.cp)) return { cp: evaluation.cp, mate: null };
+  return null;
+};
+
+// White's share of the bar, 0 to 1; the curve maps centipawns to winning chances
+export const getWhiteShare = (evaluation) => {
+  const normalized = normalizeEvaluation(evaluation);
+  if (!normalized) return 0.5;
+  if (normalized.mate !== null) return normalized.mate > 0 ? 1 : 0;
+  const chances = 2 / (1 + Math.exp(-0.00368208 * normalized.cp)) - 1;
+  return Math.min(1, Math.max(0, 0.5 + chances / 2));
+};
+
+// "+0.4", "-1.5", "M3" (White mates) or "-M2" (Black mates)
+export const formatEvaluation = (evaluation) => {
+  const normalized = normalizeEvaluation(evaluation);
+  if (!normalized) return '';
+  if (normalized.mate !== null) return `${normalized.mate < 0 ? '-' : ''}M${Math.abs(normalized.mate)}`;
+  const tenths = Math.round(Math.abs(normalized.cp) / 10);
+  if (tenths === 0) return '0.0';
+  return `${normalized.cp > 0 ? '+' : '-'}${(tenths / 10).toFixed(1)}`;
+};
+
+// Which side the score favours; equal positions count for White like the bar does
+export const getFavoredColor = (evaluation) => {
+  const normalized = normalizeEvaluation(evaluation);
+  if (!normalized) return null;
+  const score = normalized.mate !== null ? normalized.mate : normalized.cp;
+  return score < 0 ? 'b' : 'w';
+};
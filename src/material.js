@@ -0,0 +1,59 @@
+// material.js - Captured pieces and the material balance, read from the pieces left on the board
+import { fenToBoardArray, DEFAULT_POSITION } from './boardUtils';
+
+export const PIECE_VALUES = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 0 };
+
+// Cheapest first, the order captured pieces are shown in
+export const CAPTURE_ORDER = ['p', 'n', 'b', 'r', 'q'];
+
+const emptyCounts = () => ({ p: 0, n: 0, b: 0, r: 0, q: 0, k: 0 });
+
+// Pieces of each type per colour, from a FEN or a board array (row 0 = rank 8)
+export const countPieces = (position) => {
+  const board = typeof position === 'string' ? fenToBoardArray(position) : position || [];
+  const counts = { w: emptyCounts(), b: emptyCounts() };
+  board.forEach(row => row.forEach(piece => {
+    if (piece && counts[piece.color]) {
+      counts[piece.color][piece.type.toLowerCase()] += 1;
+    }
+  }));
+  return counts;
+};
+
+// What one colour has lost. A piece beyond the starting number can only be a promoted pawn,
+// so it stands in for that pawn instead of hiding a capture of its own type.
+const getLostPieces = (start, current) => {
+  const lost = emptyCounts();
+  let promoted = 0;
+  CAPTURE_ORDER.forEach(type => {
+    if (type === 'p') return;
+    const difference = start[type] - current[type];
+    if (difference >= 0) {
+      lost[type] = difference;
+    } else {
+      promoted -= difference;
+    }
+  });
+  lost.p = Math.max(0, start.p - current.p - promoted);
+  return lost;
+};
+
+const sumMaterial = (counts) => (
+  Object.keys(counts).reduce((total, type) => total + counts[type] * PIECE_VALUES[type], 0)
+);
+
+// captured.w holds the black pieces White has taken, captured.b the white ones Black has;
+// advantage is White's material lead in pawns (negative when Black is ahead)
+export const getMaterial = (position, startPosition = DEFAULT_POSITION) => {
+  const start = countPieces(startPosition);
+  const current = countPieces(position);
+  const material = { w: sumMaterial(current.w), b: sumMaterial(current.b) };
+  return {
+    captured: {
+      w: getLostPieces(start.b, current.b),
+      b: getLostPieces(start.w, current.w)
+    },
+    material,
+    advantage: material.w - material.b
+  };
+};
@@ -0,0 +1,114 @@
+// moveAnimations.js - Works out which pieces travelled between two board arrays
+
+// Above this many travelling pieces the change is treated as a new position, not a move
+const MAX_ANIMATED_PIECES = 16;
+
+const isSamePiece = (a, b) => {
+  if (!a && !b) return true;
+  if (!a || !b) return false;
+  return a.type === b.type && a.color === b.color;
+};
+
+const distance = (a, b) => Math.hypot(a.row - b.row, a.col - b.col);
+
+const toSquare = (row, col) => `${String.fromCharCode(97 + col)}${8 - row}`;
+
+// Both arrays use the chess.js layout: row 0 is rank 8, col 0 is the a-file.
+// Returns null when nothing changed or the change is too large to read as a move.
+export const computePieceAnimations = (prevBoard, nextBoard) => {
+  if (!prevBoard || !nextBoard) return null;
+
+  const removed = [];
+  const added = [];
+
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const prevPiece = prevBoard[row]?.[col] || null;
+      const nextPiece = nextBoard[row]?.[col] || null;
+      if (isSamePiece(prevPiece, nextPiece)) continue;
+      if (prevPiece) removed.push({ piece: prevPiece, row, col });
+      if (nextPiece) added.push({ piece: nextPiece, row, col });
+    }
+  }
+
+  if (added.length === 0 && removed.length === 0) return null;
+  if (added.length > MAX_ANIMATED_PIECES) return null;
+
+  // Pair every appearing piece with the closest vanished piece of the same kind
+  const pairs = [];
+  added.forEach((to, toIndex) => {
+    removed.forEach((from, fromIndex) => {
+      if (isSamePiece(from.piece, to.piece)) {
+        pairs.push({ toIndex, fromIndex, distance: distance(from, to) });
+      }
+    });
+  });
+  pairs.sort((a, b) => a.distance - b.distance);
+
+  const usedFrom = new Set();
+  const usedTo = new Set();
+  const moves = [];
+
+  pairs.forEach(({ toIndex, fromIndex }) => {
+    if (usedFrom.has(fromIndex) || usedTo.has(toIndex)) return;
+    usedFrom.add(fromIndex);
+    usedTo.add(toIndex);
+    const from = removed[fromIndex];
+    const to = added[toIndex];
+    moves.push({
+      key: `${toSquare(from.row, from.col)}-${toSquare(to.row, to.col)}`,
+      piece: to.piece,
+      fromRow: from.row,
+      fromCol: from.col,
+      toRow: to.row,
+      toCol: to.col,
+      square: toSquare(to.row, to.col),
+      promotion: null
+    });
+  });
+
+  // A piece appearing on the back rank next to a vanished pawn is a promotion
+  added.forEach((to, toIndex) => {
+    if (usedTo.has(toIndex) || (to.row !== 0 && to.row !== 7)) return;
+
+    const pawnIndex = removed.findIndex((from, fromIndex) =>
+      !usedFrom.has(fromIndex) &&
+      from.piece.type === 'p' &&
+      from.piece.color === to.piece.color &&
+      Math.abs(from.row - to.row) === 1 &&
+      Math.abs(from.col - to.col) <= 1
+    );
+    if (pawnIndex === -1) return;
+
+    usedFrom.add(pawnIndex);
+    usedTo.add(toIndex);
+    const from = removed[pawnIndex];
+    moves.push({
+      key: `${toSquare(from.row, from.col)}-${toSquare(to.row, to.col)}`,
+      piece: from.piece,
+      fromRow: from.row,
+      fromCol: from.col,
+      toRow: to.row,
+      toCol: to.col,
+      square: toSquare(to.row, to.col),
+      promotion: to.piece
+    });
+  });
+
+  // Whatever vanished without a partner was captured (including en passant)
+  const fades = removed
+    .filter((_, index) => !usedFrom.has(index))
+    .map(({ piece, row, col }) => ({
+      key: `fade-${toSquare(row, col)}`,
+      piece,
+      row,
+      col,
+      square: toSquare(row, col)
+    }));
+
+  if (moves.length === 0 && fades.length === 0) return null;
+
+  return { moves, fades };
+};
+
+export default computePieceAnimations;
@@ -0,0 +1,200 @@
+// moveInput.js - Typed or spoken moves (SAN, UCI, "knight f3") matched against the legal moves, and the keyboard cursor
+import { getSquareOrder } from './accessibility';
+
+const CASTLING_INPUT = /^[O0o]-?[O0o](-?[O0o])?$/;
+const UCI_INPUT = /^([a-h][1-8])[-x]?([a-h][1-8])=?([qrbnQRBN])?$/;
+const DROP_INPUT = /^([PNBRQpnbrq])@([a-h][1-8])$/;
+const SAN_INPUT = /^([KQRBNP])?([a-h])?([1-8])?([x:])?([a-h][1-8])(?:=?([QRBNqrbn]))?$/;
+
+const isCapture = (move) => !!move.captured || /[ce]/.test(move.flags || '');
+
+// Spaces and check, mate or annotation marks mean nothing to the match
+const cleanInput = (text) => String(text || '').replace(/\s+/g, '').replace(/[+#!?]+$/, '');
+
+const matchSan = (input, legalMoves) => {
+  const match = SAN_INPUT.exec(input);
+  if (!match) return null;
+  const [, piece = 'P', fromFile, fromRank, capture, to, promotion] = match;
+  return legalMoves.filter(move => (
+    !move.from.includes('@') &&
+    move.piece === piece.toLowerCase() &&
+    move.to === to &&
+    (!fromFile || move.from[0] === fromFile) &&
+    (!fromRank || move.from[1] === fromRank) &&
+    (!capture || isCapture(move)) &&
+    (!promotion || move.promotion === promotion.toLowerCase())
+  ));
+};
+
+// ============================================================================
+// SPOKEN MOVES
+// ============================================================================
+const SPOKEN_PIECES = {
+  king: 'K', queen: 'Q', rook: 'R', bishop: 'B', knight: 'N', night: 'N', horse: 'N', pawn: 'P'
+};
+
+// Letters as speech recognisers write them, the NATO alphabet included
+const SPOKEN_FILES = {
+  a: 'a', alpha: 'a', alfa: 'a',
+  b: 'b', bee: 'b', be: 'b', bravo: 'b',
+  c: 'c', see: 'c', sea: 'c', charlie: 'c',
+  d: 'd', dee: 'd', delta: 'd',
+  e: 'e', echo: 'e',
+  f: 'f', eff: 'f', foxtrot: 'f',
+  g: 'g', gee: 'g', golf: 'g',
+  h: 'h', aitch: 'h', hotel: 'h'
+};
+
+const SPOKEN_RANKS = {
+  one: '1', two: '2', three: '3', four: '4', five: '5', six: '6', seven: '7', eight: '8'
+};
+
+const SPOKEN_CAPTURES = ['takes', 'take', 'captures', 'capture', 'x', 'by'];
+const SPOKEN_PROMOTIONS = ['promotes', 'promote', 'promoting', 'equals', 'queens'];
+const SPOKEN_DROPS = ['drop', 'drops', 'dropped'];
+const SPOKEN_FILLER = ['to', 'on', 'at', 'moves', 'move', 'goes', 'check', 'checkmate', 'mate', 'and', 'the'];
+
+// "castle kingside", "short castle", "long castles" -> "O-O" / "O-O-O"
+const readSpokenCastling = (words) => {
+  if (!words.some(word => /^castl/.test(word))) return null;
+  if (words.some(word => ['queenside', 'long', 'queen'].includes(word))) return 'O-O-O';
+  if (words.some(word => ['kingside', 'short', 'king'].includes(word))) return 'O-O';
+  return null;
+};
+
+// Turns "knight f3", "e takes d5", "pawn e8 promotes to queen" or "knight drop f3" into
+// SAN; null when the words do not read as a move
+export const readSpokenMove = (text) => {
+  const words = String(text || '').toLowerCase().replace(/[.,!?;:]/g, ' ').split(/\s+/).filter(Boolean);
+  if (words.length === 0) return null;
+
+  const castling = readSpokenCastling(words);
+  if (castling) return castling;
+
+  let piece = '';
+  let promotion = '';
+  let capture = false;
+  let drop = false;
+  let squares = '';
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    if (SPOKEN_PROMOTIONS.includes(word)) {
+      // "queens" on its own promotes to a queen
+      const next = words.slice(i + 1).find(later => SPOKEN_PIECES[later]);
+      promotion = next ? SPOKEN_PIECES[next] : word === 'queens' ? 'Q' : '';
+      break;
+    } else if (SPOKEN_PIECES[word] && !piece && !squares) {
+      piece = SPOKEN_PIECES[word];
+    } else if (SPOKEN_CAPTURES.includes(word)) {
+      capture = true;
+    } else if (SPOKEN_DROPS.includes(word)) {
+      drop = true;
+    } else if (SPOKEN_FILES[word]) {
+      squares += SPOKEN_FILES[word];
+    } else if (SPOKEN_RANKS[word]) {
+      squares += SPOKEN_RANKS[word];
+    } else if (/^[a-h]?[1-8]?[a-h][1-8]$|^[a-h][1-8]?$|^[1-8]$/.test(word)) {
+      squares += word;
+    } else if (!SPOKEN_FILLER.includes(word)) {
+      return null;
+    }
+  }
+
+  const target = squares.slice(-2);
+  if (!/^[a-h][1-8]$/.test(target)) return null;
+  const origin = squares.slice(0, -2);
+  if (drop) return `${piece || 'P'}@${target}`;
+  // "e4 e5" style from-to pairs come out as a plain UCI move
+  if (!piece && /^[a-h][1-8]$/.test(origin)) return `${origin}${target}${promotion.toLowerCase()}`;
+  return `${piece}${origin}${capture ? 'x' : ''}${target}${promotion ? `=${promotion}` : ''}`;
+};
+
+// Which legal moves the text could mean. Returns { move, reason, candidates }: move is set when
+// exactly one fits; otherwise reason is 'invalid' (not a move at all), 'illegal' (no legal move
+// fits) or 'ambiguous' (several do, listed in candidates, e.g. "Nd2" or a promotion without a piece).
+// Text that is not notation is read as spoken words, so "knight f3" works as well as "Nf3".
+export const resolveMoveInput = (text, legalMoves = []) => {
+  const typed = resolveNotation(text, legalMoves);
+  if (typed.reason !== 'invalid') return typed;
+  const spoken = readSpokenMove(text);
+  return spoken ? resolveNotation(spoken, legalMoves) : typed;
+};
+
+const resolveNotation = (text, legalMoves) => {
+  const input = cleanInput(text);
+  const result = (candidates) => {
+    if (candidates === null) return { move: null, reason: 'invalid', candidates: [] };
+    if (candidates.length === 1) return { move: candidates[0], reason: null, candidates };
+    return { move: null, reason: candidates.length === 0 ? 'illegal' : 'ambiguous', candidates };
+  };
+
+  if (!input) return result(null);
+
+  if (CASTLING_INPUT.test(input)) {
+    const side = input.replace(/-/g, '').length === 3 ? 'q' : 'k';
+    return result(legalMoves.filter(move => move.flags?.includes(side)));
+  }
+
+  const uci = UCI_INPUT.exec(input);
+  if (uci) {
+    const [, from, to, promotion] = uci;
+    return result(legalMoves.filter(move => (
+      move.from === from &&
+      move.to === to &&
+      (!promotion || move.promotion === promotion.toLowerCase())
+    )));
+  }
+
+  const drop = DROP_INPUT.exec(input);
+  if (drop) {
+    const from = `${drop[1].toUpperCase()}@`;
+    return result(legalMoves.filter(move => move.from === from && move.to === drop[2]));
+  }
+
+  // Piece letters may be typed in lower case, except b which is also a file: "bxc3" is the
+  // pawn, and only falls back to the bishop when no pawn move fits
+  const lowerPiece = /^[nrqk]/.test(input) && input.length > 2;
+  const candidates = matchSan(lowerPiece ? input[0].toUpperCase() + input.slice(1) : input, legalMoves);
+  if (candidates?.length === 0 && /^b/.test(input) && input.length > 2) {
+    const bishop = matchSan(`B${input.slice(1)}`, legalMoves);
+    if (bishop?.length) return result(bishop);
+  }
+  return result(candidates);
+};
+
+const listMoves = (moves) => {
+  const names = moves.map(move => move.san || `${move.from}${move.to}${move.promotion || ''}`);
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0];
+};
+
+// A message for the player when resolveMoveInput found no single move
+export const describeInputError = (text, { reason, candidates = [] }) => {
+  const input = String(text || '').trim();
+  if (reason === 'ambiguous') return `${input} could be ${listMoves(candidates)}`;
+  if (reason === 'illegal') return `${input} is not legal here`;
+  return `"${input}" is not a move`;
+};
+
+// ============================================================================
+// KEYBOARD CURSOR
+// ============================================================================
+// Steps as the player sees the board, so ArrowUp always goes away from them
+const KEY_STEPS = {
+  ArrowUp: [-1, 0],
+  ArrowDown: [1, 0],
+  ArrowLeft: [0, -1],
+  ArrowRight: [0, 1]
+};
+
+export const isCursorKey = (key) => !!KEY_STEPS[key];
+
+export const moveCursor = (square, key, perspective = 'white') => {
+  const step = KEY_STEPS[key];
+  const order = getSquareOrder(perspective);
+  const index = order.indexOf(square);
+  if (!step || index === -1) return square;
+  const row = Math.min(Math.max(Math.floor(index / 8) + step[0], 0), 7);
+  const col = Math.min(Math.max((index % 8) + step[1], 0), 7);
+  return order[row * 8 + col];
+};
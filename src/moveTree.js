@@ -0,0 +1,94 @@
+// moveTree.js - Positions played on the board, kept as a tree so lines can branch
+
+export const createMoveTree = (startFen) => {
+  const root = {
+    id: 'root',
+    parentId: null,
+    children: [],
+    move: null,
+    fen: startFen,
+    ply: 0,
+    comment: null,
+    nags: []
+  };
+
+  return {
+    startFen,
+    nodes: { root },
+    nextId: 1
+  };
+};
+
+// The parts of a chess.js move the history keeps
+export const toHistoryMove = (move) => ({
+  from: move.from,
+  to: move.to,
+  promotion: move.promotion,
+  san: move.san,
+  color: move.color,
+  piece: move.piece,
+  captured: move.captured,
+  uci: `${move.from}${move.to}${move.promotion || ''}`
+});
+
+const isSameMove = (a, b) => (
+  a.from === b.from &&
+  a.to === b.to &&
+  (a.promotion || null) === (b.promotion || null)
+);
+
+const removeSubtree = (tree, node) => {
+  node.children.forEach(child => removeSubtree(tree, child));
+  delete tree.nodes[node.id];
+};
+
+// 'truncate' drops whatever followed the parent; 'branch' keeps it as the main line
+export const addMoveNode = (tree, parentId, move, fen, mode = 'truncate') => {
+  const parent = tree.nodes[parentId];
+  if (!parent) return null;
+
+  const existing = parent.children.find(child => isSameMove(child.move, move));
+  if (existing) return existing;
+
+  if (mode === 'truncate') {
+    parent.children.forEach(child => removeSubtree(tree, child));
+    parent.children = [];
+  }
+
+  const node = {
+    id: `n${tree.nextId++}`,
+    parentId,
+    children: [],
+    move,
+    fen,
+    ply: parent.ply + 1,
+    comment: null,
+    nags: []
+  };
+
+  tree.nodes[node.id] = node;
+  parent.children.push(node);
+  return node;
+};
+
+// Moves from the start up to and including the node
+export const getNodePath = (tree, nodeId) => {
+  const path = [];
+  let node = tree.nodes[nodeId];
+  while (node && node.parentId !== null) {
+    path.unshift(node);
+    node = tree.nodes[node.parentId];
+  }
+  return path;
+};
+
+// The line through the node: its path plus the main-line continuation after it
+export const getLineThrough = (tree, nodeId) => {
+  const line = getNodePath(tree, nodeId);
+  let node = tree.nodes[nodeId];
+  while (node && node.children.length > 0) {
+    node = node.children[0];
+    line.push(node);
+  }
+  return line;
+};
@@ -0,0 +1,298 @@
+// pgn.js - Reading and writing PGN games as move trees
+import { DEFAULT_POSITION } from './boardUtils';
+import { createGame, getPgnVariant, normalizeFen } from './rules';
+import { createMoveTree, addMoveNode, toHistoryMove } from './moveTree';
+
+// Suffix annotations and the NAGs they stand for
+const SUFFIX_NAGS = {
+  '!': 1,
+  '?': 2,
+  '!!': 3,
+  '??': 4,
+  '!?': 5,
+  '?!': 6
+};
+
+export const NAG_GLYPHS = {
+  1: '!',
+  2: '?',
+  3: '!!',
+  4: '??',
+  5: '!?',
+  6: '?!',
+  7: '□',
+  10: '=',
+  13: '∞',
+  14: '⩲',
+  15: '⩱',
+  16: '±',
+  17: '∓',
+  18: '+-',
+  19: '-+',
+  22: '⨀',
+  23: '⨀',
+  32: '⟳',
+  33: '⟳',
+  36: '→',
+  37: '→',
+  40: '↑',
+  41: '↑',
+  132: '⇆',
+  133: '⇆',
+  138: '⊕',
+  139: '⊕',
+  140: '∆',
+  146: 'N'
+};
+
+// Badge colours for the move assessments (NAGs 1-6)
+export const GLYPH_COLORS = {
+  '!!': '#1BACA6',
+  '!': '#5C8BB0',
+  '!?': '#E273D7',
+  '?!': '#F7C631',
+  '?': '#E69F00',
+  '??': '#DF5353'
+};
+
+const SEVEN_TAG_ROSTER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+const RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+export const getNagGlyphs = (nags) => (nags || []).map(nag => NAG_GLYPHS[nag]).filter(Boolean);
+
+// The move assessment shown as a badge; position judgements are left to the app
+export const getMoveGlyph = (nags) => {
+  const nag = (nags || []).find(value => value >= 1 && value <= 6);
+  return nag ? NAG_GLYPHS[nag] : null;
+};
+
+// ============================================================================
+// TOKENIZER
+// ============================================================================
+const tokenize = (pgn) => {
+  const tokens = [];
+  const text = pgn.replace(/\r\n?/g, '\n');
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '%' && (i === 0 || text[i - 1] === '\n')) {
+      // Escaped line
+      while (i < text.length && text[i] !== '\n') i++;
+    } else if (char === '[') {
+      const end = text.indexOf(']', i);
+      const match = text.slice(i, end + 1).match(/^\[\s*(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]$/);
+      if (match) {
+        tokens.push({ type: 'header', key: match[1], value: match[2].replace(/\\(["\\])/g, '$1') });
+      }
+      i = end === -1 ? text.length : end + 1;
+    } else if (char === '{') {
+      const end = text.indexOf('}', i);
+      tokens.push({ type: 'comment', value: text.slice(i + 1, end === -1 ? text.length : end) });
+      i = end === -1 ? text.length : end + 1;
+    } else if (char === ';') {
+      const end = text.indexOf('\n', i);
+      tokens.push({ type: 'comment', value: text.slice(i + 1, end === -1 ? text.length : end) });
+      i = end === -1 ? text.length : end + 1;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      i++;
+    } else {
+      let end = i;
+      while (end < text.length && !/[\s(){};[]/.test(text[end])) end++;
+      tokens.push({ type: 'word', value: text.slice(i, end) });
+      i = end;
+    }
+  }
+
+  return tokens;
+};
+
+// Engine and clock commands such as [%clk 0:03:00] are not commentary
+const cleanComment = (value) => value.replace(/\[%[^\]]*\]/g, '').replace(/\s+/g, ' ').trim();
+
+const appendComment = (node, comment) => {
+  if (!comment) return;
+  node.comment = node.comment ? `${node.comment} ${comment}` : comment;
+};
+
+// ============================================================================
+// PARSER
+// ============================================================================
+// Reads the first game of the text; throws on an illegal or unreadable move.
+// Without a variant the Variant tag decides (Chess960 or standard rules).
+export const parsePgn = (pgn, variant) => {
+  const tokens = tokenize(pgn || '');
+  const headers = {};
+  let tree = null;
+  let currentId = 'root';
+  let pendingComment = null;
+  let gameVariant = variant;
+  const variationStack = [];
+
+  const ensureTree = () => {
+    if (!tree) {
+      gameVariant = variant || getPgnVariant(headers);
+      tree = createMoveTree(normalizeFen(headers.FEN || DEFAULT_POSITION, gameVariant));
+    }
+    return tree;
+  };
+
+  for (const token of tokens) {
+    if (token.type === 'header') {
+      // Headers after the moves belong to the next game
+      if (tree) break;
+      headers[token.key] = token.value;
+      continue;
+    }
+
+    ensureTree();
+
+    if (token.type === 'comment') {
+      // Comments at the start of a variation describe its first move
+      const comment = cleanComment(token.value);
+      if (pendingComment !== null) {
+        pendingComment = [pendingComment, comment].filter(Boolean).join(' ');
+      } else {
+        appendComment(tree.nodes[currentId], comment);
+      }
+    } else if (token.type === '(') {
+      // A variation replaces the move just played
+      const node = tree.nodes[currentId];
+      if (!node || node.parentId === null) {
+        throw new Error('Variation without a preceding move');
+      }
+      variationStack.push(currentId);
+      currentId = node.parentId;
+      pendingComment = '';
+    } else if (token.type === ')') {
+      if (variationStack.length === 0) {
+        throw new Error('Unbalanced variation');
+      }
+      currentId = variationStack.pop();
+      pendingComment = null;
+    } else if (/^\$\d+$/.test(token.value)) {
+      const node = tree.nodes[currentId];
+      if (node && node.parentId !== null) {
+        node.nags.push(parseInt(token.value.slice(1)));
+      }
+    } else if (RESULTS.includes(token.value)) {
+      if (!headers.Result) headers.Result = token.value;
+      if (variationStack.length === 0) break;
+    } else {
+      // Move numbers may be glued to the move ("12.Nf3") or stand alone ("12...")
+      const word = token.value.replace(/^\d+\.*/, '');
+      if (!word) continue;
+
+      const suffix = word.match(/[!?]+$/);
+      const san = suffix ? word.slice(0, -suffix[0].length) : word;
+      if (!san) continue;
+
+      const parent = tree.nodes[currentId];
+      const chess = createGame(parent.fen, gameVariant);
+      let move;
+      try {
+        move = chess.move(san, { strict: false });
+      } catch (e) {
+        throw new Error(`Illegal move in PGN: ${token.value} (ply ${parent.ply + 1})`);
+      }
+
+      const node = addMoveNode(tree, currentId, toHistoryMove(move), chess.fen(), 'branch');
+      if (suffix && SUFFIX_NAGS[suffix[0]] && !node.nags.includes(SUFFIX_NAGS[suffix[0]])) {
+        node.nags.push(SUFFIX_NAGS[suffix[0]]);
+      }
+      if (pendingComment) {
+        appendComment(node, pendingComment);
+      }
+      pendingComment = null;
+      currentId = node.id;
+    }
+  }
+
+  return { headers, tree: ensureTree() };
+};
+
+// ============================================================================
+// WRITER
+// ============================================================================
+const getMoveNumber = (tree, node) => {
+  const fields = tree.startFen.split(' ');
+  const halfMove = node.ply - 1 + (fields[1] === 'b' ? 1 : 0);
+  return {
+    number: (parseInt(fields[5]) || 1) + Math.floor(halfMove / 2),
+    isWhite: halfMove % 2 === 0
+  };
+};
+
+const formatComment = (comment) => `{${comment.replace(/}/g, ')')}}`;
+
+const writeMove = (tree, node, needNumber, tokens) => {
+  const { number, isWhite } = getMoveNumber(tree, node);
+  if (isWhite) {
+    tokens.push(`${number}.`);
+  } else if (needNumber) {
+    tokens.push(`${number}...`);
+  }
+  tokens.push(node.move.san);
+  node.nags.forEach(nag => tokens.push(`$${nag}`));
+  if (node.comment) {
+    tokens.push(formatComment(node.comment));
+  }
+};
+
+const writeLine = (tree, parent, needNumber, tokens) => {
+  let node = parent;
+  let forceNumber = needNumber;
+
+  while (node.children.length > 0) {
+    const [main, ...variations] = node.children;
+    writeMove(tree, main, forceNumber, tokens);
+    forceNumber = !!main.comment;
+
+    variations.forEach(variation => {
+      const variationTokens = [];
+      writeMove(tree, variation, true, variationTokens);
+      writeLine(tree, variation, !!variation.comment, variationTokens);
+      tokens.push(`(${variationTokens.join(' ')})`);
+      forceNumber = true;
+    });
+
+    node = main;
+  }
+};
+
+export const writePgn = (tree, headers = {}) => {
+  const tags = { ...headers };
+  SEVEN_TAG_ROSTER.forEach(key => {
+    if (tags[key] === undefined) {
+      tags[key] = key === 'Date' ? '????.??.??' : key === 'Result' ? '*' : '?';
+    }
+  });
+  delete tags.SetUp;
+  delete tags.FEN;
+  // The crazyhouse start only differs by its empty pockets
+  if (tree.startFen.replace('[]', '') !== DEFAULT_POSITION) {
+    tags.SetUp = '1';
+    tags.FEN = tree.startFen;
+  }
+
+  const orderedKeys = [
+    ...SEVEN_TAG_ROSTER,
+    ...Object.keys(tags).filter(key => !SEVEN_TAG_ROSTER.includes(key))
+  ];
+  const headerText = orderedKeys
+    .map(key => `[${key} "${String(tags[key]).replace(/(["\\])/g, '\\$1')}"]`)
+    .join('\n');
+
+  const tokens = [];
+  if (tree.nodes.root.comment) {
+    tokens.push(formatComment(tree.nodes.root.comment));
+  }
+  writeLine(tree, tree.nodes.root, true, tokens);
+  tokens.push(tags.Result);
+
+  return `${headerText}\n\n${tokens.join(' ')}`;
+};
@@ -0,0 +1,181 @@
+// premoves.js - Destinations and virtual positions for moves queued off-turn
+
+const KNIGHT_JUMPS = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]];
+const KING_STEPS = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+const ROOK_RAYS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const BISHOP_RAYS = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+const toCoords = (square) => ({
+  file: square.charCodeAt(0) - 97,
+  rank: parseInt(square[1]) - 1
+});
+
+const toSquare = (file, rank) => `${String.fromCharCode(97 + file)}${rank + 1}`;
+
+const isOnBoard = (file, rank) => file >= 0 && file < 8 && rank >= 0 && rank < 8;
+
+// Board arrays use the chess.js layout: row 0 is rank 8
+export const getPieceAt = (board, square) => {
+  const { file, rank } = toCoords(square);
+  return board[7 - rank]?.[file] || null;
+};
+
+const collectRays = (file, rank, rays, destinations) => {
+  rays.forEach(([df, dr]) => {
+    for (let f = file + df, r = rank + dr; isOnBoard(f, r); f += df, r += dr) {
+      destinations.push(toSquare(f, r));
+    }
+  });
+};
+
+const collectSteps = (file, rank, steps, destinations) => {
+  steps.forEach(([df, dr]) => {
+    if (isOnBoard(file + df, rank + dr)) {
+      destinations.push(toSquare(file + df, rank + dr));
+    }
+  });
+};
+
+// The rules' castlings for a king standing on `square` with its rook still in place
+const collectCastling = (board, square, piece, castling, destinations) => {
+  castling.forEach(({ king, rook, to }) => {
+    const rookPiece = getPieceAt(board, rook);
+    if (king !== square || !rookPiece || rookPiece.type !== 'r' || rookPiece.color !== piece.color) return;
+    if (!destinations.includes(to)) destinations.push(to);
+  });
+};
+
+// Premove targets ignore blockers and occupancy: the opponent's reply can change both.
+// `castling` is what the rules adapter's getCastling gives for the side; without it the king
+// is offered the standard g- and c-file squares.
+export const getPremoveDestinations = (board, square, castling = null) => {
+  const piece = getPieceAt(board, square);
+  if (!piece) return [];
+
+  const { file, rank } = toCoords(square);
+  const destinations = [];
+
+  switch (piece.type) {
+    case 'p': {
+      const direction = piece.color === 'w' ? 1 : -1;
+      const startRank = piece.color === 'w' ? 1 : 6;
+      if (isOnBoard(file, rank + direction)) {
+        destinations.push(toSquare(file, rank + direction));
+      }
+      if (rank === startRank) {
+        destinations.push(toSquare(file, rank + direction * 2));
+      }
+      [-1, 1].forEach(df => {
+        if (isOnBoard(file + df, rank + direction)) {
+          destinations.push(toSquare(file + df, rank + direction));
+        }
+      });
+      break;
+    }
+    case 'n':
+      collectSteps(file, rank, KNIGHT_JUMPS, destinations);
+      break;
+    case 'b':
+      collectRays(file, rank, BISHOP_RAYS, destinations);
+      break;
+    case 'r':
+      collectRays(file, rank, ROOK_RAYS, destinations);
+      break;
+    case 'q':
+      collectRays(file, rank, [...ROOK_RAYS, ...BISHOP_RAYS], destinations);
+      break;
+    case 'k': {
+      collectSteps(file, rank, KING_STEPS, destinations);
+      if (castling) {
+        collectCastling(board, square, piece, castling, destinations);
+        break;
+      }
+      const homeRank = piece.color === 'w' ? 0 : 7;
+      if (file === 4 && rank === homeRank) {
+        const rookOn = (f) => {
+          const rook = getPieceAt(board, toSquare(f, homeRank));
+          return rook && rook.type === 'r' && rook.color === piece.color;
+        };
+        if (rookOn(7)) destinations.push(toSquare(6, homeRank));
+        if (rookOn(0)) destinations.push(toSquare(2, homeRank));
+      }
+      break;
+    }
+    default:
+      break;
+  }
+
+  return destinations;
+};
+
+// Destinations plus the ones currently holding an enemy piece
+export const getPremoveTargets = (board, square, castling = null) => {
+  const piece = getPieceAt(board, square);
+  const validMoves = getPremoveDestinations(board, square, castling);
+  const captureMoves = validMoves.filter(target => {
+    const targetPiece = getPieceAt(board, target);
+    return !!piece && !!targetPiece && targetPiece.color !== piece.color;
+  });
+  return { validMoves, captureMoves };
+};
+
+export const isPremovePromotion = (board, from, to) => {
+  const piece = getPieceAt(board, from);
+  return !!piece && piece.type === 'p' && (to[1] === '1' || to[1] === '8');
+};
+
+// Plays the queue onto a copy of the board so later premoves can build on earlier ones.
+// `castling` is the same list getPremoveDestinations takes.
+export const applyPremovesToBoard = (board, premoves, castling = []) => {
+  const result = board.map(row => row.slice());
+
+  premoves.forEach(({ from, to, promotion }) => {
+    const fromCoords = toCoords(from);
+    const toCoordsValue = toCoords(to);
+    const piece = result[7 - fromCoords.rank][fromCoords.file];
+    if (!piece) return;
+
+    // A king put onto its own rook castles the Chess960 way: to the g- or c-file, the rook
+    // beside it on the f- or d-file
+    const target = result[7 - toCoordsValue.rank][toCoordsValue.file];
+    const isRookCastling = piece.type === 'k' && target && target.type === 'r' && target.color === piece.color &&
+      castling.some(option => option.king === from && option.to === to);
+    if (isRookCastling) {
+      const row = 7 - fromCoords.rank;
+      const kingside = toCoordsValue.file > fromCoords.file;
+      result[row][fromCoords.file] = null;
+      result[row][toCoordsValue.file] = null;
+      result[row][kingside ? 6 : 2] = piece;
+      result[row][kingside ? 5 : 3] = target;
+      return;
+    }
+
+    result[7 - fromCoords.rank][fromCoords.file] = null;
+    result[7 - toCoordsValue.rank][toCoordsValue.file] = promotion
+      ? { ...piece, type: promotion }
+      : piece;
+
+    // Castling premoves carry the rook along
+    if (piece.type === 'k' && Math.abs(toCoordsValue.file - fromCoords.file) === 2) {
+      const row = 7 - fromCoords.rank;
+      const kingside = toCoordsValue.file > fromCoords.file;
+      const rookFrom = kingside ? 7 : 0;
+      const rookTo = kingside ? 5 : 3;
+      result[row][rookTo] = result[row][rookFrom];
+      result[row][rookFrom] = null;
+    }
+  });
+
+  return result;
+};
+
+// The next premove once the player is on move again. It is played only if the game allows it;
+// otherwise `premove` is null and the whole queue goes, since the rest was planned on top of it.
+export const takeNextPremove = (game, queue) => {
+  const [next, ...remaining] = queue;
+  if (!next) return { premove: null, remaining: [] };
+  const isLegal = game.moves({ square: next.from, verbose: true }).some(move => (
+    move.to === next.to && (move.promotion || null) === (next.promotion || null)
+  ));
+  return isLegal ? { premove: next, remaining } : { premove: null, remaining: [] };
+};
@@ -0,0 +1,53 @@
+// puzzle.js - Checking moves against a puzzle's solution line
+import { createGame } from './rules';
+
+const UCI_PATTERN = /^([a-h][1-8])([a-h][1-8])([qrbn])?$/;
+const RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+// Accepts an array or a space separated line; move numbers and results are dropped
+export const normalizeSolution = (solution) => {
+  if (!solution) return [];
+  const moves = Array.isArray(solution) ? solution : String(solution).split(/\s+/);
+  return moves
+    .map(move => String(move).trim().replace(/^\d+\.+/, ''))
+    .filter(move => move && !RESULTS.includes(move));
+};
+
+// Resolves a UCI or SAN move in the position without changing it; null when illegal
+export const resolveSolutionMove = (fen, notation, variant) => {
+  if (!notation) return null;
+  const chess = createGame(fen, variant);
+  const uci = notation.match(UCI_PATTERN);
+  try {
+    return uci
+      ? chess.move({ from: uci[1], to: uci[2], promotion: uci[3] })
+      : chess.move(notation.replace(/[!?]+$/, ''), { strict: false });
+  } catch (e) {
+    return null;
+  }
+};
+
+// Any mate is as good as the one in the solution
+export const isSolutionMove = (move, expected) => {
+  if (!move || !expected) return false;
+  if (
+    move.from === expected.from &&
+    move.to === expected.to &&
+    (move.promotion || null) === (expected.promotion || null)
+  ) {
+    return true;
+  }
+  return expected.san.endsWith('#') && move.san.endsWith('#');
+};
+
+// Plays the line from `fen` and returns its first move that is not legal as { ply, move },
+// counting plies from 1; null when the whole line plays
+export const findIllegalSolutionMove = (fen, line, variant) => {
+  const game = createGame(fen, variant);
+  for (let index = 0; index < line.length; index++) {
+    const move = resolveSolutionMove(game.fen(), line[index], variant);
+    if (!move) return { ply: index + 1, move: line[index] };
+    game.move({ from: move.from, to: move.to, promotion: move.promotion });
+  }
+  return null;
+};
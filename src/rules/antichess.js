@@ -0,0 +1,33 @@
+// antichess.js - Captures are compulsory and the side that runs out of moves wins
+import { VariantGame } from './variantGame';
+import { generatePseudoMoves, PROMOTION_PIECES } from './position';
+
+// The king is an ordinary piece: no check, no castling, and pawns may promote to it
+export class Antichess extends VariantGame {
+  pseudoMoves(position) {
+    return generatePseudoMoves(position, { castling: false, promotions: [...PROMOTION_PIECES, 'k'] });
+  }
+
+  isCheck() {
+    return false;
+  }
+
+  legalMoves(position) {
+    const moves = this.pseudoMoves(position);
+    const captures = moves.filter(move => move.captured);
+    return captures.length > 0 ? captures : moves;
+  }
+
+  variantOutcome(position) {
+    const hasPieces = position.board.flat().some(piece => piece && piece.color === position.turn);
+    if (!hasPieces) return { reason: 'out_of_pieces', winner: position.turn };
+    if (this.legalMoves(position).length === 0) return { reason: 'out_of_moves', winner: position.turn };
+    return null;
+  }
+
+  isInsufficientMaterial() {
+    return false;
+  }
+}
+
+export default Antichess;
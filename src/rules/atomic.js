@@ -0,0 +1,74 @@
+// atomic.js - Captures explode, removing every piece but pawns around the capture square
+import { VariantGame } from './variantGame';
+import {
+  generatePseudoMoves,
+  makeMove,
+  isAttacked,
+  findKings,
+  neighbours,
+  opponent,
+  pieceAt,
+  toCoords
+} from './position';
+
+// Kings never capture, so only the other pieces attack
+const attackedBy = (board, square, color) => isAttacked(board, square, color, { ignoreKings: true });
+
+const areAdjacent = (a, b) => {
+  const [rowA, colA] = toCoords(a);
+  const [rowB, colB] = toCoords(b);
+  return Math.max(Math.abs(rowA - rowB), Math.abs(colA - colB)) === 1;
+};
+
+// Clears the capture square and its non-pawn neighbours; returns the squares that lost a piece
+const explode = (board, move) => {
+  const blast = [move.to, ...neighbours(move.to).filter(square => {
+    const piece = pieceAt(board, square);
+    return piece && piece.type !== 'p';
+  })];
+  blast.forEach(square => {
+    const [row, col] = toCoords(square);
+    board[row][col] = null;
+  });
+  return blast;
+};
+
+// Touching kings cannot be checked: taking one would blow up the other
+const kingInDanger = (board, color) => {
+  const [king] = findKings(board, color);
+  const [enemyKing] = findKings(board, opponent(color));
+  if (!king || !enemyKing || areAdjacent(king, enemyKing)) return false;
+  return attackedBy(board, king, opponent(color));
+};
+
+export class Atomic extends VariantGame {
+  pseudoMoves(position) {
+    return generatePseudoMoves(position, { attackedBy })
+      .filter(move => !(move.piece === 'k' && move.captured));
+  }
+
+  play(position, move) {
+    return makeMove(position, move, { explode });
+  }
+
+  isCheck(position) {
+    return kingInDanger(position.board, position.turn);
+  }
+
+  // Blowing up the enemy king wins even if our own king would be attacked
+  isLegal(position, next) {
+    const mover = position.turn;
+    if (findKings(next.board, mover).length === 0) return false;
+    if (findKings(next.board, opponent(mover)).length === 0) return true;
+    return !kingInDanger(next.board, mover);
+  }
+
+  variantOutcome(position) {
+    if (findKings(position.board, position.turn).length === 0) {
+      return { reason: 'explosion', winner: opponent(position.turn) };
+    }
+    return null;
+  }
+}
+
+export default Atomic;
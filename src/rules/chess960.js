@@ -0,0 +1,289 @@
+// chess960.js - Fischer Random rules on top of chess.js
+import { Chess } from 'chess.js';
+
+const FILES = 'abcdefgh';
+const BACK_RANK = { w: '1', b: '8' };
+
+const fileIndex = (square) => FILES.indexOf(square[0]);
+const opponent = (color) => (color === 'w' ? 'b' : 'w');
+
+// Placement, side to move, castling rights and en passant: what threefold repetition compares
+const repetitionKey = (fen) => fen.split(' ').slice(0, 4).join(' ');
+
+// Squares of one rank strictly between two files
+const squaresBetween = (rank, fromFile, toFile) => {
+  const squares = [];
+  for (let file = Math.min(fromFile, toFile) + 1; file < Math.max(fromFile, toFile); file++) {
+    squares.push(`${FILES[file]}${rank}`);
+  }
+  return squares;
+};
+
+const findKing = (chess, color) => (
+  chess.board().flat().find(piece => piece && piece.type === 'k' && piece.color === color)?.square || null
+);
+
+const findRooks = (chess, color) => (
+  chess.board().flat()
+    .filter(piece => piece && piece.type === 'r' && piece.color === color && piece.square[1] === BACK_RANK[color])
+    .map(piece => piece.square)
+);
+
+// ============================================================================
+// CASTLING RIGHTS - X-FEN (KQkq, file letters for inner rooks) and Shredder-FEN (HAha)
+// ============================================================================
+export const parseCastlingRights = (chess, field) => {
+  const rights = { w: [], b: [] };
+  if (!field || field === '-') return rights;
+
+  for (const char of field) {
+    const color = char === char.toUpperCase() ? 'w' : 'b';
+    const king = findKing(chess, color);
+    if (!king || king[1] !== BACK_RANK[color]) continue;
+
+    const kingFile = fileIndex(king);
+    const rooks = findRooks(chess, color);
+    const letter = char.toLowerCase();
+    let rook = null;
+
+    if (letter === 'k') {
+      // Outermost rook on the h-side of the king
+      rook = rooks.filter(square => fileIndex(square) > kingFile)
+        .sort((a, b) => fileIndex(b) - fileIndex(a))[0];
+    } else if (letter === 'q') {
+      rook = rooks.filter(square => fileIndex(square) < kingFile)
+        .sort((a, b) => fileIndex(a) - fileIndex(b))[0];
+    } else if (FILES.includes(letter)) {
+      rook = rooks.find(square => square[0] === letter);
+    }
+
+    if (rook && !rights[color].includes(rook)) {
+      rights[color].push(rook);
+    }
+  }
+
+  return rights;
+};
+
+// K/Q when the rook is the outermost on its side, the rook's file otherwise
+export const formatCastlingRights = (chess, rights) => {
+  const parts = [];
+
+  ['w', 'b'].forEach(color => {
+    const king = findKing(chess, color);
+    if (!king) return;
+    const kingFile = fileIndex(king);
+    const rooks = findRooks(chess, color);
+
+    const sides = [
+      { letter: 'k', rooks: rights[color].filter(square => fileIndex(square) > kingFile) },
+      { letter: 'q', rooks: rights[color].filter(square => fileIndex(square) < kingFile) }
+    ];
+
+    sides.forEach(({ letter, rooks: sideRooks }) => {
+      sideRooks.forEach(rook => {
+        const isOutermost = rooks.every(other => (
+          letter === 'k' ? fileIndex(other) <= fileIndex(rook) : fileIndex(other) >= fileIndex(rook)
+        ));
+        const char = isOutermost ? letter : rook[0];
+        parts.push(color === 'w' ? char.toUpperCase() : char);
+      });
+    });
+  });
+
+  return parts.length > 0 ? parts.join('') : '-';
+};
+
+// ============================================================================
+// CHESS960 - chess.js-shaped game; castling is written as the king moving onto its rook
+// ============================================================================
+export class Chess960 {
+  constructor(fen, options = {}) {
+    this.load(fen || 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1', options);
+  }
+
+  // chess.js never sees castling rights; they are tracked here
+  load(fen, options = {}) {
+    const fields = fen.trim().split(/\s+/);
+    const castling = fields[2] || '-';
+    fields[2] = '-';
+    this._chess = new Chess(fields.join(' '), { skipValidation: true, ...options });
+    this._castling = parseCastlingRights(this._chess, castling);
+    this._positions = [repetitionKey(this.fen())];
+  }
+
+  fen() {
+    const fields = this._chess.fen().split(' ');
+    fields[2] = formatCastlingRights(this._chess, this._castling);
+    return fields.join(' ');
+  }
+
+  board() {
+    return this._chess.board();
+  }
+
+  get(square) {
+    return this._chess.get(square);
+  }
+
+  turn() {
+    return this._chess.turn();
+  }
+
+  inCheck() {
+    return this._chess.inCheck();
+  }
+
+  isAttacked(square, attackedBy) {
+    return this._chess.isAttacked(square, attackedBy);
+  }
+
+  getCastlingRights(color) {
+    return [...this._castling[color]];
+  }
+
+  // A castling move that would result, or null; the king's landing square is checked in the final position
+  _castlingMove(rook) {
+    const color = this._chess.turn();
+    const king = findKing(this._chess, color);
+    if (!king || this._chess.inCheck()) return null;
+
+    const rank = BACK_RANK[color];
+    const kingFile = fileIndex(king);
+    const rookFile = fileIndex(rook);
+    const kingSide = rookFile > kingFile;
+    const kingTo = `${kingSide ? 'g' : 'c'}${rank}`;
+    const rookTo = `${kingSide ? 'f' : 'd'}${rank}`;
+
+    // Everything the king and rook cross must be empty, apart from the two of them
+    const crossed = new Set([
+      ...squaresBetween(rank, kingFile, fileIndex(kingTo)),
+      ...squaresBetween(rank, rookFile, fileIndex(rookTo)),
+      kingTo,
+      rookTo
+    ]);
+    for (const square of crossed) {
+      if (square !== king && square !== rook && this._chess.get(square)) return null;
+    }
+
+    const enemy = opponent(color);
+    const kingPath = [...squaresBetween(rank, kingFile, fileIndex(kingTo)), kingTo];
+    if (kingTo !== king && kingPath.some(square => this._chess.isAttacked(square, enemy))) return null;
+
+    const after = new Chess(this._chess.fen(), { skipValidation: true });
+    after.remove(king);
+    after.remove(rook);
+    after.put({ type: 'r', color }, rookTo);
+    after.put({ type: 'k', color }, kingTo);
+    if (after.isAttacked(kingTo, enemy)) return null;
+
+    const fields = this._chess.fen().split(' ');
+    const placement = after.fen().split(' ')[0];
+    const halfMoves = parseInt(fields[4]) + 1;
+    const fullMoves = parseInt(fields[5]) + (color === 'b' ? 1 : 0);
+    const nextFen = `${placement} ${enemy} - - ${halfMoves} ${fullMoves}`;
+
+    const probe = new Chess(nextFen, { skipValidation: true });
+    const suffix = probe.isCheckmate() ? '#' : probe.inCheck() ? '+' : '';
+
+    return {
+      color,
+      piece: 'k',
+      from: king,
+      to: rook,
+      kingTo,
+      rookTo,
+      flags: kingSide ? 'k' : 'q',
+      san: `${kingSide ? 'O-O' : 'O-O-O'}${suffix}`,
+      lan: `${king}${rook}`,
+      fen: nextFen
+    };
+  }
+
+  _castlingMoves() {
+    return this._castling[this._chess.turn()]
+      .map(rook => this._castlingMove(rook))
+      .filter(Boolean);
+  }
+
+  moves({ square, verbose = false } = {}) {
+    const moves = this._chess.moves({ square, verbose: true })
+      .map(move => ({ ...move, before: this.fen() }));
+    const castling = this._castlingMoves()
+      .filter(move => !square || move.from === square)
+      .map(({ kingTo, rookTo, fen, ...move }) => ({ ...move, before: this.fen() }));
+    const all = [...moves, ...castling];
+    return verbose ? all : all.map(move => move.san);
+  }
+
+  // Accepts SAN, "O-O"/"O-O-O", king-to-rook, or king-to-destination when that is not an ordinary move
+  move(move, options = {}) {
+    const before = this.fen();
+    const castling = this._findCastling(move);
+    if (castling) {
+      const { kingTo, rookTo, fen, ...played } = castling;
+      this._castling[castling.color] = [];
+      this._chess.load(fen, { skipValidation: true });
+      this._positions.push(repetitionKey(this.fen()));
+      return { ...played, before, after: this.fen() };
+    }
+
+    const played = this._chess.move(move, options);
+    const enemy = opponent(played.color);
+    if (played.piece === 'k') {
+      this._castling[played.color] = [];
+    }
+    this._castling[played.color] = this._castling[played.color].filter(square => square !== played.from);
+    this._castling[enemy] = this._castling[enemy].filter(square => square !== played.to);
+    this._positions.push(repetitionKey(this.fen()));
+    return { ...played, before, after: this.fen() };
+  }
+
+  _findCastling(move) {
+    const candidates = this._castlingMoves();
+    if (candidates.length === 0) return null;
+
+    if (typeof move === 'string') {
+      const san = move.replace(/0/g, 'O').replace(/[+#!?]+$/, '');
+      if (san === 'O-O') return candidates.find(candidate => candidate.flags === 'k') || null;
+      if (san === 'O-O-O') return candidates.find(candidate => candidate.flags === 'q') || null;
+      return null;
+    }
+
+    const exact = candidates.find(candidate => candidate.from === move.from && candidate.to === move.to);
+    if (exact) return exact;
+
+    const isOrdinary = this._chess.moves({ square: move.from, verbose: true }).some(other => other.to === move.to);
+    if (isOrdinary) return null;
+    return candidates.find(candidate => candidate.from === move.from && candidate.kingTo === move.to) || null;
+  }
+
+  isCheckmate() {
+    return this._chess.isCheckmate();
+  }
+
+  // Castling is never the only way out of check, but it can be the only legal move otherwise
+  isStalemate() {
+    return !this._chess.inCheck() && this.moves().length === 0;
+  }
+
+  isInsufficientMaterial() {
+    return this._chess.isInsufficientMaterial();
+  }
+
+  isThreefoldRepetition() {
+    const current = this._positions[this._positions.length - 1];
+    return this._positions.filter(key => key === current).length >= 3;
+  }
+
+  isDraw() {
+    const halfMoves = parseInt(this._chess.fen().split(' ')[4]);
+    return halfMoves >= 100 || this.isStalemate() || this.isInsufficientMaterial() || this.isThreefoldRepetition();
+  }
+
+  isGameOver() {
+    return this.isCheckmate() || this.isDraw();
+  }
+}
+
+export default Chess960;
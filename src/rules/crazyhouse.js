@@ -0,0 +1,150 @@
+// crazyhouse.js - Captured pieces change sides and can be dropped back on the board
+import { VariantGame } from './variantGame';
+import { parseFen, formatFen, generatePseudoMoves, makeMove, opponent, toSquare, toCoords } from './position';
+
+export const POCKET_PIECES = ['p', 'n', 'b', 'r', 'q'];
+
+// Kings only come from the board editor's spare pieces
+const DROP_PATTERN = /^([PNBRQK])@$/;
+
+const emptyPockets = () => ({
+  w: { p: 0, n: 0, b: 0, r: 0, q: 0 },
+  b: { p: 0, n: 0, b: 0, r: 0, q: 0 }
+});
+
+// Drops are written like UCI: from is "N@", so from + to reads "N@f3"
+export const isDropSquare = (square) => DROP_PATTERN.test(square || '');
+
+export const toDropSquare = (type) => `${type.toUpperCase()}@`;
+
+// Pockets come in brackets after the placement ("...RNBQKBNR[Qp]") or as a ninth rank;
+// "~" after a piece marks a promoted pawn, which goes back to the pocket as a pawn
+export class Crazyhouse extends VariantGame {
+  readFen(fen) {
+    const fields = fen.trim().split(/\s+/);
+    let placement = fields[0];
+    let pocketText = '';
+
+    const bracket = placement.match(/^(.*)\[([^\]]*)\]$/);
+    if (bracket) {
+      placement = bracket[1];
+      pocketText = bracket[2];
+    } else if (placement.split('/').length === 9) {
+      const rows = placement.split('/');
+      pocketText = rows.pop();
+      placement = rows.join('/');
+    }
+
+    const promoted = [];
+    placement.split('/').forEach((rank, row) => {
+      let col = 0;
+      for (const char of rank) {
+        if (char === '~') promoted.push(toSquare(row, col - 1));
+        else col += /\d/.test(char) ? parseInt(char) : 1;
+      }
+    });
+
+    const pockets = emptyPockets();
+    for (const char of pocketText) {
+      const type = char.toLowerCase();
+      if (POCKET_PIECES.includes(type)) {
+        pockets[char === type ? 'b' : 'w'][type] += 1;
+      }
+    }
+
+    fields[0] = placement.replace(/~/g, '');
+    return { ...parseFen(fields.join(' ')), pockets, promoted };
+  }
+
+  writeFen(position) {
+    const fields = formatFen(position).split(' ');
+    const rows = fields[0].split('/').map((rank, row) => {
+      let text = '';
+      let col = 0;
+      for (const char of rank) {
+        text += char;
+        if (/\d/.test(char)) {
+          col += parseInt(char);
+        } else {
+          if (position.promoted.includes(toSquare(row, col))) text += '~';
+          col += 1;
+        }
+      }
+      return text;
+    });
+
+    const pocketText = ['w', 'b'].map(color => (
+      [...POCKET_PIECES].reverse().map(type => {
+        const letter = color === 'w' ? type.toUpperCase() : type;
+        return letter.repeat(position.pockets[color][type]);
+      }).join('')
+    )).join('');
+
+    fields[0] = `${rows.join('/')}[${pocketText}]`;
+    return fields.join(' ');
+  }
+
+  pseudoMoves(position) {
+    const moves = generatePseudoMoves(position);
+    const { board, turn } = position;
+    const pocket = position.pockets[turn];
+
+    POCKET_PIECES.forEach(type => {
+      if (pocket[type] === 0) return;
+      for (let row = 0; row < 8; row++) {
+        // Pawns are never dropped on the first or last rank
+        if (type === 'p' && (row === 0 || row === 7)) continue;
+        for (let col = 0; col < 8; col++) {
+          if (board[row][col]) continue;
+          moves.push({ color: turn, from: toDropSquare(type), to: toSquare(row, col), piece: type, flags: 'd' });
+        }
+      }
+    });
+
+    return moves;
+  }
+
+  play(position, move) {
+    const mover = position.turn;
+    const pockets = { w: { ...position.pockets.w }, b: { ...position.pockets.b } };
+
+    if (move.flags === 'd') {
+      const board = position.board.map(rank => [...rank]);
+      const [row, col] = toCoords(move.to);
+      board[row][col] = { type: move.piece, color: mover };
+      pockets[mover][move.piece] -= 1;
+      return {
+        ...position,
+        board,
+        turn: opponent(mover),
+        ep: null,
+        halfMoves: position.halfMoves + 1,
+        fullMoves: position.fullMoves + (mover === 'b' ? 1 : 0),
+        pockets
+      };
+    }
+
+    const next = makeMove(position, move);
+    if (move.captured) {
+      pockets[mover][position.promoted.includes(move.to) ? 'p' : move.captured] += 1;
+    }
+
+    const promoted = position.promoted.filter(square => square !== move.to && square !== move.from);
+    if (move.promotion || position.promoted.includes(move.from)) {
+      promoted.push(move.to);
+    }
+
+    return { ...next, pockets, promoted };
+  }
+
+  // Material always comes back in crazyhouse
+  isInsufficientMaterial() {
+    return false;
+  }
+
+  getPockets() {
+    return { w: { ...this._position.pockets.w }, b: { ...this._position.pockets.b } };
+  }
+}
+
+export default Crazyhouse;
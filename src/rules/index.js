@@ -0,0 +1,170 @@
+// rules/index.js - Rules adapters: which moves are legal and when the game ends
+import { Chess } from 'chess.js';
+import { Chess960 } from './chess960';
+import { KingOfTheHill } from './kingOfTheHill';
+import { ThreeCheck } from './threeCheck';
+import { Antichess } from './antichess';
+import { Atomic } from './atomic';
+import { Crazyhouse } from './crazyhouse';
+import { findKings } from './position';
+
+// An adapter is { name, pgnName, createGame(fen), getOutcome(game), getCastling(game, color) }.
+// The game it creates answers the chess.js calls the board makes: fen(), board(), get(square),
+// turn(), moves({ square, verbose }), move({ from, to, promotion } | san) (throws when illegal)
+// and inCheck(). getOutcome returns { reason, winner } once the game is over, else null.
+// getCastling lists the castlings a side still has the rights to as { king, rook, to }, `to`
+// being where the king is put to castle; premoves use it, as they cannot ask for legal moves.
+// Games with pieces in hand also answer getPockets() and list drops as moves from "N@".
+
+// Check, mate and draw reasons of the chess.js API, in the order they are reported
+export const getStandardOutcome = (game) => {
+  const turn = game.turn();
+  if (game.isCheckmate()) return { reason: 'checkmate', winner: turn === 'w' ? 'b' : 'w' };
+  if (game.isStalemate()) return { reason: 'stalemate', winner: null };
+  if (game.isInsufficientMaterial()) return { reason: 'insufficient_material', winner: null };
+  if (game.isThreefoldRepetition()) return { reason: 'threefold_repetition', winner: null };
+  if (game.isDraw()) return { reason: 'fifty_move_rule', winner: null };
+  return null;
+};
+
+const variantGameOutcome = (game) => game.getOutcome();
+
+// ============================================================================
+// CASTLING
+// ============================================================================
+const STANDARD_CASTLING = {
+  K: { king: 'e1', rook: 'h1', to: 'g1' },
+  Q: { king: 'e1', rook: 'a1', to: 'c1' },
+  k: { king: 'e8', rook: 'h8', to: 'g8' },
+  q: { king: 'e8', rook: 'a8', to: 'c8' }
+};
+
+// The KQkq letters of the FEN, with the king and rooks on their usual squares
+const getStandardCastling = (game, color) => (
+  (game.fen().split(/\s+/)[2] || '').split('')
+    .filter(letter => STANDARD_CASTLING[letter] && (letter === letter.toUpperCase()) === (color === 'w'))
+    .map(letter => STANDARD_CASTLING[letter])
+);
+
+// The king is put onto the rook it castles with, wherever the two started
+const getChess960Castling = (game, color) => {
+  const king = game.board().flat().find(piece => piece && piece.type === 'k' && piece.color === color);
+  if (!king) return [];
+  return game.getCastlingRights(color).map(rook => ({ king: king.square, rook, to: rook }));
+};
+
+// ============================================================================
+// BUILT-IN ADAPTERS
+// ============================================================================
+export const RULES = {
+  standard: {
+    name: 'standard',
+    pgnName: null,
+    createGame: (fen) => new Chess(fen, {skipValidation: true}),
+    getOutcome: getStandardOutcome,
+    getCastling: getStandardCastling
+  },
+  chess960: {
+    name: 'chess960',
+    pgnName: 'Chess960',
+    createGame: (fen) => new Chess960(fen),
+    getOutcome: getStandardOutcome,
+    getCastling: getChess960Castling
+  },
+  kingOfTheHill: {
+    name: 'kingOfTheHill',
+    pgnName: 'King of the Hill',
+    createGame: (fen) => new KingOfTheHill(fen),
+    getOutcome: variantGameOutcome,
+    getCastling: getStandardCastling
+  },
+  threeCheck: {
+    name: 'threeCheck',
+    pgnName: 'Three-check',
+    createGame: (fen) => new ThreeCheck(fen),
+    getOutcome: variantGameOutcome,
+    getCastling: getStandardCastling
+  },
+  antichess: {
+    name: 'antichess',
+    pgnName: 'Antichess',
+    createGame: (fen) => new Antichess(fen),
+    getOutcome: variantGameOutcome,
+    getCastling: () => []
+  },
+  atomic: {
+    name: 'atomic',
+    pgnName: 'Atomic',
+    createGame: (fen) => new Atomic(fen),
+    getOutcome: variantGameOutcome,
+    getCastling: getStandardCastling
+  },
+  crazyhouse: {
+    name: 'crazyhouse',
+    pgnName: 'Crazyhouse',
+    createGame: (fen) => new Crazyhouse(fen),
+    getOutcome: variantGameOutcome,
+    getCastling: getStandardCastling
+  }
+};
+
+export const VARIANTS = Object.keys(RULES);
+
+// A built-in name or a custom adapter; an unknown name is a mistake in the caller, so it throws
+export const resolveRules = (variant) => {
+  if (!variant) return RULES.standard;
+  if (Object.values(RULES).includes(variant)) return variant;
+  if (typeof variant === 'string') {
+    if (!RULES[variant]) {
+      throw new Error(`Unknown variant: ${variant}`);
+    }
+    return RULES[variant];
+  }
+  return {
+    name: 'custom',
+    pgnName: null,
+    getOutcome: (game) => (game.getOutcome ? game.getOutcome() : getStandardOutcome(game)),
+    getCastling: getStandardCastling,
+    ...variant
+  };
+};
+
+export const createGame = (fen, variant) => resolveRules(variant).createGame(fen);
+
+// Whether the rules can play on from `fen`. The games load most placements without complaint,
+// so the kings are counted too: one a side, except in antichess where the king is an ordinary
+// piece. An atomic game whose king has exploded, say, cannot go on as standard chess.
+export const canPlayPosition = (fen, variant) => {
+  const rules = resolveRules(variant);
+  let board;
+  try {
+    board = rules.createGame(fen).board();
+  } catch (e) {
+    return false;
+  }
+  return rules === RULES.antichess || ['w', 'b'].every(color => findKings(board, color).length === 1);
+};
+
+// The variant a PGN's Variant tag asks for
+const simplifyName = (name) => (name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+export const getPgnVariant = (headers = {}) => {
+  const tag = simplifyName(headers.Variant);
+  if (/960|fischer/.test(tag)) return 'chess960';
+  return VARIANTS.find(name => RULES[name].pgnName && simplifyName(RULES[name].pgnName) === tag) || 'standard';
+};
+
+// Rewrites the FEN the way the game writes it, so X-FEN and Shredder-FEN compare equal
+export const normalizeFen = (fen, variant) => {
+  const rules = resolveRules(variant);
+  if (rules === RULES.standard) return fen;
+  try {
+    return rules.createGame(fen).fen();
+  } catch (e) {
+    return fen;
+  }
+};
+
+export { VariantGame } from './variantGame';
+export { isDropSquare, toDropSquare, POCKET_PIECES } from './crazyhouse';
+export { Chess960, KingOfTheHill, ThreeCheck, Antichess, Atomic, Crazyhouse };
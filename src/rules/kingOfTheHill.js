@@ -0,0 +1,15 @@
+// kingOfTheHill.js - Standard chess, won early by bringing the king to the centre
+import { VariantGame } from './variantGame';
+import { findKings, opponent } from './position';
+
+export const HILL_SQUARES = ['d4', 'e4', 'd5', 'e5'];
+
+export class KingOfTheHill extends VariantGame {
+  variantOutcome(position) {
+    const mover = opponent(position.turn);
+    const [king] = findKings(position.board, mover);
+    return king && HILL_SQUARES.includes(king) ? { reason: 'king_of_the_hill', winner: mover } : null;
+  }
+}
+
+export default KingOfTheHill;
@@ -0,0 +1,334 @@
+// position.js - FEN positions and move generation for the in-house variant rules
+const FILES = 'abcdefgh';
+
+export const DEFAULT_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+const KNIGHT_STEPS = [[-2, -1], [-2, 1], [-1, -2], [-1, 2], [1, -2], [1, 2], [2, -1], [2, 1]];
+const KING_STEPS = [[-1, -1], [-1, 0], [-1, 1], [0, -1], [0, 1], [1, -1], [1, 0], [1, 1]];
+const BISHOP_RAYS = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+const ROOK_RAYS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+export const PROMOTION_PIECES = ['q', 'r', 'b', 'n'];
+
+// Board layout follows chess.js: row 0 is rank 8, col 0 is the a-file
+export const toSquare = (row, col) => `${FILES[col]}${8 - row}`;
+export const toCoords = (square) => [8 - parseInt(square[1]), FILES.indexOf(square[0])];
+
+const onBoard = (row, col) => row >= 0 && row < 8 && col >= 0 && col < 8;
+
+export const opponent = (color) => (color === 'w' ? 'b' : 'w');
+
+export const pieceAt = (board, square) => {
+  const [row, col] = toCoords(square);
+  return board[row][col];
+};
+
+// Squares around a square, used by atomic explosions
+export const neighbours = (square) => {
+  const [row, col] = toCoords(square);
+  return KING_STEPS
+    .map(([dr, dc]) => [row + dr, col + dc])
+    .filter(([r, c]) => onBoard(r, c))
+    .map(([r, c]) => toSquare(r, c));
+};
+
+export const findKings = (board, color) => {
+  const squares = [];
+  board.forEach((rank, row) => rank.forEach((piece, col) => {
+    if (piece && piece.type === 'k' && piece.color === color) squares.push(toSquare(row, col));
+  }));
+  return squares;
+};
+
+// ============================================================================
+// FEN
+// ============================================================================
+export const parseFen = (fen) => {
+  const fields = (fen || DEFAULT_FEN).trim().split(/\s+/);
+  const rows = fields[0].split('/');
+  if (rows.length !== 8) {
+    throw new Error(`Invalid FEN: ${fen}`);
+  }
+
+  const board = rows.map(rank => {
+    const row = [];
+    for (const char of rank) {
+      if (/\d/.test(char)) {
+        for (let i = 0; i < parseInt(char); i++) row.push(null);
+      } else if (/[pnbrqk]/i.test(char)) {
+        row.push({ type: char.toLowerCase(), color: char === char.toUpperCase() ? 'w' : 'b' });
+      } else {
+        throw new Error(`Invalid FEN: ${fen}`);
+      }
+    }
+    if (row.length !== 8) {
+      throw new Error(`Invalid FEN: ${fen}`);
+    }
+    return row;
+  });
+
+  return {
+    board,
+    turn: fields[1] === 'b' ? 'b' : 'w',
+    castling: fields[2] && fields[2] !== '-' ? fields[2] : '',
+    ep: fields[3] && fields[3] !== '-' ? fields[3] : null,
+    halfMoves: parseInt(fields[4]) || 0,
+    fullMoves: parseInt(fields[5]) || 1,
+    // Variant fields (such as remaining checks) are kept for the variant to read
+    extra: fields.slice(6)
+  };
+};
+
+export const formatPlacement = (board) => board.map(rank => {
+  let text = '';
+  let empty = 0;
+  rank.forEach(piece => {
+    if (!piece) {
+      empty++;
+      return;
+    }
+    if (empty) text += empty;
+    empty = 0;
+    text += piece.color === 'w' ? piece.type.toUpperCase() : piece.type;
+  });
+  return empty ? text + empty : text;
+}).join('/');
+
+export const formatFen = (position) => [
+  formatPlacement(position.board),
+  position.turn,
+  position.castling || '-',
+  position.ep || '-',
+  position.halfMoves,
+  position.fullMoves
+].join(' ');
+
+// ============================================================================
+// ATTACKS
+// ============================================================================
+// Whether a piece of the given colour attacks the square (kings included unless excluded)
+export const isAttacked = (board, square, byColor, { ignoreKings = false } = {}) => {
+  const [row, col] = toCoords(square);
+  const at = (r, c) => (onBoard(r, c) ? board[r][c] : null);
+  const isPiece = (piece, types) => piece && piece.color === byColor && types.includes(piece.type);
+
+  const pawnRow = byColor === 'w' ? row + 1 : row - 1;
+  if (isPiece(at(pawnRow, col - 1), 'p') || isPiece(at(pawnRow, col + 1), 'p')) return true;
+
+  if (KNIGHT_STEPS.some(([dr, dc]) => isPiece(at(row + dr, col + dc), 'n'))) return true;
+  if (!ignoreKings && KING_STEPS.some(([dr, dc]) => isPiece(at(row + dr, col + dc), 'k'))) return true;
+
+  const rayHits = (rays, types) => rays.some(([dr, dc]) => {
+    let r = row + dr;
+    let c = col + dc;
+    while (onBoard(r, c)) {
+      const piece = board[r][c];
+      if (piece) return isPiece(piece, types);
+      r += dr;
+      c += dc;
+    }
+    return false;
+  });
+
+  return rayHits(BISHOP_RAYS, ['b', 'q']) || rayHits(ROOK_RAYS, ['r', 'q']);
+};
+
+// ============================================================================
+// MOVE GENERATION
+// ============================================================================
+const CASTLING = {
+  w: { k: { king: 'e1', rook: 'h1', kingTo: 'g1', rookTo: 'f1', path: ['f1', 'g1'] },
+       q: { king: 'e1', rook: 'a1', kingTo: 'c1', rookTo: 'd1', path: ['d1', 'c1', 'b1'] } },
+  b: { k: { king: 'e8', rook: 'h8', kingTo: 'g8', rookTo: 'f8', path: ['f8', 'g8'] },
+       q: { king: 'e8', rook: 'a8', kingTo: 'c8', rookTo: 'd8', path: ['d8', 'c8', 'b8'] } }
+};
+
+const castlingLetter = (color, side) => (color === 'w' ? side.toUpperCase() : side);
+
+// Moves that follow piece movement only; the variant decides which of them are legal.
+// Castling checks the king's path here because no variant lets a king castle through check.
+export const generatePseudoMoves = (position, {
+  castling = true,
+  promotions = PROMOTION_PIECES,
+  attackedBy = (board, square, color) => isAttacked(board, square, color)
+} = {}) => {
+  const { board, turn, ep } = position;
+  const moves = [];
+
+  const add = (from, to, piece, extra = {}) => {
+    const captured = extra.captured || pieceAt(board, to)?.type;
+    moves.push({
+      color: turn,
+      from,
+      to,
+      piece: piece.type,
+      ...(captured ? { captured } : {}),
+      ...extra,
+      flags: extra.flags || (captured ? 'c' : 'n')
+    });
+  };
+
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const piece = board[row][col];
+      if (!piece || piece.color !== turn) continue;
+      const from = toSquare(row, col);
+
+      const target = (r, c) => {
+        if (!onBoard(r, c)) return 'off';
+        const other = board[r][c];
+        if (!other) return 'empty';
+        return other.color === turn ? 'own' : 'enemy';
+      };
+
+      if (piece.type === 'p') {
+        const dir = turn === 'w' ? -1 : 1;
+        const startRow = turn === 'w' ? 6 : 1;
+        const lastRow = turn === 'w' ? 0 : 7;
+
+        const addPawn = (r, c, flags, extra = {}) => {
+          const to = toSquare(r, c);
+          if (r === lastRow) {
+            promotions.forEach(promotion => add(from, to, piece, { ...extra, promotion, flags: `${flags}p` }));
+          } else {
+            add(from, to, piece, { ...extra, flags });
+          }
+        };
+
+        if (target(row + dir, col) === 'empty') {
+          addPawn(row + dir, col, 'n');
+          if (row === startRow && target(row + 2 * dir, col) === 'empty') {
+            add(from, toSquare(row + 2 * dir, col), piece, { flags: 'b' });
+          }
+        }
+        [col - 1, col + 1].forEach(c => {
+          if (target(row + dir, c) === 'enemy') {
+            addPawn(row + dir, c, 'c');
+          } else if (onBoard(row + dir, c) && toSquare(row + dir, c) === ep) {
+            add(from, ep, piece, { captured: 'p', flags: 'e' });
+          }
+        });
+        continue;
+      }
+
+      if (piece.type === 'n' || piece.type === 'k') {
+        (piece.type === 'n' ? KNIGHT_STEPS : KING_STEPS).forEach(([dr, dc]) => {
+          const kind = target(row + dr, col + dc);
+          if (kind === 'empty' || kind === 'enemy') add(from, toSquare(row + dr, col + dc), piece);
+        });
+      } else {
+        const rays = piece.type === 'b' ? BISHOP_RAYS : piece.type === 'r' ? ROOK_RAYS : [...BISHOP_RAYS, ...ROOK_RAYS];
+        rays.forEach(([dr, dc]) => {
+          let r = row + dr;
+          let c = col + dc;
+          while (target(r, c) === 'empty' || target(r, c) === 'enemy') {
+            add(from, toSquare(r, c), piece);
+            if (target(r, c) === 'enemy') break;
+            r += dr;
+            c += dc;
+          }
+        });
+      }
+
+      if (piece.type === 'k' && castling) {
+        ['k', 'q'].forEach(side => {
+          const rule = CASTLING[turn][side];
+          if (from !== rule.king || !position.castling.includes(castlingLetter(turn, side))) return;
+          const rook = pieceAt(board, rule.rook);
+          if (!rook || rook.type !== 'r' || rook.color !== turn) return;
+          if (rule.path.some(square => pieceAt(board, square))) return;
+          const enemy = opponent(turn);
+          if ([rule.king, ...rule.path.slice(0, 2)].some(square => attackedBy(board, square, enemy))) return;
+          add(from, rule.kingTo, piece, { flags: side });
+        });
+      }
+    }
+  }
+
+  return moves;
+};
+
+// ============================================================================
+// MAKING MOVES
+// ============================================================================
+const removeCastlingRights = (castling, square) => {
+  const lost = {
+    a1: 'Q', h1: 'K', e1: 'KQ',
+    a8: 'q', h8: 'k', e8: 'kq'
+  }[square];
+  return lost ? castling.split('').filter(letter => !lost.includes(letter)).join('') : castling;
+};
+
+// The position after a move; `explode` lets atomic clear the blast area after a capture
+export const makeMove = (position, move, { explode = null } = {}) => {
+  const board = position.board.map(rank => [...rank]);
+  const [fromRow, fromCol] = toCoords(move.from);
+  const [toRow, toCol] = toCoords(move.to);
+  const piece = board[fromRow][fromCol];
+
+  board[fromRow][fromCol] = null;
+  if (move.flags.includes('e')) {
+    board[fromRow][toCol] = null;
+  }
+  board[toRow][toCol] = move.promotion ? { type: move.promotion, color: piece.color } : piece;
+
+  if (move.flags === 'k' || move.flags === 'q') {
+    const rule = CASTLING[piece.color][move.flags];
+    const [rookRow, rookCol] = toCoords(rule.rook);
+    const [rookToRow, rookToCol] = toCoords(rule.rookTo);
+    board[rookToRow][rookToCol] = board[rookRow][rookCol];
+    board[rookRow][rookCol] = null;
+  }
+
+  let castling = removeCastlingRights(removeCastlingRights(position.castling, move.from), move.to);
+  let exploded = [];
+  if (explode && move.captured) {
+    exploded = explode(board, move);
+    exploded.forEach(square => {
+      castling = removeCastlingRights(castling, square);
+    });
+  }
+
+  const resetsClock = piece.type === 'p' || !!move.captured;
+  return {
+    board,
+    turn: opponent(position.turn),
+    castling,
+    ep: move.flags === 'b' ? toSquare((fromRow + toRow) / 2, fromCol) : null,
+    halfMoves: resetsClock ? 0 : position.halfMoves + 1,
+    fullMoves: position.fullMoves + (position.turn === 'b' ? 1 : 0),
+    extra: position.extra,
+    exploded
+  };
+};
+
+// ============================================================================
+// SAN
+// ============================================================================
+export const toSan = (move, legalMoves, suffix = '') => {
+  if (move.flags === 'd') return `${move.piece.toUpperCase()}@${move.to}${suffix}`;
+  if (move.flags === 'k') return `O-O${suffix}`;
+  if (move.flags === 'q') return `O-O-O${suffix}`;
+
+  const capture = move.captured ? 'x' : '';
+  const promotion = move.promotion ? `=${move.promotion.toUpperCase()}` : '';
+
+  if (move.piece === 'p') {
+    return `${capture ? move.from[0] : ''}${capture}${move.to}${promotion}${suffix}`;
+  }
+
+  const rivals = legalMoves.filter(other => (
+    other.piece === move.piece && other.to === move.to && other.from !== move.from
+  ));
+  let disambiguation = '';
+  if (rivals.length > 0) {
+    if (rivals.every(other => other.from[0] !== move.from[0])) disambiguation = move.from[0];
+    else if (rivals.every(other => other.from[1] !== move.from[1])) disambiguation = move.from[1];
+    else disambiguation = move.from;
+  }
+
+  return `${move.piece.toUpperCase()}${disambiguation}${capture}${move.to}${promotion}${suffix}`;
+};
+
+// Strips check marks, annotations and the "=" so SAN written either way compares equal
+export const normalizeSan = (san) => san.replace(/[+#!?]+$/, '').replace('=', '').replace(/0/g, 'O');
@@ -0,0 +1,55 @@
+// threeCheck.js - Standard chess, won by giving check three times
+import { VariantGame } from './variantGame';
+import { parseFen, formatFen } from './position';
+
+const CHECKS_TO_WIN = 3;
+
+// Remaining checks sit after en passant ("3+3"); the older "+0+0" suffix counts checks given
+export class ThreeCheck extends VariantGame {
+  readFen(fen) {
+    const fields = fen.trim().split(/\s+/);
+    const checks = { w: 0, b: 0 };
+
+    const remaining = fields[4]?.match(/^(\d)\+(\d)$/);
+    if (remaining) {
+      checks.w = CHECKS_TO_WIN - parseInt(remaining[1]);
+      checks.b = CHECKS_TO_WIN - parseInt(remaining[2]);
+      fields.splice(4, 1);
+    } else {
+      const given = fields[fields.length - 1]?.match(/^\+(\d)\+(\d)$/);
+      if (given) {
+        checks.w = parseInt(given[1]);
+        checks.b = parseInt(given[2]);
+        fields.pop();
+      }
+    }
+
+    return { ...parseFen(fields.join(' ')), checks };
+  }
+
+  writeFen(position) {
+    const fields = formatFen(position).split(' ');
+    fields.splice(4, 0, `${CHECKS_TO_WIN - position.checks.w}+${CHECKS_TO_WIN - position.checks.b}`);
+    return fields.join(' ');
+  }
+
+  play(position, move) {
+    const next = super.play(position, move);
+    next.checks = { ...position.checks };
+    if (this.isCheck(next)) {
+      next.checks[position.turn] += 1;
+    }
+    return next;
+  }
+
+  variantOutcome(position) {
+    const winner = ['w', 'b'].find(color => position.checks[color] >= CHECKS_TO_WIN);
+    return winner ? { reason: 'three_check', winner } : null;
+  }
+
+  getChecks() {
+    return { ...this._position.checks };
+  }
+}
+
+export default ThreeCheck;
@@ -0,0 +1,197 @@
+// variantGame.js - chess.js-shaped game built on the in-house move generator
+import {
+  DEFAULT_FEN,
+  parseFen,
+  formatFen,
+  generatePseudoMoves,
+  makeMove,
+  isAttacked,
+  findKings,
+  opponent,
+  pieceAt,
+  toSquare,
+  toSan,
+  normalizeSan
+} from './position';
+
+// Placement, side to move, castling rights and en passant: what threefold repetition compares
+const repetitionKey = (fen) => fen.split(' ').slice(0, 4).join(' ');
+
+// Standard rules; variants override the hooks below
+export class VariantGame {
+  constructor(fen) {
+    this.load(fen || DEFAULT_FEN);
+  }
+
+  load(fen) {
+    this._position = this.readFen(fen);
+    this._positions = [repetitionKey(this.fen())];
+    this._legal = null;
+  }
+
+  // ==========================================================================
+  // HOOKS
+  // ==========================================================================
+  readFen(fen) {
+    return parseFen(fen);
+  }
+
+  writeFen(position) {
+    return formatFen(position);
+  }
+
+  pseudoMoves(position) {
+    return generatePseudoMoves(position);
+  }
+
+  play(position, move) {
+    return makeMove(position, move);
+  }
+
+  isCheck(position) {
+    const [king] = findKings(position.board, position.turn);
+    return !!king && isAttacked(position.board, king, opponent(position.turn));
+  }
+
+  // The mover may not leave their king attacked
+  isLegal(position, next) {
+    const [king] = findKings(next.board, position.turn);
+    return !king || !isAttacked(next.board, king, next.turn);
+  }
+
+  legalMoves(position) {
+    return this.pseudoMoves(position).filter(move => this.isLegal(position, this.play(position, move)));
+  }
+
+  // Wins and draws particular to the variant, checked before the standard ones
+  variantOutcome(position) {
+    return null;
+  }
+
+  // ==========================================================================
+  // CHESS.JS SURFACE
+  // ==========================================================================
+  fen() {
+    return this.writeFen(this._position);
+  }
+
+  board() {
+    return this._position.board.map((rank, row) => rank.map((piece, col) => (
+      piece ? { square: toSquare(row, col), type: piece.type, color: piece.color } : null
+    )));
+  }
+
+  get(square) {
+    return pieceAt(this._position.board, square) || undefined;
+  }
+
+  turn() {
+    return this._position.turn;
+  }
+
+  inCheck() {
+    return this.isCheck(this._position);
+  }
+
+  // Legal moves of the current position with SAN, computed once per position
+  _legalMoves() {
+    if (this._legal) return this._legal;
+
+    const position = this._position;
+    const moves = this.variantOutcome(position) ? [] : this.legalMoves(position);
+    const before = this.fen();
+    this._legal = moves.map(move => {
+      const next = this.play(position, move);
+      let suffix = '';
+      if (this.isCheck(next)) {
+        suffix = !this.variantOutcome(next) && this.legalMoves(next).length === 0 ? '#' : '+';
+      }
+      return {
+        ...move,
+        san: toSan(move, moves, suffix),
+        lan: `${move.from}${move.to}${move.promotion || ''}`,
+        before,
+        after: this.writeFen(next),
+        ...(next.exploded?.length ? { exploded: next.exploded } : {}),
+        _next: next
+      };
+    });
+    return this._legal;
+  }
+
+  moves({ square, verbose = false } = {}) {
+    const moves = this._legalMoves()
+      .filter(move => !square || move.from === square)
+      .map(({ _next, ...move }) => move);
+    return verbose ? moves : moves.map(move => move.san);
+  }
+
+  // Accepts SAN or { from, to, promotion }; throws on an illegal move like chess.js
+  move(move) {
+    const legal = this._legalMoves();
+    const found = typeof move === 'string'
+      ? legal.find(candidate => normalizeSan(candidate.san) === normalizeSan(move))
+      : legal.find(candidate => (
+        candidate.from === move.from &&
+        candidate.to === move.to &&
+        (candidate.promotion || null) === (candidate.promotion ? move.promotion || 'q' : null)
+      ));
+
+    if (!found) {
+      throw new Error(`Invalid move: ${typeof move === 'string' ? move : JSON.stringify(move)}`);
+    }
+
+    const { _next, ...played } = found;
+    this._position = _next;
+    this._legal = null;
+    this._positions.push(repetitionKey(this.fen()));
+    return played;
+  }
+
+  isCheckmate() {
+    return this.inCheck() && this._legalMoves().length === 0 && !this.variantOutcome(this._position);
+  }
+
+  isStalemate() {
+    return !this.inCheck() && this._legalMoves().length === 0 && !this.variantOutcome(this._position);
+  }
+
+  // Bare kings, or a king with a single minor piece against a bare king
+  isInsufficientMaterial() {
+    const pieces = this._position.board.flat().filter(Boolean);
+    const others = pieces.filter(piece => piece.type !== 'k');
+    return others.length === 0 || (others.length === 1 && ['b', 'n'].includes(others[0].type));
+  }
+
+  isThreefoldRepetition() {
+    const current = this._positions[this._positions.length - 1];
+    return this._positions.filter(key => key === current).length >= 3;
+  }
+
+  isDraw() {
+    return (
+      this._position.halfMoves >= 100 ||
+      this.isStalemate() ||
+      this.isInsufficientMaterial() ||
+      this.isThreefoldRepetition()
+    );
+  }
+
+  isGameOver() {
+    return !!this.getOutcome();
+  }
+
+  // { reason, winner } once the game has ended, null while it goes on
+  getOutcome() {
+    const variant = this.variantOutcome(this._position);
+    if (variant) return variant;
+    if (this.isCheckmate()) return { reason: 'checkmate', winner: opponent(this.turn()) };
+    if (this.isStalemate()) return { reason: 'stalemate', winner: null };
+    if (this.isInsufficientMaterial()) return { reason: 'insufficient_material', winner: null };
+    if (this.isThreefoldRepetition()) return { reason: 'threefold_repetition', winner: null };
+    if (this._position.halfMoves >= 100) return { reason: 'fifty_move_rule', winner: null };
+    return null;
+  }
+}
+
+export default VariantGame;
@@ -0,0 +1,142 @@
+// useChessClock.js - Hook that runs a chess clock on a time source, with flag and low-time alerts
+import { useCallback, useEffect, useMemo, useReducer, useRef } from 'react';
+import {
+  createClockState,
+  getClockTimes,
+  startClock,
+  pauseClock,
+  resumeClock,
+  pressClock,
+  checkFlag,
+  syncClock,
+  setClockTurn
+} from './clock';
+
+const DEFAULT_LOW_TIME = 20000;
+const DEFAULT_TICK = 100;
+
+// `now` swaps the time source, e.g. a fake one in tests or a server-corrected one online.
+// onSwitch(times, turn) reports every press, with the side now to move, for sending to a server.
+// A tickInterval of 0 stops the re-renders while the clock runs, for owners that leave the
+// ticking to <ChessClock state={...} />; flags and low-time alerts still fire on time.
+export const useChessClock = (timeControl, {
+  now = Date.now,
+  lowTime = DEFAULT_LOW_TIME,
+  tickInterval = DEFAULT_TICK,
+  onFlag,
+  onLowTime,
+  onSwitch
+} = {}) => {
+  const [renders, forceRender] = useReducer(count => count + 1, 0);
+  const stateRef = useRef(null);
+  const lowTimeRef = useRef({ w: false, b: false });
+  const callbacksRef = useRef({});
+  callbacksRef.current = { now, onFlag, onLowTime, onSwitch };
+
+  // Time controls are often written inline, so only a changed description resets the clock
+  const controlKey = typeof timeControl === 'string' ? timeControl : JSON.stringify(timeControl ?? null);
+  const controlKeyRef = useRef(null);
+  if (controlKeyRef.current !== controlKey) {
+    controlKeyRef.current = controlKey;
+    stateRef.current = createClockState(timeControl);
+    lowTimeRef.current = { w: false, b: false };
+  }
+
+  const update = useCallback((change) => {
+    const previous = stateRef.current;
+    const next = change(previous, callbacksRef.current.now());
+    if (next === previous) return previous;
+    stateRef.current = next;
+    if (next?.flagged && !previous?.flagged) {
+      callbacksRef.current.onFlag?.(next.flagged);
+    }
+    forceRender();
+    return next;
+  }, []);
+
+  const start = useCallback((turn) => update((state, time) => startClock(state, time, turn)), [update]);
+  const pause = useCallback(() => update(pauseClock), [update]);
+  const resume = useCallback(() => update(resumeClock), [update]);
+  const sync = useCallback((times) => update((state, time) => syncClock(state, times, time)), [update]);
+  const setTurn = useCallback((turn) => update((state, time) => setClockTurn(state, time, turn)), [update]);
+
+  const press = useCallback((color) => {
+    const previous = stateRef.current;
+    const next = update((state, time) => pressClock(state, time, color));
+    if (next !== previous && next && !next.flagged) {
+      callbacksRef.current.onSwitch?.(getClockTimes(next, callbacksRef.current.now()), next.turn);
+    }
+    return next;
+  }, [update]);
+
+  const reset = useCallback(() => {
+    stateRef.current = createClockState(timeControl);
+    lowTimeRef.current = { w: false, b: false };
+    forceRender();
+  }, [timeControl]);
+
+  const getState = useCallback(() => stateRef.current, []);
+
+  // onLowTime fires once per side as it crosses the threshold, and again only after a reset
+  // or sync lifts it back above
+  const checkLowTime = useCallback(() => {
+    const state = stateRef.current;
+    if (!state) return;
+    const times = getClockTimes(state, callbacksRef.current.now());
+    ['w', 'b'].forEach(color => {
+      const isLow = times[color] <= lowTime;
+      if (isLow && !lowTimeRef.current[color]) {
+        lowTimeRef.current[color] = true;
+        callbacksRef.current.onLowTime?.(color, times[color]);
+      } else if (!isLow) {
+        lowTimeRef.current[color] = false;
+      }
+    });
+  }, [lowTime]);
+
+  const state = stateRef.current;
+  const status = state?.status ?? null;
+
+  // Wakes up when the running side reaches low time, then again when it reaches zero
+  useEffect(() => {
+    checkLowTime();
+    if (status !== 'running') return undefined;
+    const left = getClockTimes(stateRef.current, callbacksRef.current.now())[stateRef.current.turn];
+    const wait = left > lowTime ? left - lowTime : left;
+    const timer = setTimeout(() => {
+      const previous = stateRef.current;
+      if (update(checkFlag) === previous) forceRender();
+    }, wait + 1);
+    return () => clearTimeout(timer);
+  }, [state, status, renders, lowTime, checkLowTime, update]);
+
+  // Re-renders while a clock runs, so the times returned stay current
+  useEffect(() => {
+    if (status !== 'running' || !tickInterval) return undefined;
+    const timer = setInterval(() => {
+      const previous = stateRef.current;
+      if (update(checkFlag) === previous) forceRender();
+    }, tickInterval);
+    return () => clearInterval(timer);
+  }, [status, tickInterval, update]);
+
+  const times = state ? getClockTimes(state, now()) : null;
+  const controls = useMemo(
+    () => ({ start, pause, resume, press, sync, setTurn, reset }),
+    [start, pause, resume, press, sync, setTurn, reset]
+  );
+
+  return {
+    ...controls,
+    times,
+    turn: state?.turn ?? null,
+    status,
+    flagged: state?.flagged ?? null,
+    moves: state?.moves ?? null,
+    stage: state?.stage ?? null,
+    lowTime,
+    getState
+  };
+};
+
+export default useChessClock;